@@ -9,9 +9,17 @@ import ScheduleSharing from './components/ScheduleSharing';
 import SharedCalendarView from './components/SharedCalendarView';
 import SubscriptionManager from './components/SubscriptionManager';
 import SettingsPrivacy from './components/SettingsPrivacy';
+import AvailabilityPanel from './components/AvailabilityPanel';
+import BookingInbox from './components/BookingInbox';
+import BookingStatus from './components/BookingStatus';
+import FindTime from './components/FindTime';
+import PollManager from './components/PollManager';
+import PollView from './components/PollView';
+import ReminderToasts from './components/ReminderToasts';
 import authService from './services/authService';
 import analyticsService from './services/analyticsService';
 import sharingService from './services/sharingService';
+import reminderService from './services/reminderService';
 
 /**
  * CheckMate MVP - Main Application Component
@@ -29,6 +37,9 @@ function App() {
   const [user, setUser] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [shareId, setShareId] = useState(null);
+  const [bookingToken, setBookingToken] = useState(null);
+  const [pollId, setPollId] = useState(null);
+  const [reminders, setReminders] = useState([]);
 
   // Check for existing authentication and shared links on app load
   useEffect(() => {
@@ -47,6 +58,24 @@ function App() {
         setIsLoading(false);
         return;
       }
+
+      // Booking manage links take precedence over the signed-in views
+      const token = urlParams.get('booking');
+      if (token) {
+        setBookingToken(token);
+        setCurrentView('booking-status');
+        setIsLoading(false);
+        return;
+      }
+
+      // Poll links can be opened by anyone, signed in or not
+      const sharedPollId = urlParams.get('poll');
+      if (sharedPollId) {
+        setPollId(sharedPollId);
+        setCurrentView('poll');
+        setIsLoading(false);
+        return;
+      }
       
       if (currentUser) {
         setUser(currentUser);
@@ -61,6 +90,22 @@ function App() {
     checkAuth();
   }, []);
 
+  // Fire event reminders while someone is signed in
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const stopListening = reminderService.onReminder(reminder => {
+      setReminders(prev => [...prev, reminder]);
+    });
+    reminderService.start();
+
+    return () => {
+      stopListening();
+      reminderService.stop();
+      setReminders([]);
+    };
+  }, [isAuthenticated]);
+
   const handleAuthSuccess = (userData) => {
     setUser(userData);
     setIsAuthenticated(true);
@@ -111,6 +156,7 @@ function App() {
           <CalendarSetup 
             onImportCalendar={() => setCurrentView('calendar-sync')}
             onCreateFromScratch={() => setCurrentView('calendar-view')}
+            onImportComplete={() => setCurrentView('calendar-view')}
             onBack={() => setCurrentView('auth')}
           />
         );
@@ -127,9 +173,38 @@ function App() {
             onSettings={() => setCurrentView('settings')}
             onMoodStatus={() => setCurrentView('mood-status')}
             onScheduleSharing={() => setCurrentView('schedule-sharing')}
+            onAvailability={() => setCurrentView('availability')}
+            onBookings={() => setCurrentView('bookings')}
+            onFindTime={() => setCurrentView('find-time')}
+            onPolls={() => setCurrentView('polls')}
             onBack={() => setCurrentView('calendar-setup')}
           />
         );
+      case 'availability':
+        return (
+          <AvailabilityPanel 
+            onSettings={() => setCurrentView('settings')}
+            onBack={() => setCurrentView('calendar-view')}
+          />
+        );
+      case 'bookings':
+        return (
+          <BookingInbox 
+            onBack={() => setCurrentView('calendar-view')}
+          />
+        );
+      case 'find-time':
+        return (
+          <FindTime 
+            onBack={() => setCurrentView('calendar-view')}
+          />
+        );
+      case 'polls':
+        return (
+          <PollManager 
+            onBack={() => setCurrentView('calendar-view')}
+          />
+        );
       case 'mood-status':
         return (
           <MoodStatus 
@@ -156,6 +231,20 @@ function App() {
             onBack={() => setCurrentView('hero')}
           />
         );
+      case 'booking-status':
+        return (
+          <BookingStatus 
+            token={bookingToken}
+            onBack={() => setCurrentView('hero')}
+          />
+        );
+      case 'poll':
+        return (
+          <PollView 
+            pollId={pollId}
+            onBack={() => setCurrentView('hero')}
+          />
+        );
       case 'subscription':
         return (
           <SubscriptionManager 
@@ -168,6 +257,7 @@ function App() {
             onBack={() => setCurrentView('calendar-view')}
             onLogout={handleLogout}
             onSubscription={() => setCurrentView('subscription')}
+            onAvailability={() => setCurrentView('availability')}
           />
         );
       default:
@@ -263,6 +353,11 @@ function App() {
         {renderCurrentView()}
       </main>
 
+      <ReminderToasts
+        reminders={reminders}
+        onDismiss={(key) => setReminders(prev => prev.filter(reminder => reminder.key !== key))}
+      />
+
       {/* Footer */}
       <footer className="bg-white border-t border-gray-200 mt-16">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
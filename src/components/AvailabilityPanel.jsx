@@ -1,5 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import authService from '../services/authService';
+import availabilityService from '../services/availabilityService';
+import timezoneService from '../services/timezoneService';
+import reminderService from '../services/reminderService';
+import TimeZoneSelect from './TimeZoneSelect';
 
 /**
  * AvailabilityPanel Component - Smart Scheduling Interface
@@ -12,16 +16,27 @@ import authService from '../services/authService';
  * 
  * Features:
  * - Time zone management
- * - Recurring availability patterns
- * - Meeting type templates
+ * - Weekly hours with several ranges per day
+ * - Date overrides for holidays and one-off hours
+ * - Live slot preview for any day
+ * - Meeting type templates (length, color, location, description, reminders)
+ *   used for bookings and for new events in the calendar
  * - Conflict detection and resolution
  * - Shareable availability links
  * 
  * TODO: Integrate with calendar APIs for real-time availability
- * TODO: Add meeting type templates and custom durations
  * TODO: Implement availability sharing and booking system
  * TODO: Add conflict detection and smart suggestions
  */
+const MEETING_TYPE_COLORS = {
+  blue: 'bg-blue-500',
+  green: 'bg-green-500',
+  purple: 'bg-purple-500',
+  red: 'bg-red-500',
+  yellow: 'bg-yellow-500',
+  gray: 'bg-gray-500'
+};
+
 const AvailabilityPanel = ({ onSettings, onBack }) => {
   const [availability, setAvailability] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
@@ -32,7 +47,13 @@ const AvailabilityPanel = ({ onSettings, onBack }) => {
     const loadAvailability = () => {
       const currentUser = authService.getCurrentUser();
       if (currentUser && currentUser.availability) {
-        setAvailability(currentUser.availability);
+        setAvailability({
+          ...currentUser.availability,
+          workingHours: {
+            ...currentUser.availability.workingHours,
+            schedule: availabilityService.getWeeklySchedule(currentUser.availability)
+          }
+        });
       }
       setIsLoading(false);
     };
@@ -40,28 +61,38 @@ const AvailabilityPanel = ({ onSettings, onBack }) => {
     loadAvailability();
   }, []);
 
-  const [selectedDate] = useState(new Date());
+  const [selectedDate, setSelectedDate] = useState(new Date());
   const [viewMode, setViewMode] = useState('week'); // day, week, month
 
-  // TODO: Replace with actual calendar integration
-  const [events] = useState([
-    { id: 1, title: 'Team Standup', start: '09:00', end: '09:30', date: '2024-01-15' },
-    { id: 2, title: 'Client Call', start: '14:00', end: '15:00', date: '2024-01-15' }
-  ]);
+  const [selectedMeetingTypeId, setSelectedMeetingTypeId] = useState(null);
+  const [overrideForm, setOverrideForm] = useState(null);
 
-  const handleTimeChange = (field, value) => {
+  // Replace the hour ranges for one weekday
+  const updateDaySchedule = (day, ranges) => {
     setAvailability(prev => ({
       ...prev,
       workingHours: {
         ...prev.workingHours,
-        [field]: value
+        schedule: {
+          ...prev.workingHours.schedule,
+          [day]: ranges
+        }
       }
     }));
   };
 
+  const handleTimeChange = (day, index, field, value) => {
+    updateDaySchedule(day, availability.workingHours.schedule[day].map((hours, i) =>
+      i === index ? { ...hours, [field]: value } : hours
+    ));
+  };
+
   const handleSaveAvailability = async () => {
     try {
-      const result = authService.updateUserAvailability(availability);
+      const result = authService.updateUserAvailability({
+        ...availability,
+        workingHours: availabilityService.buildWorkingHours(availability.workingHours.schedule)
+      });
       setMessage({ type: 'success', text: result.message });
       
       // Clear message after 3 seconds
@@ -74,23 +105,93 @@ const AvailabilityPanel = ({ onSettings, onBack }) => {
   };
 
   const handleDayToggle = (day) => {
+    const ranges = availability.workingHours.schedule[day];
+    updateDaySchedule(day, ranges.length > 0 ? [] : [{ start: '09:00', end: '17:00' }]);
+  };
+
+  // Add another range after the day's last one, e.g. an afternoon block after lunch
+  const addTimeRange = (day) => {
+    const ranges = availability.workingHours.schedule[day];
+    const last = ranges[ranges.length - 1];
+    const [hour, minute] = availabilityService.parseTime(last ? last.end : '08:00');
+    const startHour = Math.min(hour + 1, 22);
+    const start = `${String(startHour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    const end = `${String(startHour + 1).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    updateDaySchedule(day, [...ranges, { start, end }]);
+  };
+
+  const removeTimeRange = (day, index) => {
+    updateDaySchedule(day, availability.workingHours.schedule[day].filter((hours, i) => i !== index));
+  };
+
+  const startOverride = () => {
+    const today = availabilityService.formatDateKey(new Date());
+    setOverrideForm({
+      startDate: today,
+      endDate: today,
+      unavailable: true,
+      hours: [{ start: '09:00', end: '17:00' }],
+      note: ''
+    });
+  };
+
+  const updateOverrideHours = (index, field, value) => {
+    setOverrideForm(prev => ({
+      ...prev,
+      hours: prev.hours.map((hours, i) => i === index ? { ...hours, [field]: value } : hours)
+    }));
+  };
+
+  // Validate the override form and add it to the unsaved availability
+  const addDateOverride = () => {
+    try {
+      const override = availabilityService.normalizeDateOverride({
+        ...overrideForm,
+        hours: overrideForm.unavailable ? [] : overrideForm.hours
+      });
+      setAvailability(prev => ({
+        ...prev,
+        dateOverrides: [...(prev.dateOverrides || []), override]
+      }));
+      setOverrideForm(null);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const removeDateOverride = (id) => {
     setAvailability(prev => ({
       ...prev,
-      workingHours: {
-        ...prev.workingHours,
-        days: prev.workingHours.days.includes(day)
-          ? prev.workingHours.days.filter(d => d !== day)
-          : [...prev.workingHours.days, day]
-      }
+      dateOverrides: (prev.dateOverrides || []).filter(override => override.id !== id)
     }));
   };
 
+  const formatOverrideDates = (override) => {
+    const format = (dateKey) => new Date(`${dateKey}T00:00:00`).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+    return override.startDate === override.endDate
+      ? format(override.startDate)
+      : `${format(override.startDate)} – ${format(override.endDate)}`;
+  };
+
+  const navigateDay = (direction) => {
+    setSelectedDate(prev => {
+      const newDate = new Date(prev);
+      newDate.setDate(prev.getDate() + direction);
+      return newDate;
+    });
+  };
+
   const addMeetingType = () => {
     const newType = {
       id: Date.now(),
       name: 'New Meeting Type',
       duration: 30,
-      color: 'gray'
+      color: 'gray',
+      reminders: [10]
     };
     setAvailability(prev => ({
       ...prev,
@@ -107,29 +208,40 @@ const AvailabilityPanel = ({ onSettings, onBack }) => {
     }));
   };
 
+  // Add or remove a default reminder on a meeting type
+  const toggleMeetingTypeReminder = (type, minutes) => {
+    const reminders = type.reminders || [];
+    updateMeetingType(type.id, 'reminders', reminders.includes(minutes)
+      ? reminders.filter(item => item !== minutes)
+      : [...reminders, minutes].sort((a, b) => a - b));
+  };
+
+  // Slots for the selected day, calculated from the unsaved settings being edited
   const generateTimeSlots = () => {
-    const slots = [];
-    const start = parseInt(availability.workingHours.start.split(':')[0]);
-    const end = parseInt(availability.workingHours.end.split(':')[0]);
-    
-    for (let hour = start; hour < end; hour++) {
-      for (let minute = 0; minute < 60; minute += 30) {
-        const timeString = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
-        const isAvailable = !events.some(event => 
-          event.date === selectedDate.toISOString().split('T')[0] &&
-          timeString >= event.start && timeString < event.end
-        );
-        
-        slots.push({
-          time: timeString,
-          available: isAvailable
-        });
-      }
+    const currentUser = authService.getCurrentUser();
+    const timeZone = availabilityService.getTimeZone(availability);
+
+    try {
+      return availabilityService.calculateSlots(
+        { ...currentUser, availability },
+        availabilityService.getDayRange(selectedDate, timeZone),
+        selectedMeetingTypeId,
+        { includeUnavailable: true }
+      ).map(slot => ({
+        time: new Date(slot.start).toLocaleTimeString('en-US', {
+          hour: '2-digit',
+          minute: '2-digit',
+          hourCycle: 'h23',
+          timeZone
+        }),
+        available: slot.available
+      }));
+    } catch (error) {
+      return [];
     }
-    return slots;
   };
 
-  const timeSlots = generateTimeSlots();
+  const timeSlots = availability ? generateTimeSlots() : [];
 
   if (isLoading) {
     return (
@@ -167,7 +279,7 @@ const AvailabilityPanel = ({ onSettings, onBack }) => {
             <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
             </svg>
-            Back to Calendar Setup
+            Back to Calendar
           </button>
           <h1 className="text-3xl font-bold text-gray-900">Your Availability</h1>
           <p className="text-gray-600 mt-2">Configure when you're available for meetings</p>
@@ -212,59 +324,80 @@ const AvailabilityPanel = ({ onSettings, onBack }) => {
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Time Zone
                 </label>
-                <select
+                <TimeZoneSelect
                   value={availability.timezone}
-                  onChange={(e) => setAvailability(prev => ({ ...prev, timezone: e.target.value }))}
-                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                >
-                  <option value="America/New_York">Eastern Time (ET)</option>
-                  <option value="America/Chicago">Central Time (CT)</option>
-                  <option value="America/Denver">Mountain Time (MT)</option>
-                  <option value="America/Los_Angeles">Pacific Time (PT)</option>
-                </select>
-              </div>
-
-              <div className="grid grid-cols-2 gap-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Start Time
-                  </label>
-                  <input
-                    type="time"
-                    value={availability.workingHours.start}
-                    onChange={(e) => handleTimeChange('start', e.target.value)}
-                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    End Time
-                  </label>
-                  <input
-                    type="time"
-                    value={availability.workingHours.end}
-                    onChange={(e) => handleTimeChange('end', e.target.value)}
-                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                  />
-                </div>
+                  onChange={(timezone) => setAvailability(prev => ({ ...prev, timezone }))}
+                />
+                {availability.timezone !== timezoneService.getLocalTimeZone() && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    This device is set to {timezoneService.getLocalTimeZone()}.{' '}
+                    <button
+                      onClick={() => setAvailability(prev => ({ ...prev, timezone: timezoneService.getLocalTimeZone() }))}
+                      className="text-indigo-600 hover:text-indigo-700 font-medium"
+                    >
+                      Use it
+                    </button>
+                  </p>
+                )}
               </div>
 
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-3">
-                  Working Days
+                  Weekly Hours
                 </label>
-                <div className="grid grid-cols-2 gap-2">
-                  {['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].map(day => (
-                    <label key={day} className="flex items-center">
-                      <input
-                        type="checkbox"
-                        checked={availability.workingHours.days.includes(day)}
-                        onChange={() => handleDayToggle(day)}
-                        className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
-                      />
-                      <span className="ml-2 text-sm text-gray-700 capitalize">{day}</span>
-                    </label>
-                  ))}
+                <div className="space-y-3">
+                  {['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].map(day => {
+                    const ranges = availability.workingHours.schedule[day];
+                    return (
+                      <div key={day} className="border-b border-gray-100 pb-3 last:border-b-0">
+                        <div className="flex items-center justify-between">
+                          <label className="flex items-center">
+                            <input
+                              type="checkbox"
+                              checked={ranges.length > 0}
+                              onChange={() => handleDayToggle(day)}
+                              className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                            />
+                            <span className="ml-2 text-sm text-gray-700 capitalize">{day}</span>
+                          </label>
+                          {ranges.length > 0 ? (
+                            <button
+                              onClick={() => addTimeRange(day)}
+                              className="text-indigo-600 hover:text-indigo-700 text-xs font-medium"
+                            >
+                              + Add hours
+                            </button>
+                          ) : (
+                            <span className="text-xs text-gray-400">Unavailable</span>
+                          )}
+                        </div>
+                        {ranges.map((hours, index) => (
+                          <div key={index} className="flex items-center space-x-2 mt-2 ml-6">
+                            <input
+                              type="time"
+                              value={hours.start}
+                              onChange={(e) => handleTimeChange(day, index, 'start', e.target.value)}
+                              className="border border-gray-300 rounded px-2 py-1 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                            />
+                            <span className="text-gray-400">–</span>
+                            <input
+                              type="time"
+                              value={hours.end}
+                              onChange={(e) => handleTimeChange(day, index, 'end', e.target.value)}
+                              className="border border-gray-300 rounded px-2 py-1 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                            />
+                            <button
+                              onClick={() => removeTimeRange(day, index)}
+                              className="text-gray-400 hover:text-red-600 text-sm"
+                              title="Remove hours"
+                            >
+                              ✕
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    );
+                  })}
                 </div>
               </div>
             </div>
@@ -284,23 +417,71 @@ const AvailabilityPanel = ({ onSettings, onBack }) => {
             
             <div className="space-y-3">
               {availability.meetingTypes.map(type => (
-                <div key={type.id} className="flex items-center space-x-3 p-3 bg-gray-50 rounded-lg">
-                  <div className={`w-3 h-3 rounded-full bg-${type.color}-500`}></div>
-                  <input
-                    type="text"
-                    value={type.name}
-                    onChange={(e) => updateMeetingType(type.id, 'name', e.target.value)}
-                    className="flex-1 text-sm font-medium bg-transparent border-none focus:ring-0"
-                  />
-                  <input
-                    type="number"
-                    value={type.duration}
-                    onChange={(e) => updateMeetingType(type.id, 'duration', parseInt(e.target.value))}
-                    className="w-16 text-sm text-center border border-gray-300 rounded px-2 py-1"
-                    min="15"
-                    step="15"
-                  />
-                  <span className="text-xs text-gray-500">min</span>
+                <div key={type.id} className="p-3 bg-gray-50 rounded-lg">
+                  <div className="flex items-center space-x-3">
+                    <div className={`w-3 h-3 rounded-full ${MEETING_TYPE_COLORS[type.color] || MEETING_TYPE_COLORS.gray}`}></div>
+                    <input
+                      type="text"
+                      value={type.name}
+                      onChange={(e) => updateMeetingType(type.id, 'name', e.target.value)}
+                      className="flex-1 text-sm font-medium bg-transparent border-none focus:ring-0"
+                    />
+                    <input
+                      type="number"
+                      value={type.duration}
+                      onChange={(e) => updateMeetingType(type.id, 'duration', parseInt(e.target.value))}
+                      className="w-16 text-sm text-center border border-gray-300 rounded px-2 py-1"
+                      min="15"
+                      step="15"
+                    />
+                    <span className="text-xs text-gray-500">min</span>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-1 mt-2 ml-6">
+                    <span className="text-xs text-gray-500 mr-1">Remind</span>
+                    {reminderService.getReminderOptions().map(minutes => (
+                      <button
+                        key={minutes}
+                        type="button"
+                        onClick={() => toggleMeetingTypeReminder(type, minutes)}
+                        className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                          (type.reminders || []).includes(minutes)
+                            ? 'bg-indigo-600 text-white'
+                            : 'bg-white border border-gray-300 text-gray-600'
+                        }`}
+                      >
+                        {reminderService.formatReminder(minutes)}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mt-2 ml-6">
+                    <input
+                      type="text"
+                      value={type.location || ''}
+                      onChange={(e) => updateMeetingType(type.id, 'location', e.target.value)}
+                      placeholder="Location or video link"
+                      className="text-sm border border-gray-300 rounded px-2 py-1"
+                    />
+                    <input
+                      type="text"
+                      value={type.description || ''}
+                      onChange={(e) => updateMeetingType(type.id, 'description', e.target.value)}
+                      placeholder="Description"
+                      className="text-sm border border-gray-300 rounded px-2 py-1"
+                    />
+                  </div>
+                  <div className="flex items-center space-x-1 mt-2 ml-6">
+                    {Object.keys(MEETING_TYPE_COLORS).map(color => (
+                      <button
+                        key={color}
+                        type="button"
+                        onClick={() => updateMeetingType(type.id, 'color', color)}
+                        className={`w-5 h-5 rounded-full border-2 ${
+                          type.color === color ? 'border-gray-500' : 'border-transparent'
+                        } ${MEETING_TYPE_COLORS[color]}`}
+                        title={color}
+                      />
+                    ))}
+                  </div>
                 </div>
               ))}
             </div>
@@ -344,20 +525,201 @@ const AvailabilityPanel = ({ onSettings, onBack }) => {
               </div>
             </div>
           </div>
+
+          {/* Date Overrides */}
+          <div className="bg-white rounded-lg border border-gray-200 p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Date Overrides</h3>
+              {!overrideForm && (
+                <button
+                  onClick={startOverride}
+                  className="text-indigo-600 hover:text-indigo-700 text-sm font-medium"
+                >
+                  + Add Override
+                </button>
+              )}
+            </div>
+
+            {overrideForm && (
+              <div className="space-y-3 mb-4 p-3 bg-gray-50 rounded-lg">
+                <div className="grid grid-cols-2 gap-2">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">From</label>
+                    <input
+                      type="date"
+                      value={overrideForm.startDate}
+                      onChange={(e) => setOverrideForm(prev => ({
+                        ...prev,
+                        startDate: e.target.value,
+                        endDate: prev.endDate < e.target.value ? e.target.value : prev.endDate
+                      }))}
+                      className="w-full border border-gray-300 rounded px-2 py-1 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">To</label>
+                    <input
+                      type="date"
+                      value={overrideForm.endDate}
+                      min={overrideForm.startDate}
+                      onChange={(e) => setOverrideForm(prev => ({ ...prev, endDate: e.target.value }))}
+                      className="w-full border border-gray-300 rounded px-2 py-1 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                  </div>
+                </div>
+
+                <div className="flex items-center space-x-4">
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      checked={overrideForm.unavailable}
+                      onChange={() => setOverrideForm(prev => ({ ...prev, unavailable: true }))}
+                      className="border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                    />
+                    <span className="ml-2">Unavailable</span>
+                  </label>
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      checked={!overrideForm.unavailable}
+                      onChange={() => setOverrideForm(prev => ({ ...prev, unavailable: false }))}
+                      className="border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                    />
+                    <span className="ml-2">Custom hours</span>
+                  </label>
+                </div>
+
+                {!overrideForm.unavailable && (
+                  <div className="space-y-2">
+                    {overrideForm.hours.map((hours, index) => (
+                      <div key={index} className="flex items-center space-x-2">
+                        <input
+                          type="time"
+                          value={hours.start}
+                          onChange={(e) => updateOverrideHours(index, 'start', e.target.value)}
+                          className="border border-gray-300 rounded px-2 py-1 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                        <span className="text-gray-400">–</span>
+                        <input
+                          type="time"
+                          value={hours.end}
+                          onChange={(e) => updateOverrideHours(index, 'end', e.target.value)}
+                          className="border border-gray-300 rounded px-2 py-1 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                        {overrideForm.hours.length > 1 && (
+                          <button
+                            onClick={() => setOverrideForm(prev => ({
+                              ...prev,
+                              hours: prev.hours.filter((item, i) => i !== index)
+                            }))}
+                            className="text-gray-400 hover:text-red-600 text-sm"
+                            title="Remove hours"
+                          >
+                            ✕
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                    <button
+                      onClick={() => setOverrideForm(prev => ({
+                        ...prev,
+                        hours: [...prev.hours, { start: '13:00', end: '17:00' }]
+                      }))}
+                      className="text-indigo-600 hover:text-indigo-700 text-xs font-medium"
+                    >
+                      + Add hours
+                    </button>
+                  </div>
+                )}
+
+                <input
+                  type="text"
+                  value={overrideForm.note}
+                  onChange={(e) => setOverrideForm(prev => ({ ...prev, note: e.target.value }))}
+                  placeholder="Note (optional), e.g. Holiday"
+                  className="w-full border border-gray-300 rounded px-2 py-1 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                />
+
+                <div className="flex space-x-2">
+                  <button
+                    onClick={addDateOverride}
+                    className="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded text-sm font-medium"
+                  >
+                    Add
+                  </button>
+                  <button
+                    onClick={() => setOverrideForm(null)}
+                    className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded text-sm font-medium"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {(availability.dateOverrides || []).length === 0 && !overrideForm && (
+              <p className="text-sm text-gray-500">
+                No overrides. Add one for holidays or days with different hours.
+              </p>
+            )}
+
+            <div className="space-y-2">
+              {[...(availability.dateOverrides || [])]
+                .sort((a, b) => a.startDate.localeCompare(b.startDate))
+                .map(override => (
+                  <div key={override.id} className="flex items-start justify-between p-3 bg-gray-50 rounded-lg">
+                    <div>
+                      <div className="text-sm font-medium text-gray-900">{formatOverrideDates(override)}</div>
+                      <div className="text-xs text-gray-600">
+                        {override.hours.length === 0
+                          ? 'Unavailable'
+                          : override.hours.map(hours => `${hours.start}–${hours.end}`).join(', ')}
+                        {override.note && ` · ${override.note}`}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => removeDateOverride(override.id)}
+                      className="text-gray-400 hover:text-red-600 text-sm"
+                      title="Remove override"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+            </div>
+          </div>
         </div>
 
         {/* Calendar View */}
         <div className="lg:col-span-2">
           <div className="bg-white rounded-lg border border-gray-200 p-6">
             <div className="flex items-center justify-between mb-6">
-              <h3 className="text-lg font-semibold text-gray-900">
-                {selectedDate.toLocaleDateString('en-US', { 
-                  weekday: 'long', 
-                  year: 'numeric', 
-                  month: 'long', 
-                  day: 'numeric' 
-                })}
-              </h3>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => navigateDay(-1)}
+                  className="p-1 hover:bg-gray-100 rounded-lg transition-colors"
+                >
+                  <svg className="w-5 h-5 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                  </svg>
+                </button>
+                <h3 className="text-lg font-semibold text-gray-900">
+                  {selectedDate.toLocaleDateString('en-US', { 
+                    weekday: 'long', 
+                    year: 'numeric', 
+                    month: 'long', 
+                    day: 'numeric' 
+                  })}
+                </h3>
+                <button
+                  onClick={() => navigateDay(1)}
+                  className="p-1 hover:bg-gray-100 rounded-lg transition-colors"
+                >
+                  <svg className="w-5 h-5 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                  </svg>
+                </button>
+              </div>
               
               <div className="flex items-center space-x-2">
                 <button
@@ -379,6 +741,30 @@ const AvailabilityPanel = ({ onSettings, onBack }) => {
               </div>
             </div>
 
+            {/* Meeting Type Selector */}
+            <div className="flex items-center justify-between mb-4">
+              <label className="text-sm font-medium text-gray-700">
+                Slots for
+              </label>
+              <select
+                value={selectedMeetingTypeId || ''}
+                onChange={(e) => setSelectedMeetingTypeId(e.target.value || null)}
+                className="border border-gray-300 rounded-lg px-3 py-1 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              >
+                {availability.meetingTypes.map(type => (
+                  <option key={type.id} value={type.id}>
+                    {type.name} ({type.duration} min)
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {timeSlots.length === 0 && (
+              <p className="text-sm text-gray-500 text-center py-6">
+                No working hours on this day.
+              </p>
+            )}
+
             {/* Time Slots Grid */}
             <div className="grid grid-cols-4 gap-2">
               {timeSlots.map((slot, index) => (
@@ -0,0 +1,365 @@
+import React, { useState, useEffect } from 'react';
+import authService from '../services/authService';
+import bookingService from '../services/bookingService';
+import availabilityService from '../services/availabilityService';
+import analyticsService from '../services/analyticsService';
+
+/**
+ * BookingInbox Component - Review meetings booked through share links
+ *
+ * When direct booking is off, bookings made through share links wait here
+ * until the owner approves them, declines them, or proposes other times the
+ * requester can accept from their manage link.
+ *
+ * Features:
+ * - Pending requests with approve / decline / propose new time
+ * - Requests waiting on the requester
+ * - Upcoming and past bookings, including ones the requester cancelled
+ *
+ * TODO: Notify the owner when a new request arrives
+ */
+const PROPOSAL_DAYS = 14;
+
+const CLOSED_BADGES = {
+  confirmed: { label: 'Done', className: 'bg-gray-200 text-gray-700' },
+  declined: { label: 'Declined', className: 'bg-red-100 text-red-800' },
+  cancelled: { label: 'Cancelled', className: 'bg-yellow-100 text-yellow-800' }
+};
+
+const BookingInbox = ({ onBack }) => {
+  const [bookings, setBookings] = useState([]);
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [activeAction, setActiveAction] = useState(null); // { bookingId, type: 'decline' | 'propose' }
+  const [actionMessage, setActionMessage] = useState('');
+  const [selectedTimes, setSelectedTimes] = useState([]);
+
+  useEffect(() => {
+    setBookings(bookingService.getMyBookings());
+  }, []);
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text });
+
+    // Clear message after 3 seconds
+    setTimeout(() => {
+      setMessage({ type: '', text: '' });
+    }, 3000);
+  };
+
+  const refresh = () => {
+    setBookings(bookingService.getMyBookings());
+    setActiveAction(null);
+    setActionMessage('');
+    setSelectedTimes([]);
+  };
+
+  const openAction = (bookingId, type) => {
+    setActiveAction({ bookingId, type });
+    setActionMessage('');
+    setSelectedTimes([]);
+  };
+
+  const handleApprove = (booking) => {
+    try {
+      bookingService.approveBooking(booking.id);
+      analyticsService.trackCalendar('booking_approved', booking.meetingTypeName);
+      refresh();
+      showMessage('success', `Added ${booking.meetingTypeName} with ${booking.name} to your calendar.`);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleDecline = (booking) => {
+    try {
+      bookingService.declineBooking(booking.id, actionMessage);
+      analyticsService.trackCalendar('booking_declined', booking.meetingTypeName);
+      refresh();
+      showMessage('success', `Declined the request from ${booking.name}.`);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handlePropose = (booking) => {
+    try {
+      bookingService.proposeTimes(booking.id, selectedTimes, actionMessage);
+      analyticsService.trackCalendar('booking_times_proposed', booking.meetingTypeName, {
+        count: selectedTimes.length
+      });
+      refresh();
+      showMessage('success', `Sent ${selectedTimes.length} new time${selectedTimes.length === 1 ? '' : 's'} to ${booking.name}.`);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const toggleTime = (start) => {
+    setSelectedTimes(prev => prev.includes(start)
+      ? prev.filter(time => time !== start)
+      : [...prev, start]);
+  };
+
+  // Free slots of the same meeting type over the next two weeks
+  const getProposalSlots = (booking) => {
+    const currentUser = authService.getCurrentUser();
+    if (!currentUser || !currentUser.availability) return [];
+
+    const start = new Date();
+    const end = new Date(start.getTime() + PROPOSAL_DAYS * 24 * 60 * 60 * 1000);
+    try {
+      return availabilityService.calculateSlots(currentUser, { start, end }, booking.meetingTypeId);
+    } catch (error) {
+      return [];
+    }
+  };
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  const now = new Date();
+  const pending = bookings.filter(booking => booking.status === 'pending');
+  const proposed = bookings.filter(booking => booking.status === 'proposed');
+  const upcoming = bookings
+    .filter(booking => booking.status === 'confirmed' && new Date(booking.end) > now)
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+  const closed = bookings.filter(booking =>
+    booking.status === 'declined' ||
+    booking.status === 'cancelled' ||
+    (booking.status === 'confirmed' && new Date(booking.end) <= now)
+  );
+
+  const renderBookingSummary = (booking) => (
+    <div>
+      <div className="font-medium text-gray-900">
+        {booking.meetingTypeName} with {booking.name}
+      </div>
+      <div className="text-sm text-gray-600">{formatDateTime(booking.start)} · {booking.email}</div>
+      {booking.notes && (
+        <div className="text-sm text-gray-500 mt-1">"{booking.notes}"</div>
+      )}
+      {booking.cancelReason && (
+        <div className="text-sm text-gray-500 mt-1">Cancelled: {booking.cancelReason}</div>
+      )}
+    </div>
+  );
+
+  const renderActionForm = (booking) => {
+    if (!activeAction || activeAction.bookingId !== booking.id) return null;
+
+    if (activeAction.type === 'decline') {
+      return (
+        <div className="mt-4 space-y-3">
+          <textarea
+            value={actionMessage}
+            onChange={(e) => setActionMessage(e.target.value)}
+            placeholder="Message to the requester (optional)"
+            rows={2}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <div className="flex space-x-2">
+            <button
+              onClick={() => handleDecline(booking)}
+              className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded-lg text-sm font-medium transition-colors"
+            >
+              Decline Request
+            </button>
+            <button
+              onClick={() => setActiveAction(null)}
+              className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded-lg text-sm font-medium transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    const slots = getProposalSlots(booking);
+    return (
+      <div className="mt-4 space-y-3">
+        <p className="text-sm text-gray-700">Pick times to offer instead:</p>
+        {slots.length === 0 ? (
+          <p className="text-sm text-gray-500">No free times in the next {PROPOSAL_DAYS} days.</p>
+        ) : (
+          <div className="max-h-64 overflow-y-auto grid grid-cols-2 gap-2">
+            {slots.map(slot => (
+              <label key={slot.start} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={selectedTimes.includes(slot.start)}
+                  onChange={() => toggleTime(slot.start)}
+                  className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                <span className="ml-2">{formatDateTime(slot.start)}</span>
+              </label>
+            ))}
+          </div>
+        )}
+        <textarea
+          value={actionMessage}
+          onChange={(e) => setActionMessage(e.target.value)}
+          placeholder="Message to the requester (optional)"
+          rows={2}
+          className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <div className="flex space-x-2">
+          <button
+            onClick={() => handlePropose(booking)}
+            disabled={selectedTimes.length === 0}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+          >
+            Send Proposal
+          </button>
+          <button
+            onClick={() => setActiveAction(null)}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded-lg text-sm font-medium transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      {/* Header */}
+      <div className="mb-8">
+        <button
+          onClick={onBack}
+          className="text-indigo-600 hover:text-indigo-700 mb-2 flex items-center text-sm font-medium"
+        >
+          <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+          Back to Calendar
+        </button>
+        <h1 className="text-3xl font-bold text-gray-900">Bookings</h1>
+        <p className="text-gray-600 mt-2">Meetings booked through your share links</p>
+      </div>
+
+      {/* Message Display */}
+      {message.text && (
+        <div className={`mb-6 p-4 rounded-lg ${
+          message.type === 'success'
+            ? 'bg-green-100 text-green-800 border border-green-200'
+            : 'bg-red-100 text-red-800 border border-red-200'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {/* Pending Requests */}
+      <div className="bg-white rounded-lg border border-gray-200 p-6 mb-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">
+          Pending Requests {pending.length > 0 && `(${pending.length})`}
+        </h2>
+        {pending.length === 0 ? (
+          <p className="text-sm text-gray-500">No requests waiting for you.</p>
+        ) : (
+          <div className="space-y-4">
+            {pending.map(booking => (
+              <div key={booking.id} className="p-4 border border-gray-200 rounded-lg">
+                <div className="flex items-start justify-between">
+                  {renderBookingSummary(booking)}
+                  <div className="flex space-x-2 flex-shrink-0 ml-4">
+                    <button
+                      onClick={() => handleApprove(booking)}
+                      className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-lg text-sm font-medium transition-colors"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => openAction(booking.id, 'propose')}
+                      className="bg-indigo-100 hover:bg-indigo-200 text-indigo-700 px-3 py-1 rounded-lg text-sm font-medium transition-colors"
+                    >
+                      Propose New Time
+                    </button>
+                    <button
+                      onClick={() => openAction(booking.id, 'decline')}
+                      className="bg-red-100 hover:bg-red-200 text-red-700 px-3 py-1 rounded-lg text-sm font-medium transition-colors"
+                    >
+                      Decline
+                    </button>
+                  </div>
+                </div>
+                {renderActionForm(booking)}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Awaiting Response */}
+      {proposed.length > 0 && (
+        <div className="bg-white rounded-lg border border-gray-200 p-6 mb-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Waiting on Requester</h2>
+          <div className="space-y-4">
+            {proposed.map(booking => (
+              <div key={booking.id} className="p-4 border border-gray-200 rounded-lg">
+                <div className="flex items-start justify-between">
+                  <div>
+                    {renderBookingSummary(booking)}
+                    <div className="text-sm text-gray-500 mt-1">
+                      Proposed: {booking.proposedTimes.map(time => formatDateTime(time.start)).join(', ')}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => openAction(booking.id, 'decline')}
+                    className="bg-red-100 hover:bg-red-200 text-red-700 px-3 py-1 rounded-lg text-sm font-medium transition-colors flex-shrink-0 ml-4"
+                  >
+                    Withdraw
+                  </button>
+                </div>
+                {renderActionForm(booking)}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Upcoming */}
+      <div className="bg-white rounded-lg border border-gray-200 p-6 mb-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Upcoming</h2>
+        {upcoming.length === 0 ? (
+          <p className="text-sm text-gray-500">No upcoming booked meetings.</p>
+        ) : (
+          <div className="space-y-3">
+            {upcoming.map(booking => (
+              <div key={booking.id} className="p-3 bg-gray-50 rounded-lg">
+                {renderBookingSummary(booking)}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Past and Declined */}
+      {closed.length > 0 && (
+        <div className="bg-white rounded-lg border border-gray-200 p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Past & Declined</h2>
+          <div className="space-y-3">
+            {closed.map(booking => (
+              <div key={booking.id} className="flex items-start justify-between p-3 bg-gray-50 rounded-lg">
+                {renderBookingSummary(booking)}
+                <span className={`px-2 py-1 rounded-full text-xs font-medium ${CLOSED_BADGES[booking.status].className}`}>
+                  {CLOSED_BADGES[booking.status].label}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BookingInbox;
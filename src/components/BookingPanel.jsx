@@ -0,0 +1,249 @@
+import React, { useState } from 'react';
+import sharingService from '../services/sharingService';
+import bookingService from '../services/bookingService';
+import analyticsService from '../services/analyticsService';
+
+/**
+ * BookingPanel Component - Open times and booking form on a shared calendar
+ *
+ * Shows the owner's free slots for the week starting at `startDate`. When the
+ * share link grants `canBook`, visitors can pick a slot and book it, either
+ * straight into the owner's calendar or as a request the owner approves.
+ *
+ * Features:
+ * - Meeting type picker using the owner's durations
+ * - Free slots grouped by day
+ * - Name/email/notes booking form
+ * - Direct booking or booking requests
+ *
+ * TODO: Let visitors pick the time zone slots are shown in
+ */
+const BookingPanel = ({ shareId, meetingTypes, canBook, directBooking, startDate, ownerName }) => {
+  const [selectedMeetingTypeId, setSelectedMeetingTypeId] = useState(meetingTypes[0]?.id ?? null);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [form, setForm] = useState({ name: '', email: '', notes: '' });
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [manageLink, setManageLink] = useState(null);
+
+  // Free slots for the week starting at startDate, grouped by day
+  const getAvailableSlotsByDay = () => {
+    const rangeStart = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+    const rangeEnd = new Date(rangeStart);
+    rangeEnd.setDate(rangeEnd.getDate() + 7);
+
+    const groups = [];
+    sharingService.getSharedAvailability(shareId, { start: rangeStart, end: rangeEnd }, selectedMeetingTypeId)
+      .forEach(slot => {
+        const dateKey = new Date(slot.start).toDateString();
+        const group = groups.find(item => item.dateKey === dateKey);
+        if (group) {
+          group.slots.push(slot);
+        } else {
+          groups.push({ dateKey, date: new Date(slot.start), slots: [slot] });
+        }
+      });
+
+    return groups;
+  };
+
+  const formatTime = (dateString) => {
+    return new Date(dateString).toLocaleTimeString('en-US', {
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true
+    });
+  };
+
+  const formatSlot = (slot) => {
+    const date = new Date(slot.start).toLocaleDateString('en-US', {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric'
+    });
+    return `${date}, ${formatTime(slot.start)} – ${formatTime(slot.end)}`;
+  };
+
+  const handleSlotClick = (slot) => {
+    if (!canBook) return;
+    setSelectedSlot(slot);
+    setMessage({ type: '', text: '' });
+    setManageLink(null);
+  };
+
+  const handleBook = (e) => {
+    e.preventDefault();
+
+    try {
+      const booking = bookingService.createBooking(shareId, {
+        meetingTypeId: selectedMeetingTypeId,
+        start: selectedSlot.start,
+        ...form
+      });
+
+      analyticsService.trackCalendar('booking_created', booking.meetingTypeName, {
+        shareId,
+        status: booking.status
+      });
+
+      setMessage({
+        type: 'success',
+        text: booking.status === 'confirmed'
+          ? `You're booked for ${formatSlot(booking)}.`
+          : `Request sent. ${ownerName} will confirm ${formatSlot(booking)}.`
+      });
+      setManageLink(booking.manageLink);
+      setSelectedSlot(null);
+      setForm({ name: '', email: '', notes: '' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const availableSlotsByDay = getAvailableSlotsByDay();
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">
+            {canBook ? 'Book a Meeting' : 'Available Times'}
+          </h2>
+          {canBook && (
+            <p className="text-sm text-gray-600 mt-1">
+              {directBooking
+                ? 'Pick a time and it goes straight into the calendar.'
+                : 'Pick a time to send a request for confirmation.'}
+            </p>
+          )}
+        </div>
+        {meetingTypes.length > 0 && (
+          <select
+            value={selectedMeetingTypeId ?? ''}
+            onChange={(e) => {
+              setSelectedMeetingTypeId(e.target.value || null);
+              setSelectedSlot(null);
+            }}
+            className="border border-gray-300 rounded-lg px-3 py-1 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            {meetingTypes.map(type => (
+              <option key={type.id} value={type.id}>
+                {type.name} ({type.duration} min)
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {/* Message Display */}
+      {message.text && (
+        <div className={`mb-4 p-3 rounded-lg text-sm ${
+          message.type === 'success'
+            ? 'bg-green-100 text-green-800 border border-green-200'
+            : 'bg-red-100 text-red-800 border border-red-200'
+        }`}>
+          {message.text}
+          {message.type === 'success' && manageLink && (
+            <div className="mt-2">
+              Keep this link to check on or change your booking:{' '}
+              <a href={manageLink} className="font-medium underline break-all">{manageLink}</a>
+            </div>
+          )}
+        </div>
+      )}
+
+      {availableSlotsByDay.length === 0 ? (
+        <p className="text-sm text-gray-500">No open times in the next 7 days.</p>
+      ) : (
+        <div className="space-y-4">
+          {availableSlotsByDay.map(group => (
+            <div key={group.dateKey}>
+              <h3 className="text-sm font-medium text-gray-900 mb-2">
+                {group.date.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })}
+              </h3>
+              <div className="flex flex-wrap gap-2">
+                {group.slots.map(slot => (
+                  <button
+                    key={slot.start}
+                    onClick={() => handleSlotClick(slot)}
+                    disabled={!canBook}
+                    className={`px-3 py-1 rounded-lg text-sm border transition-colors ${
+                      selectedSlot?.start === slot.start
+                        ? 'bg-indigo-600 text-white border-indigo-600'
+                        : 'bg-green-100 text-green-800 border-green-200'
+                    } ${canBook ? 'hover:bg-green-200 cursor-pointer' : 'cursor-default'}`}
+                  >
+                    {formatTime(slot.start)}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Booking Form */}
+      {canBook && selectedSlot && (
+        <form onSubmit={handleBook} className="mt-6 pt-6 border-t border-gray-200 space-y-4">
+          <p className="text-sm font-medium text-gray-900">{formatSlot(selectedSlot)}</p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Your Name
+              </label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Email
+              </label>
+              <input
+                type="email"
+                value={form.email}
+                onChange={(e) => setForm(prev => ({ ...prev, email: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                required
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Notes (optional)
+            </label>
+            <textarea
+              value={form.notes}
+              onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+              rows={3}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          </div>
+
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+            >
+              {directBooking ? 'Confirm Booking' : 'Request Booking'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setSelectedSlot(null)}
+              className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg font-medium transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default BookingPanel;
@@ -0,0 +1,362 @@
+import React, { useState, useEffect } from 'react';
+import bookingService from '../services/bookingService';
+import analyticsService from '../services/analyticsService';
+
+/**
+ * BookingStatus Component - Manage page for a booked meeting
+ *
+ * Reached through the private `?booking=<token>` link a visitor gets after
+ * booking. Shows where the booking stands and lets the visitor accept a time
+ * the owner proposed, move the meeting or cancel it.
+ *
+ * Features:
+ * - Booking details and status
+ * - Owner's message when declining or proposing times
+ * - Accept a proposed time
+ * - Reschedule into another free slot
+ * - Cancel with an optional reason
+ * - Change history
+ *
+ * TODO: Email the visitor when the status changes
+ */
+const STATUS_STYLES = {
+  pending: { label: 'Waiting for confirmation', className: 'bg-yellow-100 text-yellow-800' },
+  proposed: { label: 'New times proposed', className: 'bg-blue-100 text-blue-800' },
+  confirmed: { label: 'Confirmed', className: 'bg-green-100 text-green-800' },
+  declined: { label: 'Declined', className: 'bg-red-100 text-red-800' },
+  cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-800' }
+};
+
+const HISTORY_LABELS = {
+  requested: 'Requested',
+  confirmed: 'Booked',
+  approved: 'Approved',
+  declined: 'Declined',
+  proposed: 'New times proposed',
+  accepted: 'Proposed time accepted',
+  rescheduled: 'Rescheduled',
+  cancelled: 'Cancelled'
+};
+
+const OPEN_STATUSES = ['pending', 'proposed', 'confirmed'];
+
+const BookingStatus = ({ token, onBack }) => {
+  const [booking, setBooking] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [mode, setMode] = useState(null); // 'reschedule' or 'cancel'
+  const [weekStart, setWeekStart] = useState(new Date());
+  const [reason, setReason] = useState('');
+
+  useEffect(() => {
+    setBooking(bookingService.getBookingByToken(token));
+    setIsLoading(false);
+  }, [token]);
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  const handleAccept = (time) => {
+    try {
+      const updated = bookingService.acceptProposedTime(token, time.start);
+      setBooking(updated);
+      setMessage({
+        type: 'success',
+        text: updated.status === 'confirmed'
+          ? `You're booked for ${formatDateTime(updated.start)}.`
+          : `Requested ${formatDateTime(updated.start)}. ${updated.ownerName} will confirm.`
+      });
+
+      analyticsService.trackCalendar('booking_proposal_accepted', updated.meetingTypeName);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleReschedule = (slot) => {
+    try {
+      const updated = bookingService.rescheduleBooking(token, slot.start);
+      setBooking(updated);
+      setMode(null);
+      setMessage({
+        type: 'success',
+        text: updated.status === 'confirmed'
+          ? `Moved to ${formatDateTime(updated.start)}.`
+          : `Requested ${formatDateTime(updated.start)} instead. ${updated.ownerName} will confirm.`
+      });
+
+      analyticsService.trackCalendar('booking_rescheduled', updated.meetingTypeName);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleCancel = () => {
+    try {
+      const updated = bookingService.cancelBooking(token, reason);
+      setBooking(updated);
+      setMode(null);
+      setReason('');
+      setMessage({ type: 'success', text: 'Your booking has been cancelled.' });
+
+      analyticsService.trackCalendar('booking_cancelled', updated.meetingTypeName);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const navigateWeek = (direction) => {
+    setWeekStart(prev => {
+      const next = new Date(prev);
+      next.setDate(prev.getDate() + direction * 7);
+      // Don't page back past the current week
+      return next < new Date() ? new Date() : next;
+    });
+  };
+
+  // Free slots for the week starting at weekStart, grouped by day
+  const getRescheduleSlotsByDay = () => {
+    const rangeEnd = new Date(weekStart);
+    rangeEnd.setDate(rangeEnd.getDate() + 7);
+
+    const groups = [];
+    try {
+      bookingService.getRescheduleSlots(token, { start: weekStart, end: rangeEnd }).forEach(slot => {
+        const dateKey = new Date(slot.start).toDateString();
+        const group = groups.find(item => item.dateKey === dateKey);
+        if (group) {
+          group.slots.push(slot);
+        } else {
+          groups.push({ dateKey, date: new Date(slot.start), slots: [slot] });
+        }
+      });
+    } catch (error) {
+      return [];
+    }
+    return groups;
+  };
+
+  if (isLoading) {
+    return null;
+  }
+
+  if (!booking) {
+    return (
+      <div className="max-w-2xl mx-auto">
+        <div className="text-center py-12">
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Booking Not Found</h2>
+          <p className="text-gray-600 mb-4">This booking link is invalid or the booking was removed.</p>
+          {onBack && (
+            <button
+              onClick={onBack}
+              className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+            >
+              Go Back
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const status = STATUS_STYLES[booking.status] || { label: booking.status, className: 'bg-gray-100 text-gray-800' };
+  const canChange = OPEN_STATUSES.includes(booking.status) && new Date(booking.end) > new Date();
+  const rescheduleSlotsByDay = canChange && mode === 'reschedule' ? getRescheduleSlotsByDay() : [];
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">
+          {booking.meetingTypeName} with {booking.ownerName}
+        </h1>
+        <p className="text-gray-600 mt-2">Booked by {booking.name} ({booking.email})</p>
+      </div>
+
+      {/* Message Display */}
+      {message.text && (
+        <div className={`mb-6 p-4 rounded-lg ${
+          message.type === 'success'
+            ? 'bg-green-100 text-green-800 border border-green-200'
+            : 'bg-red-100 text-red-800 border border-red-200'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {/* Booking Details */}
+      <div className="bg-white rounded-lg border border-gray-200 p-6 mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">Your Booking</h2>
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${status.className}`}>
+            {status.label}
+          </span>
+        </div>
+
+        <p className="text-gray-900">{formatDateTime(booking.start)}</p>
+        {booking.notes && (
+          <p className="text-sm text-gray-600 mt-2">Your notes: {booking.notes}</p>
+        )}
+
+        {booking.ownerMessage && (
+          <div className="mt-4 p-3 bg-gray-50 rounded-lg">
+            <p className="text-sm text-gray-500">Message from {booking.ownerName}</p>
+            <p className="text-sm text-gray-900 mt-1">{booking.ownerMessage}</p>
+          </div>
+        )}
+
+        {canChange && !mode && (
+          <div className="flex space-x-3 mt-6">
+            <button
+              onClick={() => setMode('reschedule')}
+              className="bg-indigo-100 hover:bg-indigo-200 text-indigo-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+            >
+              Reschedule
+            </button>
+            <button
+              onClick={() => setMode('cancel')}
+              className="bg-red-100 hover:bg-red-200 text-red-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+            >
+              Cancel Booking
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Reschedule */}
+      {canChange && mode === 'reschedule' && (
+        <div className="bg-white rounded-lg border border-gray-200 p-6 mb-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">Pick a New Time</h2>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => navigateWeek(-1)}
+                className="p-1 hover:bg-gray-100 rounded"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                </svg>
+              </button>
+              <button
+                onClick={() => navigateWeek(1)}
+                className="p-1 hover:bg-gray-100 rounded"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                </svg>
+              </button>
+            </div>
+          </div>
+
+          {rescheduleSlotsByDay.length === 0 ? (
+            <p className="text-sm text-gray-500">No open times this week.</p>
+          ) : (
+            <div className="space-y-4">
+              {rescheduleSlotsByDay.map(group => (
+                <div key={group.dateKey}>
+                  <h3 className="text-sm font-medium text-gray-900 mb-2">
+                    {group.date.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })}
+                  </h3>
+                  <div className="flex flex-wrap gap-2">
+                    {group.slots.map(slot => (
+                      <button
+                        key={slot.start}
+                        onClick={() => handleReschedule(slot)}
+                        className="px-3 py-1 rounded-lg text-sm border bg-green-100 text-green-800 border-green-200 hover:bg-green-200 transition-colors"
+                      >
+                        {new Date(slot.start).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <button
+            onClick={() => setMode(null)}
+            className="mt-6 bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+          >
+            Keep Current Time
+          </button>
+        </div>
+      )}
+
+      {/* Cancel */}
+      {canChange && mode === 'cancel' && (
+        <div className="bg-white rounded-lg border border-gray-200 p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Cancel This Booking?</h2>
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder={`Let ${booking.ownerName} know why (optional)`}
+            rows={3}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <div className="flex space-x-3 mt-4">
+            <button
+              onClick={handleCancel}
+              className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+            >
+              Cancel Booking
+            </button>
+            <button
+              onClick={() => setMode(null)}
+              className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+            >
+              Keep Booking
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Proposed Times */}
+      {booking.status === 'proposed' && (
+        <div className="bg-white rounded-lg border border-gray-200 p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">Proposed Times</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            {booking.ownerName} can't make the original time. Pick one of these instead:
+          </p>
+          <div className="space-y-2">
+            {booking.proposedTimes.map(time => (
+              <div key={time.start} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <span className="text-sm text-gray-900">{formatDateTime(time.start)}</span>
+                <button
+                  onClick={() => handleAccept(time)}
+                  className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-lg text-sm font-medium transition-colors"
+                >
+                  Accept
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* History */}
+      <div className="bg-white rounded-lg border border-gray-200 p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">History</h2>
+        <ul className="space-y-2">
+          {booking.history.map((entry, index) => (
+            <li key={index} className="flex items-center justify-between text-sm">
+              <span className="text-gray-900">
+                {HISTORY_LABELS[entry.action] || entry.action}
+                {entry.action === 'rescheduled' && ` to ${formatDateTime(entry.to)}`}
+              </span>
+              <span className="text-gray-500">{new Date(entry.at).toLocaleString()}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default BookingStatus;
@@ -1,4 +1,5 @@
-import React from 'react';
+import React, { useState, useRef } from 'react';
+import eventService from '../services/eventService';
 
 /**
  * CalendarSetup Component - Choose Calendar Import or Creation
@@ -8,6 +9,7 @@ import React from 'react';
  * 
  * Features:
  * - Import from Google Calendar, Outlook, Apple Calendar
+ * - Import an iCalendar (.ics) file exported from any calendar app
  * - Create new calendar from scratch
  * - Clear explanation of each option
  * - Privacy-focused messaging
@@ -16,7 +18,28 @@ import React from 'react';
  * TODO: Implement calendar creation wizard
  * TODO: Add calendar preview functionality
  */
-const CalendarSetup = ({ onImportCalendar, onCreateFromScratch, onBack }) => {
+const CalendarSetup = ({ onImportCalendar, onCreateFromScratch, onImportComplete, onBack }) => {
+  const [importError, setImportError] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsImporting(true);
+    setImportError('');
+    try {
+      const text = await file.text();
+      const result = eventService.importCalendar(text);
+      onImportComplete(result);
+    } catch (error) {
+      setImportError(error.message);
+    }
+    setIsImporting(false);
+  };
+
   return (
     <div className="max-w-4xl mx-auto">
       {/* Header */}
@@ -159,6 +182,35 @@ const CalendarSetup = ({ onImportCalendar, onCreateFromScratch, onBack }) => {
         </div>
       </div>
 
+      {/* ICS File Import */}
+      <div className="bg-white rounded-lg border border-gray-200 p-6 mb-8">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Have an .ics file?</h3>
+            <p className="text-sm text-gray-600 mt-1">
+              Export your calendar from any app and import it here. The file is read in your browser.
+            </p>
+          </div>
+          <button
+            onClick={() => fileInputRef.current && fileInputRef.current.click()}
+            disabled={isImporting}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-2 px-4 rounded-lg transition-colors disabled:opacity-50"
+          >
+            {isImporting ? 'Importing...' : 'Import .ics File'}
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".ics,text/calendar"
+            onChange={handleImportFile}
+            className="hidden"
+          />
+        </div>
+        {importError && (
+          <p className="mt-3 text-sm text-red-600">{importError}</p>
+        )}
+      </div>
+
       {/* Additional Info */}
       <div className="bg-gray-50 rounded-lg p-6">
         <h3 className="text-lg font-semibold text-gray-900 mb-4">
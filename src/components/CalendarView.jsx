@@ -1,5 +1,15 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import authService from '../services/authService';
+import eventService from '../services/eventService';
+import analyticsService from '../services/analyticsService';
+import recurrenceService from '../services/recurrenceService';
+import availabilityService from '../services/availabilityService';
+import icsService from '../services/icsService';
+import bookingService from '../services/bookingService';
+import pollService from '../services/pollService';
+import timezoneService from '../services/timezoneService';
+import reminderService from '../services/reminderService';
+import TimeZoneSelect from './TimeZoneSelect';
 
 /**
  * CalendarView Component - Main Calendar Interface
@@ -14,75 +24,158 @@ import authService from '../services/authService';
  * - Delete events
  * - Calendar navigation
  * - Event details modal
+ * - Recurring events with per-occurrence editing
+ * - iCalendar (.ics) import and export
+ * - Availability overrides (holidays, custom hours) marked on their days
+ * - Picking candidate times for a meeting poll
+ * - Times shown in the viewer's zone, with an optional second zone in week/day view
+ * - All-day and multi-day events as bars across days
+ * - Week and day grids sized by exact times, overlapping events side by side
+ * - Drag to move or resize events, or to create one over a range of time
+ * - Conflict warnings on save, counting buffer time, with nearby free times
+ * - Agenda view listing events day by day over a chosen range
+ * - Search by text, color and dates, jumping to a result in the week grid
+ * - Reminders before each event
+ * - New events from meeting type templates
+ * - Attendees with RSVP status; invites from other users shown and answered here
  * 
  * TODO: Implement real calendar API integration
- * TODO: Add event creation/editing functionality
  * TODO: Add calendar sharing features
- * TODO: Implement recurring events
  */
-const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) => {
+
+const WEEKDAY_OPTIONS = [
+  { weekday: 0, label: 'S' },
+  { weekday: 1, label: 'M' },
+  { weekday: 2, label: 'T' },
+  { weekday: 3, label: 'W' },
+  { weekday: 4, label: 'T' },
+  { weekday: 5, label: 'F' },
+  { weekday: 6, label: 'S' }
+];
+
+// Hours shown in the week and day grids, and the height of one hour in pixels
+const GRID_START_HOUR = 6;
+const GRID_END_HOUR = 22;
+const HOUR_HEIGHT = 60;
+
+// Shortest block drawn, so brief events stay clickable
+const MIN_BLOCK_MINUTES = 15;
+
+// Dragged and resized times snap to this many minutes
+const SNAP_MINUTES = 15;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Length of the agenda range until the user picks another end date
+const DEFAULT_AGENDA_DAYS = 30;
+
+const SEARCH_COLORS = ['blue', 'green', 'purple', 'red', 'yellow'];
+
+const RSVP_OPTIONS = [
+  { value: 'accepted', label: 'Yes', badgeClass: 'bg-green-100 text-green-800', activeClass: 'bg-green-600 text-white border-green-600' },
+  { value: 'tentative', label: 'Maybe', badgeClass: 'bg-yellow-100 text-yellow-800', activeClass: 'bg-yellow-500 text-white border-yellow-500' },
+  { value: 'declined', label: 'No', badgeClass: 'bg-red-100 text-red-800', activeClass: 'bg-red-600 text-white border-red-600' }
+];
+
+const RSVP_LABELS = {
+  'needs-action': 'Awaiting reply',
+  accepted: 'Going',
+  tentative: 'Maybe',
+  declined: 'Not going'
+};
+
+// Get the date range shown by a calendar view
+const getVisibleRange = (date, viewMode, agendaDays = DEFAULT_AGENDA_DAYS) => {
+  if (viewMode === 'agenda') {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    return { start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + agendaDays) };
+  }
+
+  if (viewMode === 'month') {
+    return {
+      start: new Date(date.getFullYear(), date.getMonth(), 1),
+      end: new Date(date.getFullYear(), date.getMonth() + 1, 1)
+    };
+  }
+
+  if (viewMode === 'week') {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+    return { start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7) };
+  }
+
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return { start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1) };
+};
+
+const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onAvailability, onBookings, onFindTime, onPolls, onBack }) => {
   const [currentDate, setCurrentDate] = useState(new Date());
-  const [viewMode, setViewMode] = useState('month'); // month, week, day
+  const [viewMode, setViewMode] = useState('month'); // month, week, day, agenda
+  const [agendaDays, setAgendaDays] = useState(DEFAULT_AGENDA_DAYS);
   const [events, setEvents] = useState([]);
+  const [upcomingEvents, setUpcomingEvents] = useState([]);
   const [selectedEvent, setSelectedEvent] = useState(null);
   const [showEventModal, setShowEventModal] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [message, setMessage] = useState({ type: '', text: '' });
   const [currentStatus, setCurrentStatus] = useState(null);
+  const [availability, setAvailability] = useState(null);
+  const [pendingBookings, setPendingBookings] = useState(0);
+  const [scopePrompt, setScopePrompt] = useState(null); // 'save' or 'delete' for recurring events
+  const [conflictCheck, setConflictCheck] = useState(null); // { conflicts, alternatives, scope } when saving would double-book
+  const [pollDraft, setPollDraft] = useState(null); // { title, description, duration, options } while picking poll times
+  const [createdPoll, setCreatedPoll] = useState(null);
+  const [secondaryTimeZone, setSecondaryTimeZone] = useState(null);
+  const [drag, setDrag] = useState(null); // move, resize or create in progress in the week/day grid
+  const [search, setSearch] = useState({ query: '', color: '', from: '', to: '' });
+  const [searchResults, setSearchResults] = useState(null);
+  const [highlightedEventId, setHighlightedEventId] = useState(null);
+  const [attendeeInput, setAttendeeInput] = useState('');
+  const importInputRef = useRef(null);
+  const draggedEventRef = useRef(null); // { event, grabDay } while dragging in month view or the all-day row
+  const scrollToEventRef = useRef(null); // search result to scroll to once its view has rendered
+  const localTimeZone = timezoneService.getLocalTimeZone();
+
+  // Load events (with recurring occurrences expanded) for the visible range
+  const loadEvents = useCallback(() => {
+    const { start, end } = getVisibleRange(currentDate, viewMode, agendaDays);
+    setEvents(eventService.listEventsInRange(start, end));
+
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const upcomingEnd = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 90);
+    setUpcomingEvents(eventService.listEventsInRange(today, upcomingEnd));
+  }, [currentDate, viewMode, agendaDays]);
 
-  // Load user data and events
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  // Bring a search result into view once the grid showing it has rendered
+  useEffect(() => {
+    const eventId = scrollToEventRef.current;
+    if (!eventId) return;
+
+    const element = document.querySelector(`[data-event-id="${eventId}"]`);
+    if (element && element.scrollIntoView) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    scrollToEventRef.current = null;
+  }, [events]);
+
+  // Load user data
   useEffect(() => {
     const loadCalendarData = () => {
       const currentUser = authService.getCurrentUser();
       if (currentUser) {
-        // TODO: Load actual events from calendar API
-        // For now, use sample events with future dates
-        const today = new Date();
-        const tomorrow = new Date(today);
-        tomorrow.setDate(today.getDate() + 1);
-        const nextWeek = new Date(today);
-        nextWeek.setDate(today.getDate() + 7);
-        
-        const sampleEvents = [
-          {
-            id: 1,
-            title: 'Team Standup',
-            start: new Date(tomorrow.getFullYear(), tomorrow.getMonth(), tomorrow.getDate(), 9, 0),
-            end: new Date(tomorrow.getFullYear(), tomorrow.getMonth(), tomorrow.getDate(), 9, 30),
-            color: 'blue',
-            description: 'Daily team sync meeting'
-          },
-          {
-            id: 2,
-            title: 'Client Meeting',
-            start: new Date(tomorrow.getFullYear(), tomorrow.getMonth(), tomorrow.getDate(), 14, 0),
-            end: new Date(tomorrow.getFullYear(), tomorrow.getMonth(), tomorrow.getDate(), 15, 0),
-            color: 'green',
-            description: 'Project review with client'
-          },
-          {
-            id: 3,
-            title: 'Product Planning',
-            start: new Date(nextWeek.getFullYear(), nextWeek.getMonth(), nextWeek.getDate(), 10, 0),
-            end: new Date(nextWeek.getFullYear(), nextWeek.getMonth(), nextWeek.getDate(), 11, 30),
-            color: 'purple',
-            description: 'Q1 roadmap planning session'
-          },
-          {
-            id: 4,
-            title: 'Coffee Chat',
-            start: new Date(today.getFullYear(), today.getMonth(), today.getDate(), 15, 0),
-            end: new Date(today.getFullYear(), today.getMonth(), today.getDate(), 16, 0),
-            color: 'yellow',
-            description: 'Casual catch-up with team member'
-          }
-        ];
-        setEvents(sampleEvents);
-        
         // Load user's current status
         if (currentUser.currentStatus) {
           setCurrentStatus(currentUser.currentStatus);
         }
+        if (currentUser.availability) {
+          setAvailability(currentUser.availability);
+        }
+        setSecondaryTimeZone(currentUser.settings?.calendar?.secondaryTimeZone || null);
+        setPendingBookings(bookingService.getPendingCount());
       }
       setIsLoading(false);
     };
@@ -136,9 +229,12 @@ const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) =
     return days;
   };
 
-  const getDayHours = () => {
+  // Local instant at an hour of a day
+  const withHour = (date, hour) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour);
+
+  const getGridHours = () => {
     const hours = [];
-    for (let i = 0; i < 24; i++) {
+    for (let i = GRID_START_HOUR; i < GRID_END_HOUR; i++) {
       hours.push(i);
     }
     return hours;
@@ -160,23 +256,81 @@ const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) =
     });
   };
 
-  const getEventsForDate = (date) => {
-    if (!date) return [];
-    return events.filter(event => {
-      const eventDate = new Date(event.start);
-      return eventDate.toDateString() === date.toDateString();
+  // Move the agenda range back or forward by its own length
+  const navigateAgenda = (direction) => {
+    setCurrentDate(prev => new Date(prev.getFullYear(), prev.getMonth(), prev.getDate() + direction * agendaDays));
+  };
+
+  const navigate = (direction) => {
+    if (viewMode === 'month') navigateMonth(direction);
+    else if (viewMode === 'week') navigateWeek(direction);
+    else if (viewMode === 'agenda') navigateAgenda(direction);
+    else navigateDay(direction);
+  };
+
+  // Events in the agenda range grouped by day, each listed on the day it
+  // starts or on the first day of the range if it started earlier
+  const getAgendaGroups = () => {
+    const { start } = getVisibleRange(currentDate, 'agenda', agendaDays);
+    const groups = [];
+    events.forEach(event => {
+      const shownFrom = new Date(Math.max(new Date(event.start), start));
+      const day = new Date(shownFrom.getFullYear(), shownFrom.getMonth(), shownFrom.getDate());
+      const last = groups[groups.length - 1];
+      if (last && last.day.getTime() === day.getTime()) {
+        last.events.push(event);
+      } else {
+        groups.push({ day, events: [event] });
+      }
     });
+    return groups;
+  };
+
+  // The agenda starts on currentDate and runs agendaDays days; the inputs show its first and last day
+  const handleAgendaStartChange = (value) => {
+    if (!value) return;
+    setCurrentDate(parseDateInput(value));
   };
 
-  const getEventsForDateAndHour = (date, hour) => {
+  const handleAgendaEndChange = (value) => {
+    if (!value) return;
+    const start = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate());
+    setAgendaDays(Math.max(1, Math.round((parseDateInput(value) - start) / DAY_MS) + 1));
+  };
+
+  const getEventsForDate = (date) => {
     if (!date) return [];
-    return events.filter(event => {
-      const eventDate = new Date(event.start);
-      const eventHour = eventDate.getHours();
-      return eventDate.toDateString() === date.toDateString() && eventHour === hour;
-    });
+    return events.filter(event => eventService.occursOnDate(event, date));
+  };
+
+  // Split days into calendar rows of up to seven
+  const getWeekRows = (days) => {
+    const rows = [];
+    for (let i = 0; i < days.length; i += 7) {
+      rows.push(days.slice(i, i + 7));
+    }
+    return rows;
+  };
+
+  // Date-specific availability override (holiday, custom hours) for a day
+  const getOverrideForDate = (date) => {
+    if (!date || !availability) return null;
+    return availabilityService.getDateOverride(availability, availabilityService.formatDateKey(date));
   };
 
+  const renderOverrideBadge = (override) => (
+    <div
+      className={`text-xs px-1 rounded truncate ${
+        override.hours.length === 0 ? 'bg-gray-200 text-gray-700' : 'bg-yellow-100 text-yellow-800'
+      }`}
+      title={override.note || undefined}
+    >
+      {override.hours.length === 0
+        ? 'Unavailable'
+        : override.hours.map(hours => `${hours.start}–${hours.end}`).join(', ')}
+    </div>
+  );
+
   const getEventsForWeek = (startDate) => {
     const endDate = new Date(startDate);
     endDate.setDate(startDate.getDate() + 6);
@@ -188,67 +342,781 @@ const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) =
   };
 
   const handleEventClick = (event) => {
-    setSelectedEvent(event);
+    // Stored overrides don't carry the series rule, so show the master's
+    if (event.recurringEventId && !event.recurrence && !event.invitation) {
+      const master = eventService.getEvent(event.recurringEventId);
+      setSelectedEvent({ ...event, recurrence: master?.recurrence || null, exdates: master?.exdates || [] });
+    } else {
+      setSelectedEvent(event);
+    }
     setShowEventModal(true);
   };
 
-  const addNewEvent = () => {
+  const closeEventModal = () => {
+    setShowEventModal(false);
+    setSelectedEvent(null);
+    setAttendeeInput('');
+    setScopePrompt(null);
+    setConflictCheck(null);
+  };
+
+  const repeatRule = selectedEvent?.recurrence ? recurrenceService.parseRule(selectedEvent.recurrence) : null;
+
+  const updateRepeatRule = (changes) => {
+    setSelectedEvent(prev => {
+      if (!changes) return { ...prev, recurrence: null };
+      const current = prev.recurrence ? recurrenceService.parseRule(prev.recurrence) : {};
+      return { ...prev, recurrence: recurrenceService.buildRule({ ...current, ...changes }) };
+    });
+  };
+
+  const handleRepeatFrequencyChange = (freq) => {
+    if (!freq) {
+      updateRepeatRule(null);
+      return;
+    }
+
+    const start = new Date(selectedEvent.start);
+    updateRepeatRule({
+      freq,
+      interval: 1,
+      byDay: freq === 'WEEKLY' ? [{ weekday: start.getDay(), n: 0 }] : [],
+      byMonthDay: [],
+      byMonth: []
+    });
+  };
+
+  // Pre-fill a new event from a meeting type, keeping its start time
+  const handleMeetingTypeChange = (meetingTypeId) => {
+    if (!meetingTypeId) {
+      setSelectedEvent(prev => ({ ...prev, meetingTypeId: null }));
+      return;
+    }
+
+    const template = availabilityService.getMeetingTypeEventData(availability, meetingTypeId, selectedEvent.start);
+    const meetingType = availability.meetingTypes.find(type => String(type.id) === String(meetingTypeId));
+    setSelectedEvent(prev => ({
+      ...prev,
+      ...template,
+      title: prev.title.trim() ? prev.title : meetingType.name
+    }));
+
+    analyticsService.trackClick('meeting_type_template', 'event_modal', { duration: meetingType.duration });
+  };
+
+  const addAttendee = (e) => {
+    e.preventDefault();
+
+    const email = attendeeInput.trim().toLowerCase();
+    const currentUser = authService.getCurrentUser();
+    if (!authService.isValidEmail(email)) {
+      setMessage({ type: 'error', text: 'Please enter a valid email address' });
+      return;
+    }
+    if (currentUser && email === currentUser.email.toLowerCase()) {
+      setMessage({ type: 'error', text: 'You are the organizer of this event' });
+      return;
+    }
+    if ((selectedEvent.attendees || []).some(attendee => attendee.email === email)) {
+      setAttendeeInput('');
+      return;
+    }
+
+    const account = authService.findStoredUserByEmail(email);
+    setSelectedEvent(prev => ({
+      ...prev,
+      attendees: [...(prev.attendees || []), { email, name: account ? account.fullName : '', status: 'needs-action' }]
+    }));
+    setAttendeeInput('');
+
+    analyticsService.trackClick('add_attendee', 'event_modal', { checkmateUser: !!account });
+  };
+
+  const removeAttendee = (email) => {
+    setSelectedEvent(prev => ({ ...prev, attendees: prev.attendees.filter(attendee => attendee.email !== email) }));
+  };
+
+  // Answer an invitation from another user's calendar
+  const respondToInvitation = (status) => {
+    try {
+      eventService.respondToInvitation(selectedEvent.invitation, status);
+      analyticsService.trackCalendar('rsvp', selectedEvent.color, { status });
+      setMessage({ type: 'success', text: `Replied "${RSVP_LABELS[status]}" to ${selectedEvent.invitation.ownerName}.` });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+      return;
+    }
+
+    loadEvents();
+    closeEventModal();
+    clearMessageLater();
+  };
+
+  const toggleReminder = (minutes) => {
+    setSelectedEvent(prev => {
+      const reminders = prev.reminders || [];
+      return {
+        ...prev,
+        reminders: reminders.includes(minutes)
+          ? reminders.filter(item => item !== minutes)
+          : [...reminders, minutes].sort((a, b) => a - b)
+      };
+    });
+  };
+
+  const toggleRepeatWeekday = (weekday) => {
+    const days = repeatRule.byDay.some(day => day.weekday === weekday)
+      ? repeatRule.byDay.filter(day => day.weekday !== weekday)
+      : [...repeatRule.byDay, { weekday, n: 0 }].sort((a, b) => a.weekday - b.weekday);
+    updateRepeatRule({ byDay: days });
+  };
+
+  // Switch between whole days and timed events, keeping the days covered
+  const handleAllDayChange = (allDay) => {
+    setSelectedEvent(prev => {
+      const start = new Date(prev.start);
+      const end = new Date(prev.end);
+      if (allDay) {
+        // An end at midnight belongs to the day before
+        const lastDay = new Date(Math.max(end.getTime() - 1, start.getTime()));
+        return {
+          ...prev,
+          allDay: true,
+          start: new Date(start.getFullYear(), start.getMonth(), start.getDate()),
+          end: new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate() + 1)
+        };
+      }
+      const lastDay = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+      return {
+        ...prev,
+        allDay: false,
+        start: new Date(start.getFullYear(), start.getMonth(), start.getDate(), 9),
+        end: new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate(), 10)
+      };
+    });
+  };
+
+  // Save the second zone shown next to the hours in week and day view
+  const handleSecondaryTimeZoneChange = (timeZone) => {
+    const currentUser = authService.getCurrentUser();
+    authService.updateUserSettings({
+      calendar: { ...(currentUser.settings?.calendar || {}), secondaryTimeZone: timeZone }
+    });
+    setSecondaryTimeZone(timeZone);
+
+    analyticsService.trackClick('secondary_time_zone', 'calendar_view', { enabled: !!timeZone });
+  };
+
+  const formatHourLabel = (hour) => {
+    return hour === 0 ? '12 AM' : hour < 12 ? `${hour} AM` : hour === 12 ? '12 PM' : `${hour - 12} PM`;
+  };
+
+  // "YYYY-MM-DD" of an instant's local calendar day, for date inputs
+  const toDateInputValue = (value) => {
+    const date = new Date(value);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  };
+
+  // "Mar 3 – Mar 5" for all-day events, with times for multi-day timed events
+  const formatSpan = (event) => {
+    const start = new Date(event.start);
+    const end = new Date(event.end);
+    if (event.allDay) {
+      const lastDay = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+      const startLabel = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+      return lastDay > start
+        ? `${startLabel} – ${lastDay.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`
+        : startLabel;
+    }
+    const options = { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' };
+    return `${start.toLocaleString('en-US', options)} – ${end.toLocaleString('en-US', options)}`;
+  };
+
+  // Bar for an all-day or multi-day event laid out by eventService.layoutSpanningEvents
+  const renderSpanningBar = (bar, days) => (
+    <div
+      key={bar.event.id}
+      draggable
+      onDragStart={(e) => {
+        // The bar covers several days; moving keeps the grabbed day under the pointer
+        const rect = e.currentTarget.parentElement.getBoundingClientRect();
+        const index = Math.min(6, Math.max(0, Math.floor(((e.clientX - rect.left) / rect.width) * 7)));
+        handleEventDragStart(e, bar.event, days[index] || days[bar.startIndex]);
+      }}
+      onClick={(e) => {
+        e.stopPropagation();
+        handleEventClick(bar.event);
+      }}
+      data-event-id={bar.event.id}
+      style={{ gridColumn: `${bar.startIndex + 1} / span ${bar.span}`, gridRow: bar.lane + 1 }}
+      className={`h-5 px-1 text-xs leading-5 text-white cursor-pointer truncate pointer-events-auto ${getEventColorClass(bar.event)} ${
+        bar.continuesBefore ? '' : 'rounded-l ml-1'
+      } ${bar.continuesAfter ? '' : 'rounded-r mr-1'} ${getHighlightClass(bar.event)}`}
+      title={`${bar.event.title} (${formatSpan(bar.event)})`}
+    >
+      {bar.continuesBefore && '← '}{bar.event.recurringEventId && '↻ '}{bar.event.title}{bar.continuesAfter && ' →'}
+    </div>
+  );
+
+  // Date inputs give "YYYY-MM-DD"; read it as a local day, not UTC midnight
+  const parseDateInput = (value) => {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  };
+
+  // Remember an event dragged in month view or the all-day row, and the day it was grabbed on
+  const handleEventDragStart = (e, event, grabDay) => {
+    // Invitations belong to someone else's calendar
+    if (event.invitation) {
+      e.preventDefault();
+      return;
+    }
+    draggedEventRef.current = { event, grabDay };
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', event.id);
+  };
+
+  const handleDayDragOver = (e) => {
+    if (draggedEventRef.current) e.preventDefault();
+  };
+
+  // Drop on a row of day cells; the day is worked out from the pointer's column
+  const handleDayDrop = (e, days) => {
+    e.preventDefault();
+    const dragged = draggedEventRef.current;
+    draggedEventRef.current = null;
+    if (!dragged) return;
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const dropDay = days[Math.min(6, Math.max(0, Math.floor(((e.clientX - rect.left) / rect.width) * 7)))];
+    if (!dropDay) return;
+
+    const dayShift = Math.round(
+      (new Date(dropDay.getFullYear(), dropDay.getMonth(), dropDay.getDate()) -
+        new Date(dragged.grabDay.getFullYear(), dragged.grabDay.getMonth(), dragged.grabDay.getDate())) / DAY_MS
+    );
+    if (dayShift === 0) return;
+
+    // Shift by calendar days so times of day survive DST changes
+    const shift = (value) => {
+      const date = new Date(value);
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate() + dayShift, date.getHours(), date.getMinutes());
+    };
+    saveDraggedTimes(dragged.event, shift(dragged.event.start), shift(dragged.event.end), 'move');
+  };
+
+  // Save times changed by dragging. Only the dragged occurrence of a repeating event changes.
+  const saveDraggedTimes = (event, start, end, action) => {
+    try {
+      const updates = { start: start.toISOString(), end: end.toISOString() };
+      if (event.recurringEventId) {
+        eventService.updateOccurrence(event, { ...event, ...updates }, 'this');
+      } else {
+        eventService.updateEvent(event.id, updates);
+      }
+      analyticsService.trackCalendar(action, event.color, { recurring: !!event.recurringEventId });
+      setMessage({
+        type: 'success',
+        text: event.recurringEventId
+          ? 'Updated this occurrence only.'
+          : action === 'move' ? 'Event moved.' : 'Event resized.'
+      });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+      return;
+    }
+
+    loadEvents();
+    clearMessageLater();
+  };
+
+  // Minutes after midnight under the pointer in a week/day grid column
+  const getPointerMinutes = (e) => {
+    const rect = e.currentTarget.closest('[data-day-column]').getBoundingClientRect();
+    const minutes = GRID_START_HOUR * 60 + ((e.clientY - rect.top) / HOUR_HEIGHT) * 60;
+    return Math.min(Math.max(minutes, GRID_START_HOUR * 60), GRID_END_HOUR * 60);
+  };
+
+  const snapMinutes = (minutes, round = Math.round) => round(minutes / SNAP_MINUTES) * SNAP_MINUTES;
+
+  const atMinutes = (day, minutes) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+
+  // Grab an event block (mode 'move') or one of its edges ('resize-start', 'resize-end')
+  const startEventDrag = (e, day, block, mode) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setDrag({
+      mode,
+      event: block.event,
+      day,
+      startMinutes: block.startMinutes,
+      endMinutes: block.endMinutes,
+      grabOffset: getPointerMinutes(e) - block.startMinutes,
+      changed: false
+    });
+  };
+
+  // Press on empty grid space to sweep out a new event
+  const startCreateDrag = (e, day) => {
+    if (e.button !== 0 || pollDraft) return;
+    e.preventDefault();
+    const anchor = snapMinutes(getPointerMinutes(e), Math.floor);
+    setDrag({ mode: 'create', event: null, day, anchor, startMinutes: anchor, endMinutes: anchor + SNAP_MINUTES, changed: false });
+  };
+
+  const handleGridMouseMove = (e, day) => {
+    // Invitations can be opened but not moved
+    if (!drag || (drag.event && drag.event.invitation)) return;
+    const minutes = getPointerMinutes(e);
+    let next;
+
+    if (drag.mode === 'move') {
+      const duration = drag.endMinutes - drag.startMinutes;
+      const startMinutes = Math.min(Math.max(snapMinutes(minutes - drag.grabOffset), 0), 24 * 60 - SNAP_MINUTES);
+      next = { day, startMinutes, endMinutes: startMinutes + duration };
+    } else if (day.toDateString() !== drag.day.toDateString()) {
+      // Resizing and creating stay within the day they started on
+      return;
+    } else if (drag.mode === 'resize-end') {
+      next = { endMinutes: Math.max(snapMinutes(minutes), drag.startMinutes + SNAP_MINUTES) };
+    } else if (drag.mode === 'resize-start') {
+      next = { startMinutes: Math.min(snapMinutes(minutes), drag.endMinutes - SNAP_MINUTES) };
+    } else {
+      next = {
+        startMinutes: Math.min(drag.anchor, snapMinutes(minutes, Math.floor)),
+        endMinutes: Math.max(drag.anchor + SNAP_MINUTES, snapMinutes(minutes, Math.ceil))
+      };
+    }
+
+    const updated = { ...drag, ...next };
+    if (
+      updated.day.toDateString() !== drag.day.toDateString() ||
+      updated.startMinutes !== drag.startMinutes ||
+      updated.endMinutes !== drag.endMinutes
+    ) {
+      setDrag({ ...updated, changed: true });
+    }
+  };
+
+  // Release: save the new times, open the event if it was only clicked, or
+  // start a new event over the swept range
+  const finishDrag = () => {
+    if (!drag) return;
+    const { mode, event, day, startMinutes, endMinutes, changed } = drag;
+    setDrag(null);
+
+    if (!changed) {
+      if (event) handleEventClick(event);
+      return;
+    }
+
+    if (mode === 'create') {
+      addNewEvent(atMinutes(day, startMinutes), atMinutes(day, endMinutes));
+      return;
+    }
+
+    const start = mode === 'resize-end' ? new Date(event.start) : atMinutes(day, startMinutes);
+    const end = mode === 'move'
+      ? new Date(start.getTime() + (new Date(event.end) - new Date(event.start)))
+      : mode === 'resize-start' ? new Date(event.end) : atMinutes(day, endMinutes);
+    saveDraggedTimes(event, start, end, mode === 'move' ? 'move' : 'resize');
+  };
+
+  const formatDateTime = (value) => {
+    return new Date(value).toLocaleString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  const formatTimeRange = (event) => {
+    return `${new Date(event.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} - ${new Date(event.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  };
+
+  // Position of a block in the week/day grid from minutes after midnight,
+  // or null when it falls outside the visible hours
+  const getBlockStyle = (startMinutes, endMinutes, column = 0, columns = 1) => {
+    const gridStart = GRID_START_HOUR * 60;
+    const gridEnd = GRID_END_HOUR * 60;
+    const top = Math.max(startMinutes, gridStart);
+    const bottom = Math.min(Math.max(endMinutes, startMinutes + MIN_BLOCK_MINUTES), gridEnd);
+    if (bottom <= top) return null;
+
+    return {
+      top: `${((top - gridStart) / 60) * HOUR_HEIGHT}px`,
+      height: `${((bottom - top) / 60) * HOUR_HEIGHT - 2}px`,
+      left: `${(column / columns) * 100}%`,
+      width: `calc(${100 / columns}% - 2px)`
+    };
+  };
+
+  // One day of the week or day grid: clickable hour cells with poll options and
+  // timed events placed over them by their exact start and end
+  const renderDayColumn = (day, compact) => {
+    const isToday = day.toDateString() === new Date().toDateString();
+    const dayStart = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+    const dayEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+    const pollOptions = pollDraft
+      ? pollDraft.options.filter(option => new Date(option.start).toDateString() === day.toDateString())
+      : [];
+    const dragPreview = drag && drag.changed && drag.day.toDateString() === day.toDateString() ? drag : null;
+
+    return (
+      <div
+        key={day.toDateString()}
+        data-day-column
+        onMouseDown={(e) => startCreateDrag(e, day)}
+        onMouseMove={(e) => handleGridMouseMove(e, day)}
+        className="relative select-none"
+      >
+        {getGridHours().map(hour => (
+          <div
+            key={hour}
+            onClick={() => togglePollOption(day, hour)}
+            style={{ height: HOUR_HEIGHT }}
+            className={`border border-gray-200 ${
+              isToday && new Date().getHours() === hour ? 'bg-indigo-50' : 'bg-white'
+            } ${pollDraft ? 'cursor-pointer hover:bg-indigo-50' : ''}`}
+          ></div>
+        ))}
+
+        {pollOptions.map(option => {
+          const start = new Date(option.start);
+          const end = new Date(option.end);
+          const style = getBlockStyle(
+            start.getHours() * 60 + start.getMinutes(),
+            end.getHours() * 60 + end.getMinutes() || 24 * 60
+          );
+          return style && (
+            <div
+              key={option.start}
+              style={style}
+              className={`absolute rounded border-2 border-dashed border-indigo-400 bg-indigo-50 text-indigo-700 p-1 pointer-events-none ${
+                compact ? 'text-xs' : 'text-sm'
+              }`}
+            >
+              Poll option
+            </div>
+          );
+        })}
+
+        {eventService.layoutDayEvents(events, day).map(block => {
+          const { event, startMinutes, endMinutes, column, columns } = block;
+          const style = getBlockStyle(startMinutes, endMinutes, column, columns);
+          const isDragged = drag && drag.changed && drag.event && drag.event.id === event.id;
+          return style && (
+            <div
+              key={event.id}
+              data-event-id={event.id}
+              style={style}
+              onMouseDown={(e) => startEventDrag(e, day, block, 'move')}
+              className={`absolute rounded text-white cursor-pointer overflow-hidden border border-white ${
+                compact ? 'px-1 text-xs' : 'px-2 py-1 text-sm'
+              } ${getEventColorClass(event)} ${isDragged ? 'opacity-50' : ''} ${getHighlightClass(event)}`}
+              title={`${event.title} (${formatTimeRange(event)})`}
+            >
+              {/* Edges resize; only those that fall on this day */}
+              {!event.invitation && new Date(event.start) >= dayStart && (
+                <div
+                  onMouseDown={(e) => startEventDrag(e, day, block, 'resize-start')}
+                  className="absolute top-0 inset-x-0 h-1.5 cursor-ns-resize"
+                ></div>
+              )}
+              <div className="font-medium truncate">{event.recurringEventId && '↻ '}{event.title}</div>
+              {endMinutes - startMinutes >= 45 && (
+                <div className="text-xs opacity-90 truncate">
+                  {formatTimeRange(event)}
+                  {!compact && formatEventZoneTime(event) && ` (${formatEventZoneTime(event)})`}
+                </div>
+              )}
+              {!event.invitation && new Date(event.end) <= dayEnd && (
+                <div
+                  onMouseDown={(e) => startEventDrag(e, day, block, 'resize-end')}
+                  className="absolute bottom-0 inset-x-0 h-1.5 cursor-ns-resize"
+                ></div>
+              )}
+            </div>
+          );
+        })}
+
+        {dragPreview && getBlockStyle(dragPreview.startMinutes, dragPreview.endMinutes) && (
+          <div
+            style={getBlockStyle(dragPreview.startMinutes, dragPreview.endMinutes)}
+            className={`absolute rounded text-white text-xs px-1 pointer-events-none ring-2 ring-indigo-300 ${
+              getColorClass(dragPreview.event ? dragPreview.event.color : 'blue')
+            }`}
+          >
+            <div className="font-medium truncate">{dragPreview.event ? dragPreview.event.title : 'New event'}</div>
+            <div className="truncate">
+              {atMinutes(day, dragPreview.startMinutes).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} - {atMinutes(day, dragPreview.endMinutes).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Start time of an event in its own zone when that differs from the viewer's
+  const formatEventZoneTime = (event) => {
+    if (!event.timeZone || event.timeZone === localTimeZone || event.allDay) return null;
+    return `${timezoneService.formatHour(event.start, event.timeZone)} ${timezoneService.getShortName(event.start, event.timeZone)}`;
+  };
+
+  // Start picking candidate times for a poll in the week or day view
+  const startPoll = () => {
+    setPollDraft({ title: '', description: '', duration: 60, options: [] });
+    setCreatedPoll(null);
+    if (viewMode === 'month' || viewMode === 'agenda') setViewMode('week');
+  };
+
+  // Add or remove the poll option starting at this hour
+  const togglePollOption = (date, hour) => {
+    if (!pollDraft) return;
+
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour);
+    setPollDraft(prev => {
+      const exists = prev.options.some(option => new Date(option.start).getTime() === start.getTime());
+      return {
+        ...prev,
+        options: exists
+          ? prev.options.filter(option => new Date(option.start).getTime() !== start.getTime())
+          : [...prev.options, {
+            start: start.toISOString(),
+            end: new Date(start.getTime() + prev.duration * 60000).toISOString()
+          }]
+      };
+    });
+  };
+
+  const handlePollDurationChange = (duration) => {
+    setPollDraft(prev => ({
+      ...prev,
+      duration,
+      options: prev.options.map(option => ({
+        ...option,
+        end: new Date(new Date(option.start).getTime() + duration * 60000).toISOString()
+      }))
+    }));
+  };
+
+  const handleCreatePoll = () => {
+    try {
+      const poll = pollService.createPoll(pollDraft);
+      setCreatedPoll(poll);
+      setPollDraft(null);
+
+      analyticsService.trackCalendar('poll_created', 'poll', { options: poll.options.length });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+      clearMessageLater();
+    }
+  };
+
+  const handleCopyPollLink = (link) => {
+    navigator.clipboard.writeText(link).then(() => {
+      setMessage({ type: 'success', text: 'Poll link copied to clipboard!' });
+      analyticsService.trackClick('copy_poll_link', 'calendar_view');
+      clearMessageLater();
+    }).catch(() => {
+      setMessage({ type: 'error', text: 'Failed to copy link' });
+      clearMessageLater();
+    });
+  };
+
+  const addNewEvent = (start = new Date(), end = new Date(start.getTime() + 60 * 60 * 1000)) => {
     setSelectedEvent({
       id: null,
       title: '',
-      start: new Date(),
-      end: new Date(Date.now() + 60 * 60 * 1000), // 1 hour later
+      start,
+      end,
       color: 'blue',
-      description: ''
+      description: '',
+      timeZone: localTimeZone,
+      reminders: []
     });
     setShowEventModal(true);
   };
 
-  const saveEvent = () => {
+  const clearMessageLater = () => {
+    // Clear message after 3 seconds
+    setTimeout(() => {
+      setMessage({ type: '', text: '' });
+    }, 3000);
+  };
+
+  const saveEvent = (scope = null, ignoreConflicts = false) => {
     if (!selectedEvent.title.trim()) {
       setMessage({ type: 'error', text: 'Event title is required' });
       return;
     }
 
-    const newEvent = {
-      ...selectedEvent,
-      id: selectedEvent.id || Date.now(),
-      title: selectedEvent.title.trim()
-    };
+    // Ask which occurrences to change before editing a recurring event
+    if (selectedEvent.recurringEventId && !scope) {
+      setScopePrompt('save');
+      return;
+    }
 
-    if (selectedEvent.id) {
-      // Update existing event
-      setEvents(prev => prev.map(event => 
-        event.id === selectedEvent.id ? newEvent : event
-      ));
-      setMessage({ type: 'success', text: 'Event updated successfully!' });
-    } else {
-      // Add new event
-      setEvents(prev => [...prev, newEvent]);
-      setMessage({ type: 'success', text: 'Event created successfully!' });
+    // Warn before double-booking a timed event. Existing all-day events count
+    // as busy; a new all-day event is a day marker and isn't checked itself.
+    if (!ignoreConflicts && !selectedEvent.allDay) {
+      const currentUser = authService.getCurrentUser();
+      const options = { excludeEventId: selectedEvent.recurringEventId || selectedEvent.id };
+      const conflicts = availabilityService.checkConflicts(currentUser, selectedEvent.start, selectedEvent.end, options);
+      if (conflicts.length > 0) {
+        setScopePrompt(null);
+        setConflictCheck({
+          conflicts,
+          alternatives: availabilityService.suggestAlternatives(currentUser, selectedEvent.start, selectedEvent.end, options),
+          scope
+        });
+        analyticsService.trackCalendar('conflict_warning', selectedEvent.color, { conflicts: conflicts.length });
+        return;
+      }
     }
 
-    setShowEventModal(false);
-    setSelectedEvent(null);
-    
-    // Clear message after 3 seconds
-    setTimeout(() => {
-      setMessage({ type: '', text: '' });
-    }, 3000);
+    try {
+      if (selectedEvent.recurringEventId) {
+        eventService.updateOccurrence(selectedEvent, selectedEvent, scope);
+        analyticsService.trackCalendar('edit', selectedEvent.color, { scope });
+        setMessage({ type: 'success', text: 'Event updated successfully!' });
+      } else if (selectedEvent.id) {
+        // Update existing event
+        eventService.updateEvent(selectedEvent.id, selectedEvent);
+        analyticsService.trackCalendar('edit', selectedEvent.color);
+        setMessage({ type: 'success', text: 'Event updated successfully!' });
+      } else {
+        // Add new event
+        eventService.createEvent(selectedEvent);
+        analyticsService.trackCalendar('create', selectedEvent.color, { recurring: !!selectedEvent.recurrence });
+        setMessage({ type: 'success', text: 'Event created successfully!' });
+      }
+    } catch (error) {
+      setScopePrompt(null);
+      setConflictCheck(null);
+      setMessage({ type: 'error', text: error.message });
+      return;
+    }
+
+    loadEvents();
+    closeEventModal();
+    clearMessageLater();
   };
 
-  const deleteEvent = () => {
+  // Move the event being edited to a suggested free time; it is saved with the modal
+  const applyAlternative = (alternative) => {
+    setSelectedEvent(prev => ({ ...prev, start: new Date(alternative.start), end: new Date(alternative.end) }));
+    setConflictCheck(null);
+    analyticsService.trackClick('conflict_alternative', 'calendar_view');
+  };
+
+  const deleteEvent = (scope = null) => {
     if (selectedEvent && selectedEvent.id) {
-      setEvents(prev => prev.filter(event => event.id !== selectedEvent.id));
+      if (selectedEvent.recurringEventId && !scope) {
+        setScopePrompt('delete');
+        return;
+      }
+
+      try {
+        if (selectedEvent.recurringEventId) {
+          eventService.deleteOccurrence(selectedEvent, scope);
+        } else {
+          eventService.deleteEvent(selectedEvent.id);
+        }
+        analyticsService.trackCalendar('delete', selectedEvent.color, { scope });
+      } catch (error) {
+        setScopePrompt(null);
+        setMessage({ type: 'error', text: error.message });
+        return;
+      }
+
+      loadEvents();
       setMessage({ type: 'success', text: 'Event deleted successfully!' });
-      setShowEventModal(false);
-      setSelectedEvent(null);
-      
-      // Clear message after 3 seconds
-      setTimeout(() => {
-        setMessage({ type: '', text: '' });
-      }, 3000);
+      closeEventModal();
+      clearMessageLater();
+    }
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const result = eventService.importCalendar(text);
+      analyticsService.trackCalendar('import', null, { created: result.created, updated: result.updated });
+      loadEvents();
+
+      const summary = `Imported ${result.created} new and ${result.updated} updated event${result.created + result.updated === 1 ? '' : 's'}`;
+      setMessage({
+        type: result.skipped > 0 ? 'info' : 'success',
+        text: result.skipped > 0
+          ? `${summary}. ${result.skipped} skipped${result.warnings.length > 0 ? `: ${result.warnings.join('; ')}` : ' (event limit reached)'}`
+          : `${summary}!`
+      });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+
+    const rangeStart = search.from ? parseDateInput(search.from) : null;
+    const rangeEnd = search.to ? new Date(parseDateInput(search.to).getTime() + DAY_MS) : null;
+    if (rangeStart && rangeEnd && rangeEnd <= rangeStart) {
+      setMessage({ type: 'error', text: 'The search end date must be on or after the start date' });
+      return;
     }
+
+    const results = eventService.searchEvents(search.query, { color: search.color || null, rangeStart, rangeEnd });
+    setSearchResults(results);
+
+    analyticsService.trackClick('calendar_search', 'calendar_view', {
+      results: results.length,
+      color: !!search.color,
+      dateRange: !!(rangeStart || rangeEnd)
+    });
+  };
+
+  const clearSearch = () => {
+    setSearch({ query: '', color: '', from: '', to: '' });
+    setSearchResults(null);
+    setHighlightedEventId(null);
+  };
+
+  // Show a search result in the week or day grid, highlighted
+  const jumpToEvent = (event) => {
+    setCurrentDate(new Date(event.start));
+    if (viewMode !== 'week' && viewMode !== 'day') setViewMode('week');
+    setHighlightedEventId(event.id);
+    scrollToEventRef.current = event.id;
+
+    analyticsService.trackClick('search_result', 'calendar_view', { viewMode });
+  };
+
+  const getHighlightClass = (event) => {
+    return event.id === highlightedEventId ? 'ring-2 ring-offset-1 ring-indigo-500' : '';
+  };
+
+  const handleExport = (visibleOnly) => {
+    const range = visibleOnly ? getVisibleRange(currentDate, viewMode, agendaDays) : { start: null, end: null };
+    const content = eventService.exportCalendar(range.start, range.end);
+    const suffix = visibleOnly ? `-${viewMode}-${range.start.toISOString().split('T')[0]}` : '';
+    icsService.downloadCalendar(content, `checkmate${suffix}.ics`);
+    analyticsService.trackCalendar('export', null, { visibleOnly });
+  };
+
+  // Event color, faded for invitations not yet accepted and struck through when declined
+  const getEventColorClass = (event) => {
+    const status = event.invitation ? event.invitation.status : 'accepted';
+    return `${getColorClass(event.color)} ${
+      status === 'declined' ? 'opacity-50 line-through' : status === 'accepted' ? '' : 'opacity-75'
+    }`;
   };
 
   const getColorClass = (color) => {
@@ -308,55 +1176,263 @@ const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) =
         
         <div className="flex items-center space-x-3">
           <button
-            onClick={addNewEvent}
+            onClick={() => addNewEvent()}
             className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
           >
             + Add Event
           </button>
+          <button
+            onClick={() => importInputRef.current && importInputRef.current.click()}
+            className="bg-blue-100 hover:bg-blue-200 text-blue-700 px-4 py-2 rounded-lg font-medium transition-colors"
+          >
+            Import .ics
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".ics,text/calendar"
+            onChange={handleImportFile}
+            className="hidden"
+          />
           <button
             onClick={onMoodStatus}
             className="bg-green-100 hover:bg-green-200 text-green-700 px-4 py-2 rounded-lg font-medium transition-colors"
           >
             {currentStatus ? 'Update Status' : 'Set Status'}
           </button>
+          <button
+            onClick={onAvailability}
+            className="bg-yellow-100 hover:bg-yellow-200 text-yellow-700 px-4 py-2 rounded-lg font-medium transition-colors"
+          >
+            Availability
+          </button>
+          <button
+            onClick={onBookings}
+            className="bg-orange-100 hover:bg-orange-200 text-orange-700 px-4 py-2 rounded-lg font-medium transition-colors"
+          >
+            Bookings{pendingBookings > 0 && ` (${pendingBookings})`}
+          </button>
+          <button
+            onClick={onPolls}
+            className="bg-pink-100 hover:bg-pink-200 text-pink-700 px-4 py-2 rounded-lg font-medium transition-colors"
+          >
+            Polls
+          </button>
+          <button
+            onClick={onFindTime}
+            className="bg-teal-100 hover:bg-teal-200 text-teal-700 px-4 py-2 rounded-lg font-medium transition-colors"
+          >
+            Find a Time
+          </button>
           <button
             onClick={onScheduleSharing}
             className="bg-purple-100 hover:bg-purple-200 text-purple-700 px-4 py-2 rounded-lg font-medium transition-colors"
           >
-            Share Schedule
-          </button>
+            Share Schedule
+          </button>
+          <button
+            onClick={onSettings}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg font-medium transition-colors"
+          >
+            Settings
+          </button>
+        </div>
+      </div>
+
+      {/* Message Display */}
+      {message.text && (
+        <div className={`mb-6 p-4 rounded-lg ${
+          message.type === 'success' 
+            ? 'bg-green-100 text-green-800 border border-green-200' 
+            : message.type === 'error'
+            ? 'bg-red-100 text-red-800 border border-red-200'
+            : 'bg-blue-100 text-blue-800 border border-blue-200'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {/* Poll Draft */}
+      {pollDraft && (
+        <div className="bg-white rounded-lg border-2 border-dashed border-indigo-300 p-6 mb-6">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">New Poll</h3>
+              <p className="text-sm text-gray-600">Click hours in the week or day view to add them as options.</p>
+            </div>
+            <button
+              onClick={() => setPollDraft(null)}
+              className="text-gray-500 hover:text-gray-700 text-sm font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <input
+              type="text"
+              value={pollDraft.title}
+              onChange={(e) => setPollDraft(prev => ({ ...prev, title: e.target.value }))}
+              placeholder="What's the meeting?"
+              className="md:col-span-2 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            />
+            <select
+              value={pollDraft.duration}
+              onChange={(e) => handlePollDurationChange(parseInt(e.target.value, 10))}
+              className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              {[30, 60, 90, 120].map(minutes => (
+                <option key={minutes} value={minutes}>{minutes} minutes</option>
+              ))}
+            </select>
+          </div>
+          <textarea
+            value={pollDraft.description}
+            onChange={(e) => setPollDraft(prev => ({ ...prev, description: e.target.value }))}
+            placeholder="Details for voters (optional)"
+            rows={2}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 mb-4 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          />
+
+          <div className="flex items-center justify-between">
+            <div className="flex flex-wrap gap-2">
+              {pollDraft.options.length === 0 && (
+                <span className="text-sm text-gray-500">No times picked yet</span>
+              )}
+              {[...pollDraft.options]
+                .sort((a, b) => new Date(a.start) - new Date(b.start))
+                .map(option => (
+                  <span key={option.start} className="px-2 py-1 bg-indigo-100 text-indigo-800 rounded-full text-xs font-medium">
+                    {new Date(option.start).toLocaleString('en-US', { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric' })}
+                  </span>
+                ))}
+            </div>
+            <button
+              onClick={handleCreatePoll}
+              className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg font-medium transition-colors flex-shrink-0 ml-4"
+            >
+              Create Poll Link
+            </button>
+          </div>
+        </div>
+      )}
+
+      {createdPoll && (
+        <div className="bg-indigo-50 rounded-lg border border-indigo-200 p-4 mb-6 flex items-center justify-between">
+          <div className="min-w-0">
+            <div className="font-medium text-gray-900">Poll "{createdPoll.title}" is ready</div>
+            <div className="text-sm text-gray-600 truncate">{createdPoll.link}</div>
+          </div>
+          <div className="flex space-x-2 flex-shrink-0 ml-4">
+            <button
+              onClick={() => handleCopyPollLink(createdPoll.link)}
+              className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-lg text-sm font-medium transition-colors"
+            >
+              Copy Link
+            </button>
+            <button
+              onClick={onPolls}
+              className="bg-white hover:bg-gray-100 text-indigo-700 px-3 py-1 rounded-lg text-sm font-medium border border-indigo-200 transition-colors"
+            >
+              View Polls
+            </button>
+            <button
+              onClick={() => setCreatedPoll(null)}
+              className="text-gray-500 hover:text-gray-700 px-2 text-sm"
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Search */}
+      <div className="bg-white rounded-lg border border-gray-200 p-4 mb-6">
+        <form onSubmit={handleSearch} className="flex flex-wrap items-center gap-2">
+          <input
+            type="search"
+            value={search.query}
+            onChange={(e) => setSearch(prev => ({ ...prev, query: e.target.value }))}
+            placeholder="Search events"
+            className="flex-1 min-w-[12rem] border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <select
+            value={search.color}
+            onChange={(e) => setSearch(prev => ({ ...prev, color: e.target.value }))}
+            className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            <option value="">Any color</option>
+            {SEARCH_COLORS.map(color => (
+              <option key={color} value={color}>{color.charAt(0).toUpperCase() + color.slice(1)}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={search.from}
+            onChange={(e) => setSearch(prev => ({ ...prev, from: e.target.value }))}
+            title="From"
+            className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <input
+            type="date"
+            value={search.to}
+            onChange={(e) => setSearch(prev => ({ ...prev, to: e.target.value }))}
+            title="To"
+            className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          />
           <button
-            onClick={onSettings}
-            className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg font-medium transition-colors"
+            type="submit"
+            className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
           >
-            Settings
+            Search
           </button>
-        </div>
-      </div>
+          {searchResults && (
+            <button
+              type="button"
+              onClick={clearSearch}
+              className="text-gray-500 hover:text-gray-700 px-2 py-2 text-sm font-medium"
+            >
+              Clear
+            </button>
+          )}
+        </form>
 
-      {/* Message Display */}
-      {message.text && (
-        <div className={`mb-6 p-4 rounded-lg ${
-          message.type === 'success' 
-            ? 'bg-green-100 text-green-800 border border-green-200' 
-            : message.type === 'error'
-            ? 'bg-red-100 text-red-800 border border-red-200'
-            : 'bg-blue-100 text-blue-800 border border-blue-200'
-        }`}>
-          {message.text}
-        </div>
-      )}
+        {searchResults && (
+          <div className="mt-4">
+            <div className="text-sm text-gray-600 mb-2">
+              {searchResults.length} result{searchResults.length === 1 ? '' : 's'}
+              {!search.from && !search.to && ' within a year of today'}
+            </div>
+            <div className="space-y-1 max-h-64 overflow-y-auto">
+              {searchResults.map(event => (
+                <div
+                  key={event.id}
+                  onClick={() => jumpToEvent(event)}
+                  className={`flex items-center p-2 hover:bg-gray-50 rounded-lg cursor-pointer transition-colors ${
+                    event.id === highlightedEventId ? 'bg-indigo-50' : ''
+                  }`}
+                >
+                  <div className={`w-3 h-3 rounded-full mr-3 flex-shrink-0 ${getColorClass(event.color)}`}></div>
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium text-gray-900 truncate">{event.recurringEventId && '↻ '}{event.title}</div>
+                    {event.description && <div className="text-xs text-gray-500 truncate">{event.description}</div>}
+                  </div>
+                  <div className="text-sm text-gray-600 ml-3 flex-shrink-0">
+                    {eventService.isSpanningEvent(event) ? formatSpan(event) : formatDateTime(event.start)}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
 
       {/* Calendar Navigation */}
       <div className="bg-white rounded-lg border border-gray-200 p-6 mb-6">
         <div className="flex items-center justify-between mb-6">
           <div className="flex items-center space-x-4">
             <button
-              onClick={() => {
-                if (viewMode === 'month') navigateMonth(-1);
-                else if (viewMode === 'week') navigateWeek(-1);
-                else navigateDay(-1);
-              }}
+              onClick={() => navigate(-1)}
               className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
             >
               <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -378,14 +1454,15 @@ const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) =
                 month: 'long', 
                 day: 'numeric' 
               })}
+              {viewMode === 'agenda' && (() => {
+                const { start, end } = getVisibleRange(currentDate, viewMode, agendaDays);
+                const lastDay = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+                return `${start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ${lastDay.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+              })()}
             </h2>
             
             <button
-              onClick={() => {
-                if (viewMode === 'month') navigateMonth(1);
-                else if (viewMode === 'week') navigateWeek(1);
-                else navigateDay(1);
-              }}
+              onClick={() => navigate(1)}
               className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
             >
               <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -395,6 +1472,29 @@ const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) =
           </div>
 
           <div className="flex items-center space-x-2">
+            {!pollDraft && (
+              <button
+                onClick={startPoll}
+                className="px-3 py-1 rounded text-sm font-medium text-gray-600 hover:text-gray-900"
+                title="Pick candidate times and let others vote"
+              >
+                New Poll
+              </button>
+            )}
+            <button
+              onClick={() => handleExport(true)}
+              className="px-3 py-1 rounded text-sm font-medium text-gray-600 hover:text-gray-900"
+              title="Download the events in this view as an .ics file"
+            >
+              Export View
+            </button>
+            <button
+              onClick={() => handleExport(false)}
+              className="px-3 py-1 rounded text-sm font-medium text-gray-600 hover:text-gray-900 border-r border-gray-200 mr-2"
+              title="Download all events as an .ics file"
+            >
+              Export All
+            </button>
             <button
               onClick={() => setViewMode('month')}
               className={`px-3 py-1 rounded text-sm font-medium ${
@@ -419,59 +1519,111 @@ const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) =
             >
               Day
             </button>
+            <button
+              onClick={() => setViewMode('agenda')}
+              className={`px-3 py-1 rounded text-sm font-medium ${
+                viewMode === 'agenda' ? 'bg-indigo-100 text-indigo-700' : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              Agenda
+            </button>
           </div>
         </div>
 
+        {(viewMode === 'week' || viewMode === 'day') && (
+          <div className="flex items-center justify-end mb-3 space-x-2 text-sm text-gray-600">
+            <span>Times in {localTimeZone}</span>
+            <span>·</span>
+            <TimeZoneSelect
+              value={secondaryTimeZone}
+              onChange={handleSecondaryTimeZoneChange}
+              noneLabel="Add a second time zone"
+              className="border border-gray-300 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          </div>
+        )}
+
         {/* Calendar Views */}
         {viewMode === 'month' && (
-          <div className="grid grid-cols-7 gap-1">
+          <div className="space-y-1">
             {/* Day Headers */}
-            {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
-              <div key={day} className="p-3 text-center text-sm font-medium text-gray-500">
-                {day}
-              </div>
-            ))}
+            <div className="grid grid-cols-7 gap-1">
+              {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
+                <div key={day} className="p-3 text-center text-sm font-medium text-gray-500">
+                  {day}
+                </div>
+              ))}
+            </div>
             
-            {/* Calendar Days */}
-            {days.map((day, index) => {
-              const dayEvents = getEventsForDate(day);
-              const isToday = day && day.toDateString() === new Date().toDateString();
-              const isCurrentMonth = day && day.getMonth() === currentDate.getMonth();
-              
+            {/* Calendar Days, a row per week so multi-day bars can span cells */}
+            {getWeekRows(days).map((week, weekIndex) => {
+              const bars = eventService.layoutSpanningEvents(events, week);
+              const laneCount = bars.reduce((count, bar) => Math.max(count, bar.lane + 1), 0);
+
               return (
                 <div
-                  key={index}
-                  className={`min-h-[120px] p-2 border border-gray-200 ${
-                    isToday ? 'bg-indigo-50 border-indigo-300' : 'bg-white'
-                  } ${!isCurrentMonth ? 'bg-gray-50' : ''}`}
+                  key={weekIndex}
+                  onDragOver={handleDayDragOver}
+                  onDrop={(e) => handleDayDrop(e, week)}
+                  className="relative grid grid-cols-7 gap-1"
                 >
-                  {day && (
-                    <>
-                      <div className={`text-sm font-medium mb-1 ${
-                        isToday ? 'text-indigo-700' : isCurrentMonth ? 'text-gray-900' : 'text-gray-400'
-                      }`}>
-                        {day.getDate()}
-                      </div>
-                      
-                      {/* Events */}
-                      <div className="space-y-1">
-                        {dayEvents.slice(0, 2).map(event => (
-                          <div
-                            key={event.id}
-                            onClick={() => handleEventClick(event)}
-                            className={`p-1 rounded text-xs text-white cursor-pointer truncate ${getColorClass(event.color)}`}
-                            title={event.title}
-                          >
-                            {event.title}
-                          </div>
-                        ))}
-                        {dayEvents.length > 2 && (
-                          <div className="text-xs text-gray-500 cursor-pointer">
-                            +{dayEvents.length - 2} more
-                          </div>
+                  {week.map((day, index) => {
+                    const dayEvents = getEventsForDate(day).filter(event => !eventService.isSpanningEvent(event));
+                    const override = getOverrideForDate(day);
+                    const isToday = day && day.toDateString() === new Date().toDateString();
+                    const isCurrentMonth = day && day.getMonth() === currentDate.getMonth();
+                    
+                    return (
+                      <div
+                        key={index}
+                        className={`min-h-[120px] p-2 border border-gray-200 ${
+                          isToday ? 'bg-indigo-50 border-indigo-300' : 'bg-white'
+                        } ${!isCurrentMonth ? 'bg-gray-50' : ''}`}
+                      >
+                        {day && (
+                          <>
+                            <div className={`text-sm font-medium mb-1 ${
+                              isToday ? 'text-indigo-700' : isCurrentMonth ? 'text-gray-900' : 'text-gray-400'
+                            }`}>
+                              {day.getDate()}
+                            </div>
+
+                            {/* Room for the all-day and multi-day bars drawn over the row */}
+                            {laneCount > 0 && <div style={{ height: `${laneCount * 22}px` }}></div>}
+
+                            {override && <div className="mb-1">{renderOverrideBadge(override)}</div>}
+                            
+                            {/* Events */}
+                            <div className="space-y-1">
+                              {dayEvents.slice(0, 2).map(event => (
+                                <div
+                                  key={event.id}
+                                  draggable
+                                  onDragStart={(e) => handleEventDragStart(e, event, day)}
+                                  onClick={() => handleEventClick(event)}
+                                  className={`p-1 rounded text-xs text-white cursor-pointer truncate ${getEventColorClass(event)}`}
+                                  title={event.title}
+                                >
+                                  {event.recurringEventId && '↻ '}{event.title}
+                                </div>
+                              ))}
+                              {dayEvents.length > 2 && (
+                                <div className="text-xs text-gray-500 cursor-pointer">
+                                  +{dayEvents.length - 2} more
+                                </div>
+                              )}
+                            </div>
+                          </>
                         )}
                       </div>
-                    </>
+                    );
+                  })}
+
+                  {/* All-day and multi-day bars */}
+                  {bars.length > 0 && (
+                    <div className="absolute inset-x-0 top-8 grid grid-cols-7 gap-x-1 gap-y-0.5 pointer-events-none">
+                      {bars.map(bar => renderSpanningBar(bar, week))}
+                    </div>
                   )}
                 </div>
               );
@@ -480,101 +1632,175 @@ const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) =
         )}
 
         {viewMode === 'week' && (
-          <div className="grid grid-cols-8 gap-1">
-            {/* Time column header */}
-            <div className="p-3 text-center text-sm font-medium text-gray-500"></div>
+          <div
+            onMouseUp={finishDrag}
+            onMouseLeave={() => setDrag(null)}
+            className={`grid ${secondaryTimeZone ? 'grid-cols-9' : 'grid-cols-8'} gap-1`}
+          >
+            {/* Time column headers */}
+            {secondaryTimeZone && (
+              <div className="p-3 text-right text-xs font-medium text-gray-400 self-end">
+                {timezoneService.getShortName(getDaysInWeek(currentDate)[0], secondaryTimeZone)}
+              </div>
+            )}
+            <div className="p-3 text-right text-xs font-medium text-gray-500 self-end">
+              {secondaryTimeZone && timezoneService.getShortName(getDaysInWeek(currentDate)[0], localTimeZone)}
+            </div>
             
             {/* Day Headers */}
             {getDaysInWeek(currentDate).map((day, index) => {
               const isToday = day.toDateString() === new Date().toDateString();
+              const override = getOverrideForDate(day);
               return (
                 <div key={index} className={`p-3 text-center text-sm font-medium ${
                   isToday ? 'text-indigo-700 bg-indigo-50' : 'text-gray-500'
                 }`}>
                   <div>{day.toLocaleDateString('en-US', { weekday: 'short' })}</div>
                   <div className="text-lg font-semibold">{day.getDate()}</div>
+                  {override && renderOverrideBadge(override)}
                 </div>
               );
             })}
+
+            {/* All-day and multi-day events */}
+            {secondaryTimeZone && <div></div>}
+            <div className="p-2 text-xs text-gray-500 text-right border-r border-gray-200">All day</div>
+            <div
+              onDragOver={handleDayDragOver}
+              onDrop={(e) => handleDayDrop(e, getDaysInWeek(currentDate))}
+              className="col-span-7 grid grid-cols-7 gap-x-1 gap-y-0.5 py-1 min-h-[28px] border-b border-gray-200"
+            >
+              {eventService.layoutSpanningEvents(events, getDaysInWeek(currentDate)).map(bar => renderSpanningBar(bar, getDaysInWeek(currentDate)))}
+            </div>
             
             {/* Time slots */}
-            {getDayHours().slice(6, 22).map(hour => (
-              <React.Fragment key={hour}>
-                <div className="p-2 text-xs text-gray-500 text-right border-r border-gray-200">
-                  {hour === 0 ? '12 AM' : hour < 12 ? `${hour} AM` : hour === 12 ? '12 PM' : `${hour - 12} PM`}
+            {secondaryTimeZone && (
+              <div>
+                {getGridHours().map(hour => (
+                  <div key={hour} style={{ height: HOUR_HEIGHT }} className="p-2 text-xs text-gray-400 text-right">
+                    {timezoneService.formatHour(withHour(getDaysInWeek(currentDate)[0], hour), secondaryTimeZone)}
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="border-r border-gray-200">
+              {getGridHours().map(hour => (
+                <div key={hour} style={{ height: HOUR_HEIGHT }} className="p-2 text-xs text-gray-500 text-right">
+                  {formatHourLabel(hour)}
                 </div>
-                {getDaysInWeek(currentDate).map((day, dayIndex) => {
-                  const hourEvents = getEventsForDateAndHour(day, hour);
-                  const isToday = day.toDateString() === new Date().toDateString();
-                  const isCurrentHour = new Date().getHours() === hour;
-                  
-                  return (
-                    <div
-                      key={dayIndex}
-                      className={`min-h-[60px] p-1 border border-gray-200 ${
-                        isToday && isCurrentHour ? 'bg-indigo-50' : 'bg-white'
-                      }`}
-                    >
-                      {hourEvents.map(event => (
-                        <div
-                          key={event.id}
-                          onClick={() => handleEventClick(event)}
-                          className={`p-1 rounded text-xs text-white cursor-pointer truncate mb-1 ${getColorClass(event.color)}`}
-                          title={event.title}
-                        >
-                          {event.title}
-                        </div>
-                      ))}
-                    </div>
-                  );
-                })}
-              </React.Fragment>
-            ))}
+              ))}
+            </div>
+            {getDaysInWeek(currentDate).map(day => renderDayColumn(day, true))}
+          </div>
+        )}
+
+        {viewMode === 'day' && getOverrideForDate(currentDate) && (
+          <div className="mb-3">{renderOverrideBadge(getOverrideForDate(currentDate))}</div>
+        )}
+
+        {viewMode === 'day' && (
+          <div className="grid grid-cols-2 gap-1 mb-1">
+            <div className="p-2 text-xs text-gray-500 text-right border-r border-gray-200">All day</div>
+            <div className="space-y-1 py-1 border-b border-gray-200">
+              {getEventsForDate(currentDate).filter(event => eventService.isSpanningEvent(event)).map(event => (
+                <div
+                  key={event.id}
+                  data-event-id={event.id}
+                  onClick={() => handleEventClick(event)}
+                  className={`p-2 rounded text-sm text-white cursor-pointer ${getEventColorClass(event)} ${getHighlightClass(event)}`}
+                  title={event.title}
+                >
+                  <span className="font-medium">{event.recurringEventId && '↻ '}{event.title}</span>
+                  <span className="text-xs opacity-90 ml-2">{formatSpan(event)}</span>
+                </div>
+              ))}
+            </div>
           </div>
         )}
 
         {viewMode === 'day' && (
-          <div className="grid grid-cols-2 gap-1">
+          <div onMouseUp={finishDrag} onMouseLeave={() => setDrag(null)} className="grid grid-cols-2 gap-1">
             {/* Time column */}
-            <div className="space-y-1">
-              {getDayHours().slice(6, 22).map(hour => (
-                <div key={hour} className="p-2 text-xs text-gray-500 text-right border-r border-gray-200 min-h-[60px] flex items-center justify-end">
-                  {hour === 0 ? '12 AM' : hour < 12 ? `${hour} AM` : hour === 12 ? '12 PM' : `${hour - 12} PM`}
+            <div className="border-r border-gray-200">
+              {getGridHours().map(hour => (
+                <div key={hour} style={{ height: HOUR_HEIGHT }} className="p-2 text-xs text-gray-500 text-right flex items-start justify-end space-x-4">
+                  {secondaryTimeZone && (
+                    <span className="text-gray-400">
+                      {timezoneService.formatHour(withHour(currentDate, hour), secondaryTimeZone)}
+                    </span>
+                  )}
+                  <span>{formatHourLabel(hour)}</span>
                 </div>
               ))}
             </div>
             
             {/* Events column */}
-            <div className="space-y-1">
-              {getDayHours().slice(6, 22).map(hour => {
-                const hourEvents = getEventsForDateAndHour(currentDate, hour);
-                const isCurrentHour = new Date().getHours() === hour;
-                const isToday = currentDate.toDateString() === new Date().toDateString();
-                
-                return (
-                  <div
-                    key={hour}
-                    className={`min-h-[60px] p-1 border border-gray-200 ${
-                      isToday && isCurrentHour ? 'bg-indigo-50' : 'bg-white'
-                    }`}
-                  >
-                    {hourEvents.map(event => (
+            {renderDayColumn(currentDate, false)}
+          </div>
+        )}
+
+        {viewMode === 'agenda' && (
+          <div>
+            <div className="flex items-center space-x-2 mb-4 text-sm text-gray-600">
+              <span>From</span>
+              <input
+                type="date"
+                value={toDateInputValue(currentDate)}
+                onChange={(e) => handleAgendaStartChange(e.target.value)}
+                className="border border-gray-300 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              />
+              <span>to</span>
+              <input
+                type="date"
+                value={toDateInputValue(new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate() + agendaDays - 1))}
+                min={toDateInputValue(currentDate)}
+                onChange={(e) => handleAgendaEndChange(e.target.value)}
+                className="border border-gray-300 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </div>
+
+            {events.length === 0 && (
+              <p className="text-center py-8 text-gray-500">No events in this range</p>
+            )}
+
+            <div className="space-y-4">
+              {getAgendaGroups().map(({ day, events: dayEvents }) => (
+                <div key={day.toISOString()}>
+                  <div className="flex items-center space-x-2 mb-2 pb-1 border-b border-gray-200">
+                    <h4 className={`text-sm font-semibold ${
+                      day.toDateString() === new Date().toDateString() ? 'text-indigo-600' : 'text-gray-900'
+                    }`}>
+                      {day.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}
+                    </h4>
+                    {getOverrideForDate(day) && renderOverrideBadge(getOverrideForDate(day))}
+                  </div>
+                  <div className="space-y-1">
+                    {dayEvents.map(event => (
                       <div
                         key={event.id}
                         onClick={() => handleEventClick(event)}
-                        className={`p-2 rounded text-sm text-white cursor-pointer mb-1 ${getColorClass(event.color)}`}
-                        title={event.title}
+                        className="flex items-center p-2 hover:bg-gray-50 rounded-lg cursor-pointer transition-colors"
                       >
-                        <div className="font-medium">{event.title}</div>
-                        <div className="text-xs opacity-90">
-                          {new Date(event.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} - 
-                          {new Date(event.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                        <div className="w-40 text-sm text-gray-600 flex-shrink-0">
+                          {eventService.isSpanningEvent(event)
+                            ? (event.allDay ? 'All day' : formatSpan(event))
+                            : formatTimeRange(event)}
                         </div>
+                        <div className={`w-3 h-3 rounded-full mr-3 flex-shrink-0 ${getColorClass(event.color)}`}></div>
+                        <div className="flex-1 min-w-0">
+                          <div className="font-medium text-gray-900 truncate">{event.recurringEventId && '↻ '}{event.title}</div>
+                          {(event.location || event.description) && (
+                            <div className="text-xs text-gray-500 truncate">{event.location || event.description}</div>
+                          )}
+                        </div>
+                        {event.allDay && new Date(event.end) - new Date(event.start) > DAY_MS && (
+                          <span className="text-xs text-gray-500 ml-3 flex-shrink-0">{formatSpan(event)}</span>
+                        )}
                       </div>
                     ))}
                   </div>
-                );
-              })}
+                </div>
+              ))}
             </div>
           </div>
         )}
@@ -584,14 +1810,7 @@ const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) =
       <div className="bg-white rounded-lg border border-gray-200 p-6">
         <h3 className="text-lg font-semibold text-gray-900 mb-4">Upcoming Events</h3>
         <div className="space-y-3">
-          {events
-            .filter(event => {
-              const eventDate = new Date(event.start);
-              const now = new Date();
-              // Show events that are today or in the future
-              return eventDate >= new Date(now.getFullYear(), now.getMonth(), now.getDate());
-            })
-            .sort((a, b) => new Date(a.start) - new Date(b.start))
+          {upcomingEvents
             .slice(0, 5)
             .map(event => (
               <div
@@ -603,7 +1822,9 @@ const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) =
                 <div className="flex-1">
                   <div className="font-medium text-gray-900">{event.title}</div>
                   <div className="text-sm text-gray-600">
-                    {new Date(event.start).toLocaleDateString()} at {new Date(event.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    {eventService.isSpanningEvent(event)
+                      ? `${formatSpan(event)}${event.allDay ? ' · All day' : ''}`
+                      : `${new Date(event.start).toLocaleDateString()} at ${new Date(event.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}
                   </div>
                 </div>
                 <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -611,11 +1832,7 @@ const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) =
                 </svg>
               </div>
             ))}
-          {events.filter(event => {
-            const eventDate = new Date(event.start);
-            const now = new Date();
-            return eventDate >= new Date(now.getFullYear(), now.getMonth(), now.getDate());
-          }).length === 0 && (
+          {upcomingEvents.length === 0 && (
             <div className="text-center py-8 text-gray-500">
               <svg className="w-12 h-12 mx-auto mb-4 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
@@ -627,8 +1844,76 @@ const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) =
         </div>
       </div>
 
+      {/* Invitation Modal */}
+      {showEventModal && selectedEvent && selectedEvent.invitation && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex items-start justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">{selectedEvent.title}</h3>
+                <p className="text-sm text-gray-600">Invitation from {selectedEvent.invitation.ownerName}</p>
+              </div>
+              <button
+                onClick={closeEventModal}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            <div className="space-y-3 text-sm text-gray-700">
+              <div>
+                {eventService.isSpanningEvent(selectedEvent)
+                  ? formatSpan(selectedEvent)
+                  : `${formatDateTime(selectedEvent.start)} – ${new Date(selectedEvent.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}
+                {selectedEvent.recurrence && (
+                  <span className="text-gray-500"> · {recurrenceService.describeRule(selectedEvent.recurrence)}</span>
+                )}
+              </div>
+              {selectedEvent.location && <div>📍 {selectedEvent.location}</div>}
+              {selectedEvent.description && <p className="whitespace-pre-line">{selectedEvent.description}</p>}
+
+              <div>
+                <div className="font-medium text-gray-900 mb-1">Guests</div>
+                <div className="space-y-1">
+                  {(selectedEvent.attendees || []).map(attendee => (
+                    <div key={attendee.email} className="flex items-center justify-between">
+                      <span className="truncate">{attendee.name || attendee.email}</span>
+                      <span className="text-xs text-gray-500 ml-2">{RSVP_LABELS[attendee.status]}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            <div className="mt-6">
+              <div className="text-sm font-medium text-gray-900 mb-2">
+                Going?{selectedEvent.recurrence || selectedEvent.recurringEventId ? ' (applies to every occurrence)' : ''}
+              </div>
+              <div className="flex space-x-2">
+                {RSVP_OPTIONS.map(option => (
+                  <button
+                    key={option.value}
+                    onClick={() => respondToInvitation(option.value)}
+                    className={`flex-1 px-4 py-2 rounded-lg text-sm font-medium border transition-colors ${
+                      selectedEvent.invitation.status === option.value
+                        ? option.activeClass
+                        : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Event Modal */}
-      {showEventModal && selectedEvent && (
+      {showEventModal && selectedEvent && !selectedEvent.invitation && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4 max-h-[90vh] overflow-y-auto">
             <div className="flex items-center justify-between mb-4">
@@ -636,7 +1921,7 @@ const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) =
                 {selectedEvent.id ? 'Edit Event' : 'Create Event'}
               </h3>
               <button
-                onClick={() => setShowEventModal(false)}
+                onClick={closeEventModal}
                 className="text-gray-400 hover:text-gray-600"
               >
                 <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -646,6 +1931,25 @@ const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) =
             </div>
             
             <div className="space-y-4">
+              {/* Meeting Type */}
+              {!selectedEvent.id && availability?.meetingTypes?.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Meeting Type
+                  </label>
+                  <select
+                    value={selectedEvent.meetingTypeId || ''}
+                    onChange={(e) => handleMeetingTypeChange(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  >
+                    <option value="">None</option>
+                    {availability.meetingTypes.map(type => (
+                      <option key={type.id} value={type.id}>{type.name} ({type.duration} min)</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               {/* Event Title */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -660,75 +1964,383 @@ const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) =
                 />
               </div>
 
-              {/* Event Date */}
+              {/* Location */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Date
+                  Location
                 </label>
                 <input
-                  type="date"
-                  value={new Date(selectedEvent.start).toISOString().split('T')[0]}
-                  onChange={(e) => {
-                    const newDate = new Date(e.target.value);
-                    const startTime = new Date(selectedEvent.start);
-                    const endTime = new Date(selectedEvent.end);
-                    
-                    newDate.setHours(startTime.getHours(), startTime.getMinutes());
-                    const newEndDate = new Date(newDate);
-                    newEndDate.setHours(endTime.getHours(), endTime.getMinutes());
-                    
-                    setSelectedEvent(prev => ({
-                      ...prev,
-                      start: newDate,
-                      end: newEndDate
-                    }));
-                  }}
+                  type="text"
+                  value={selectedEvent.location || ''}
+                  onChange={(e) => setSelectedEvent(prev => ({ ...prev, location: e.target.value }))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  placeholder="Room, address or video link (optional)"
+                />
+              </div>
+
+              {/* All Day */}
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={!!selectedEvent.allDay}
+                  onChange={(e) => handleAllDayChange(e.target.checked)}
+                  className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
                 />
+                <span>All day</span>
+              </label>
+
+              {/* Event Dates */}
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Start Date
+                  </label>
+                  <input
+                    type="date"
+                    value={toDateInputValue(selectedEvent.start)}
+                    onChange={(e) => {
+                      if (!e.target.value) return;
+                      // Move the whole event, keeping its times and length in days
+                      const newDate = parseDateInput(e.target.value);
+                      const startTime = new Date(selectedEvent.start);
+                      const endTime = new Date(selectedEvent.end);
+                      const dayShift = Math.round(
+                        (newDate - new Date(startTime.getFullYear(), startTime.getMonth(), startTime.getDate())) / (24 * 60 * 60 * 1000)
+                      );
+                      const shift = (date) => new Date(
+                        date.getFullYear(), date.getMonth(), date.getDate() + dayShift, date.getHours(), date.getMinutes()
+                      );
+                      
+                      setSelectedEvent(prev => ({
+                        ...prev,
+                        start: shift(startTime),
+                        end: shift(endTime)
+                      }));
+                    }}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    End Date
+                  </label>
+                  <input
+                    type="date"
+                    value={selectedEvent.allDay
+                      ? toDateInputValue(new Date(selectedEvent.end).getTime() - 1)
+                      : toDateInputValue(selectedEvent.end)}
+                    min={toDateInputValue(selectedEvent.start)}
+                    onChange={(e) => {
+                      if (!e.target.value) return;
+                      const newDate = parseDateInput(e.target.value);
+                      const endTime = new Date(selectedEvent.end);
+                      
+                      setSelectedEvent(prev => ({
+                        ...prev,
+                        // All-day events end at the midnight after their last day
+                        end: prev.allDay
+                          ? new Date(newDate.getFullYear(), newDate.getMonth(), newDate.getDate() + 1)
+                          : new Date(newDate.getFullYear(), newDate.getMonth(), newDate.getDate(), endTime.getHours(), endTime.getMinutes())
+                      }));
+                    }}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                </div>
               </div>
 
-              {/* Start Time */}
+              {!selectedEvent.allDay && (
+                <>
+                  {/* Start Time */}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Start Time
+                    </label>
+                    <input
+                      type="time"
+                      value={new Date(selectedEvent.start).toTimeString().slice(0, 5)}
+                      onChange={(e) => {
+                        const [hours, minutes] = e.target.value.split(':');
+                        const newStart = new Date(selectedEvent.start);
+                        newStart.setHours(parseInt(hours), parseInt(minutes));
+                    
+                        setSelectedEvent(prev => ({
+                          ...prev,
+                          start: newStart
+                        }));
+                      }}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                  </div>
+
+                  {/* End Time */}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      End Time
+                    </label>
+                    <input
+                      type="time"
+                      value={new Date(selectedEvent.end).toTimeString().slice(0, 5)}
+                      onChange={(e) => {
+                        const [hours, minutes] = e.target.value.split(':');
+                        const newEnd = new Date(selectedEvent.end);
+                        newEnd.setHours(parseInt(hours), parseInt(minutes));
+                    
+                        setSelectedEvent(prev => ({
+                          ...prev,
+                          end: newEnd
+                        }));
+                      }}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                  </div>
+
+                  {/* Time Zone */}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Time Zone
+                    </label>
+                    <TimeZoneSelect
+                      value={selectedEvent.timeZone || localTimeZone}
+                      onChange={(timeZone) => setSelectedEvent(prev => ({ ...prev, timeZone: timeZone || localTimeZone }))}
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Times above are in your zone ({localTimeZone}).
+                      {(selectedEvent.timeZone || localTimeZone) !== localTimeZone && (
+                        ` That's ${timezoneService.formatHour(selectedEvent.start, selectedEvent.timeZone)} – ${timezoneService.formatHour(selectedEvent.end, selectedEvent.timeZone)} in ${selectedEvent.timeZone}, and repeats follow that zone's clock.`
+                      )}
+                    </p>
+                  </div>
+                </>
+              )}
+
+              {/* Repeat */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Start Time
+                  Repeat
                 </label>
-                <input
-                  type="time"
-                  value={new Date(selectedEvent.start).toTimeString().slice(0, 5)}
-                  onChange={(e) => {
-                    const [hours, minutes] = e.target.value.split(':');
-                    const newStart = new Date(selectedEvent.start);
-                    newStart.setHours(parseInt(hours), parseInt(minutes));
-                    
-                    setSelectedEvent(prev => ({
-                      ...prev,
-                      start: newStart
-                    }));
-                  }}
+                <select
+                  value={repeatRule ? repeatRule.freq : ''}
+                  onChange={(e) => handleRepeatFrequencyChange(e.target.value)}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                />
+                >
+                  <option value="">Does not repeat</option>
+                  <option value="DAILY">Daily</option>
+                  <option value="WEEKLY">Weekly</option>
+                  <option value="MONTHLY">Monthly</option>
+                  <option value="YEARLY">Yearly</option>
+                </select>
+
+                {repeatRule && (
+                  <div className="mt-3 space-y-3 p-3 bg-gray-50 rounded-lg">
+                    <div className="flex items-center space-x-2 text-sm text-gray-700">
+                      <span>Every</span>
+                      <input
+                        type="number"
+                        min="1"
+                        value={repeatRule.interval}
+                        onChange={(e) => updateRepeatRule({ interval: Math.max(1, parseInt(e.target.value) || 1) })}
+                        className="w-16 px-2 py-1 border border-gray-300 rounded"
+                      />
+                      <span>
+                        {{ DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[repeatRule.freq]}
+                        {repeatRule.interval > 1 ? 's' : ''}
+                      </span>
+                    </div>
+
+                    {repeatRule.freq === 'WEEKLY' && (
+                      <div className="flex space-x-1">
+                        {WEEKDAY_OPTIONS.map(({ weekday, label }) => (
+                          <button
+                            key={weekday}
+                            type="button"
+                            onClick={() => toggleRepeatWeekday(weekday)}
+                            className={`w-8 h-8 rounded-full text-xs font-medium ${
+                              repeatRule.byDay.some(day => day.weekday === weekday)
+                                ? 'bg-indigo-600 text-white'
+                                : 'bg-white border border-gray-300 text-gray-600'
+                            }`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+
+                    {repeatRule.freq === 'MONTHLY' && (
+                      <select
+                        value={repeatRule.byDay.length > 0 ? 'weekday' : 'monthday'}
+                        onChange={(e) => updateRepeatRule({
+                          byDay: e.target.value === 'weekday'
+                            ? [recurrenceService.getNthWeekdayOfMonth(selectedEvent.start)]
+                            : []
+                        })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                      >
+                        <option value="monthday">On day {new Date(selectedEvent.start).getDate()}</option>
+                        <option value="weekday">
+                          On the {recurrenceService.describeRule({
+                            ...repeatRule,
+                            interval: 1,
+                            count: null,
+                            until: null,
+                            byDay: [recurrenceService.getNthWeekdayOfMonth(selectedEvent.start)]
+                          }).replace('Every month on ', '')}
+                        </option>
+                      </select>
+                    )}
+
+                    <div className="flex items-center space-x-2 text-sm text-gray-700">
+                      <span>Ends</span>
+                      <select
+                        value={repeatRule.count ? 'count' : repeatRule.until ? 'until' : 'never'}
+                        onChange={(e) => {
+                          if (e.target.value === 'count') {
+                            updateRepeatRule({ count: 10, until: null });
+                          } else if (e.target.value === 'until') {
+                            const until = new Date(selectedEvent.start);
+                            until.setMonth(until.getMonth() + 3);
+                            until.setHours(23, 59, 59, 0);
+                            updateRepeatRule({ count: null, until });
+                          } else {
+                            updateRepeatRule({ count: null, until: null });
+                          }
+                        }}
+                        className="px-2 py-1 border border-gray-300 rounded"
+                      >
+                        <option value="never">Never</option>
+                        <option value="until">On date</option>
+                        <option value="count">After</option>
+                      </select>
+                      {repeatRule.until && !repeatRule.count && (
+                        <input
+                          type="date"
+                          value={`${repeatRule.until.getFullYear()}-${String(repeatRule.until.getMonth() + 1).padStart(2, '0')}-${String(repeatRule.until.getDate()).padStart(2, '0')}`}
+                          onChange={(e) => {
+                            if (!e.target.value) return;
+                            const [year, month, day] = e.target.value.split('-').map(Number);
+                            updateRepeatRule({ until: new Date(year, month - 1, day, 23, 59, 59) });
+                          }}
+                          className="px-2 py-1 border border-gray-300 rounded"
+                        />
+                      )}
+                      {repeatRule.count && (
+                        <>
+                          <input
+                            type="number"
+                            min="1"
+                            value={repeatRule.count}
+                            onChange={(e) => updateRepeatRule({ count: Math.max(1, parseInt(e.target.value) || 1) })}
+                            className="w-16 px-2 py-1 border border-gray-300 rounded"
+                          />
+                          <span>times</span>
+                        </>
+                      )}
+                    </div>
+
+                    <p className="text-xs text-gray-500">{recurrenceService.describeRule(repeatRule)}</p>
+
+                    {/* Exception dates */}
+                    {selectedEvent.exdates && selectedEvent.exdates.length > 0 && (
+                      <div>
+                        <p className="text-xs font-medium text-gray-700 mb-1">Skipped dates</p>
+                        <div className="flex flex-wrap gap-2">
+                          {selectedEvent.exdates.map(date => (
+                            <span key={date} className="inline-flex items-center px-2 py-1 bg-white border border-gray-200 rounded text-xs text-gray-600">
+                              {new Date(date).toLocaleDateString()}
+                              <button
+                                type="button"
+                                onClick={() => setSelectedEvent(prev => ({
+                                  ...prev,
+                                  exdates: prev.exdates.filter(exdate => exdate !== date)
+                                }))}
+                                className="ml-1 text-indigo-600 hover:text-indigo-700"
+                                title="Restore this occurrence"
+                              >
+                                ×
+                              </button>
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
 
-              {/* End Time */}
+              {/* Attendees */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  End Time
+                  Guests
                 </label>
-                <input
-                  type="time"
-                  value={new Date(selectedEvent.end).toTimeString().slice(0, 5)}
-                  onChange={(e) => {
-                    const [hours, minutes] = e.target.value.split(':');
-                    const newEnd = new Date(selectedEvent.end);
-                    newEnd.setHours(parseInt(hours), parseInt(minutes));
-                    
-                    setSelectedEvent(prev => ({
-                      ...prev,
-                      end: newEnd
-                    }));
-                  }}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                />
+                <div className="flex space-x-2">
+                  <input
+                    type="email"
+                    value={attendeeInput}
+                    onChange={(e) => setAttendeeInput(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') addAttendee(e);
+                    }}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                    placeholder="Add guest by email"
+                  />
+                  <button
+                    type="button"
+                    onClick={addAttendee}
+                    className="bg-indigo-100 hover:bg-indigo-200 text-indigo-700 px-3 py-2 rounded-lg text-sm font-medium transition-colors"
+                  >
+                    Add
+                  </button>
+                </div>
+                {(selectedEvent.attendees || []).length > 0 && (
+                  <div className="space-y-1 mt-2">
+                    {selectedEvent.attendees.map(attendee => (
+                      <div key={attendee.email} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg text-sm">
+                        <div className="min-w-0">
+                          <div className="font-medium text-gray-900 truncate">{attendee.name || attendee.email}</div>
+                          {attendee.name && <div className="text-xs text-gray-500 truncate">{attendee.email}</div>}
+                        </div>
+                        <div className="flex items-center space-x-2 flex-shrink-0 ml-2">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                            (RSVP_OPTIONS.find(option => option.value === attendee.status) || { badgeClass: 'bg-gray-100 text-gray-700' }).badgeClass
+                          }`}>
+                            {RSVP_LABELS[attendee.status]}
+                          </span>
+                          <button
+                            type="button"
+                            onClick={() => removeAttendee(attendee.email)}
+                            className="text-gray-400 hover:text-gray-600"
+                            title="Remove guest"
+                          >
+                            ✕
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {/* Reminders */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Reminders
+                </label>
+                <div className="flex flex-wrap gap-1">
+                  {reminderService.getReminderOptions().map(minutes => (
+                    <button
+                      key={minutes}
+                      type="button"
+                      onClick={() => toggleReminder(minutes)}
+                      className={`px-3 py-1 rounded-full text-xs font-medium ${
+                        (selectedEvent.reminders || []).includes(minutes)
+                          ? 'bg-indigo-600 text-white'
+                          : 'bg-white border border-gray-300 text-gray-600'
+                      }`}
+                    >
+                      {reminderService.formatReminder(minutes)}
+                    </button>
+                  ))}
+                </div>
               </div>
 
               {/* Event Color */}
@@ -766,14 +2378,14 @@ const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) =
             
             <div className="flex space-x-3 mt-6">
               <button
-                onClick={saveEvent}
+                onClick={() => saveEvent()}
                 className="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
               >
                 {selectedEvent.id ? 'Update Event' : 'Create Event'}
               </button>
               {selectedEvent.id && (
                 <button
-                  onClick={deleteEvent}
+                  onClick={() => deleteEvent()}
                   className="flex-1 bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
                 >
                   Delete Event
@@ -783,6 +2395,96 @@ const CalendarView = ({ onSettings, onMoodStatus, onScheduleSharing, onBack }) =
           </div>
         </div>
       )}
+
+      {/* Recurring Event Scope Prompt */}
+      {scopePrompt && selectedEvent && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-sm w-full mx-4">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">
+              {scopePrompt === 'save' ? 'Edit recurring event' : 'Delete recurring event'}
+            </h3>
+            <div className="space-y-2">
+              {[
+                { scope: 'this', label: 'This event' },
+                { scope: 'following', label: 'This and following events' },
+                { scope: 'all', label: 'All events' }
+              ].map(({ scope, label }) => (
+                <button
+                  key={scope}
+                  onClick={() => scopePrompt === 'save' ? saveEvent(scope) : deleteEvent(scope)}
+                  className="w-full text-left px-4 py-2 border border-gray-200 rounded-lg hover:bg-gray-50 text-gray-700"
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={() => setScopePrompt(null)}
+              className="w-full mt-4 bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg font-medium transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Conflict Warning */}
+      {conflictCheck && selectedEvent && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Scheduling conflict</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              {formatDateTime(selectedEvent.start)} – {new Date(selectedEvent.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} clashes with:
+            </p>
+            <div className="space-y-2 mb-4">
+              {conflictCheck.conflicts.map(({ event, overlaps }) => (
+                <div key={event.id} className="flex items-center justify-between p-2 bg-red-50 border border-red-200 rounded-lg text-sm">
+                  <div className="flex items-center">
+                    <div className={`w-3 h-3 rounded-full mr-2 ${getColorClass(event.color)}`}></div>
+                    <span className="font-medium text-gray-900">{event.title}</span>
+                    <span className="text-gray-600 ml-2">{formatTimeRange(event)}</span>
+                  </div>
+                  <span className="text-xs text-red-700">
+                    {overlaps ? 'Overlaps' : `Within ${availability?.bufferTime || 0} min buffer`}
+                  </span>
+                </div>
+              ))}
+            </div>
+
+            {conflictCheck.alternatives.length > 0 && (
+              <>
+                <h4 className="text-sm font-medium text-gray-700 mb-2">Nearest free times</h4>
+                <div className="space-y-2 mb-4">
+                  {conflictCheck.alternatives.map(alternative => (
+                    <button
+                      key={alternative.start}
+                      onClick={() => applyAlternative(alternative)}
+                      className="w-full text-left px-4 py-2 border border-gray-200 rounded-lg hover:bg-indigo-50 hover:border-indigo-300 text-sm text-gray-700"
+                    >
+                      {formatDateTime(alternative.start)} – {new Date(alternative.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    </button>
+                  ))}
+                </div>
+              </>
+            )}
+
+            <div className="flex space-x-3">
+              <button
+                onClick={() => saveEvent(conflictCheck.scope, true)}
+                className="flex-1 bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+              >
+                Save Anyway
+              </button>
+              <button
+                onClick={() => setConflictCheck(null)}
+                className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg font-medium transition-colors"
+              >
+                Keep Editing
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,276 @@
+import React, { useState, useEffect } from 'react';
+import authService from '../services/authService';
+import groupSchedulingService from '../services/groupSchedulingService';
+import analyticsService from '../services/analyticsService';
+
+/**
+ * FindTime Component - Find a time that works for a group
+ *
+ * Starts with the signed-in user and lets them add other people by email or
+ * by a share link they were given, then lists the common free times for the
+ * chosen length, best fit first.
+ *
+ * Features:
+ * - Participants by CheckMate email or share link
+ * - Meeting length and search window
+ * - Ranked common times shown in every participant's time zone
+ *
+ * TODO: Turn a chosen time into an event or a poll for the group
+ */
+const DURATION_OPTIONS = [15, 30, 45, 60, 90, 120];
+
+const SEARCH_DAYS_OPTIONS = [7, 14, 30];
+
+// Results shown before "Show more"
+const PAGE_SIZE = 10;
+
+const FindTime = ({ onBack }) => {
+  const [participants, setParticipants] = useState([]);
+  const [participantInput, setParticipantInput] = useState('');
+  const [duration, setDuration] = useState(30);
+  const [searchDays, setSearchDays] = useState(7);
+  const [results, setResults] = useState(null);
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  // The signed-in user is always part of the group
+  useEffect(() => {
+    const currentUser = authService.getCurrentUser();
+    if (!currentUser) return;
+
+    try {
+      setParticipants([groupSchedulingService.resolveParticipant(currentUser.email)]);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  }, []);
+
+  const handleAddParticipant = (e) => {
+    e.preventDefault();
+
+    try {
+      const participant = groupSchedulingService.resolveParticipant(participantInput);
+      if (participants.some(item => item.id === participant.id)) {
+        throw new Error(`${participant.name} is already in the group`);
+      }
+
+      setParticipants(prev => [...prev, participant]);
+      setParticipantInput('');
+      setResults(null);
+      setMessage({ type: '', text: '' });
+
+      analyticsService.trackClick('find_time_add_participant', 'find_time', { source: participant.source });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleRemoveParticipant = (participantId) => {
+    setParticipants(prev => prev.filter(item => item.id !== participantId));
+    setResults(null);
+  };
+
+  const handleFindTimes = () => {
+    try {
+      const start = new Date();
+      const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + searchDays);
+      setResults(groupSchedulingService.findTimes(participants, { start, end }, duration));
+      setVisibleCount(PAGE_SIZE);
+      setMessage({ type: '', text: '' });
+
+      analyticsService.trackClick('find_time_search', 'find_time', {
+        participants: participants.length,
+        duration,
+        searchDays
+      });
+    } catch (error) {
+      setResults(null);
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  const formatZonedTime = (dateString, timeZone) => {
+    return new Date(dateString).toLocaleTimeString('en-US', {
+      timeZone,
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true
+    });
+  };
+
+  const getFitLabel = (score) => {
+    if (score >= 0.5) return { text: 'Great fit', className: 'bg-green-100 text-green-800' };
+    if (score >= 0.2) return { text: 'Good fit', className: 'bg-blue-100 text-blue-800' };
+    return { text: 'Edge of someone\'s day', className: 'bg-yellow-100 text-yellow-800' };
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      {/* Header */}
+      <div className="mb-8">
+        <button
+          onClick={onBack}
+          className="text-indigo-600 hover:text-indigo-700 mb-2 flex items-center text-sm font-medium"
+        >
+          <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+          Back to Calendar
+        </button>
+        <h1 className="text-3xl font-bold text-gray-900">Find a Time</h1>
+        <p className="text-gray-600 mt-2">See when everyone is free, across time zones</p>
+      </div>
+
+      {/* Message Display */}
+      {message.text && (
+        <div className={`mb-6 p-4 rounded-lg ${
+          message.type === 'success'
+            ? 'bg-green-100 text-green-800 border border-green-200'
+            : 'bg-red-100 text-red-800 border border-red-200'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {/* Participants */}
+      <div className="bg-white rounded-lg border border-gray-200 p-6 mb-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Who's Meeting</h2>
+
+        <div className="space-y-2 mb-4">
+          {participants.map((participant, index) => (
+            <div key={participant.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+              <div>
+                <span className="font-medium text-gray-900">{participant.name}</span>
+                {index === 0 && <span className="text-sm text-gray-500"> (you)</span>}
+                <div className="text-sm text-gray-500">
+                  {participant.timeZone}
+                  {participant.source === 'link' && ' · via share link'}
+                </div>
+              </div>
+              {index > 0 && (
+                <button
+                  onClick={() => handleRemoveParticipant(participant.id)}
+                  className="text-red-600 hover:text-red-700 text-sm font-medium"
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <form onSubmit={handleAddParticipant} className="flex space-x-3">
+          <input
+            type="text"
+            value={participantInput}
+            onChange={(e) => setParticipantInput(e.target.value)}
+            placeholder="Email address or share link"
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <button
+            type="submit"
+            className="bg-indigo-100 hover:bg-indigo-200 text-indigo-700 px-4 py-2 rounded-lg font-medium transition-colors"
+          >
+            Add
+          </button>
+        </form>
+      </div>
+
+      {/* Search Options */}
+      <div className="bg-white rounded-lg border border-gray-200 p-6 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Meeting Length
+            </label>
+            <select
+              value={duration}
+              onChange={(e) => setDuration(parseInt(e.target.value, 10))}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              {DURATION_OPTIONS.map(minutes => (
+                <option key={minutes} value={minutes}>{minutes} minutes</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Look Ahead
+            </label>
+            <select
+              value={searchDays}
+              onChange={(e) => setSearchDays(parseInt(e.target.value, 10))}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              {SEARCH_DAYS_OPTIONS.map(days => (
+                <option key={days} value={days}>Next {days} days</option>
+              ))}
+            </select>
+          </div>
+          <button
+            onClick={handleFindTimes}
+            disabled={participants.length < 2}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50"
+          >
+            Find Times
+          </button>
+        </div>
+      </div>
+
+      {/* Results */}
+      {results && (
+        <div className="bg-white rounded-lg border border-gray-200 p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Best Times</h2>
+          {results.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              No time works for everyone in the next {searchDays} days. Try a shorter meeting or a longer window.
+            </p>
+          ) : (
+            <div className="space-y-3">
+              {results.slice(0, visibleCount).map(slot => {
+                const fit = getFitLabel(slot.score);
+                return (
+                  <div key={slot.start} className="p-4 border border-gray-200 rounded-lg">
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="font-medium text-gray-900">{formatDateTime(slot.start)}</span>
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${fit.className}`}>
+                        {fit.text}
+                      </span>
+                    </div>
+                    <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-600">
+                      {participants.map(participant => (
+                        <span key={participant.id}>
+                          {participant.name}: {formatZonedTime(slot.start, participant.timeZone)} – {formatZonedTime(slot.end, participant.timeZone)}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                );
+              })}
+              {results.length > visibleCount && (
+                <button
+                  onClick={() => setVisibleCount(prev => prev + PAGE_SIZE)}
+                  className="text-indigo-600 hover:text-indigo-700 text-sm font-medium"
+                >
+                  Show more ({results.length - visibleCount} left)
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FindTime;
@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import pollService from '../services/pollService';
+import analyticsService from '../services/analyticsService';
+
+/**
+ * PollManager Component - The organizer's meeting polls
+ *
+ * Lists the polls the signed-in user created with the vote tally for every
+ * candidate time. Scheduling a time closes the poll and adds the meeting to
+ * the calendar. New polls are started from the calendar's week or day view.
+ *
+ * Features:
+ * - Yes / maybe / no tally per time with the top pick highlighted
+ * - Who voted and how
+ * - Copy the poll link
+ * - Schedule the winning (or any) time
+ * - Delete polls
+ *
+ * TODO: Let the organizer add or remove times on an open poll
+ */
+const RESPONSE_STYLES = {
+  yes: 'bg-green-100 text-green-800',
+  maybe: 'bg-yellow-100 text-yellow-800',
+  no: 'bg-red-100 text-red-800'
+};
+
+const PollManager = ({ onBack }) => {
+  const [polls, setPolls] = useState([]);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    setPolls(pollService.getMyPolls());
+  }, []);
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text });
+
+    // Clear message after 3 seconds
+    setTimeout(() => {
+      setMessage({ type: '', text: '' });
+    }, 3000);
+  };
+
+  const handleCopyLink = (link) => {
+    navigator.clipboard.writeText(link).then(() => {
+      showMessage('success', 'Poll link copied to clipboard!');
+      analyticsService.trackClick('copy_poll_link', 'poll_manager');
+    }).catch(() => {
+      showMessage('error', 'Failed to copy link');
+    });
+  };
+
+  const handleSchedule = (poll, option) => {
+    try {
+      pollService.schedulePoll(poll.id, option.id);
+      setPolls(pollService.getMyPolls());
+      showMessage('success', `Added "${poll.title}" to your calendar for ${formatDateTime(option.start)}.`);
+
+      analyticsService.trackCalendar('poll_scheduled', 'poll', { votes: poll.votes.length });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleDelete = (poll) => {
+    if (!window.confirm(`Delete the poll "${poll.title}"? Votes will be lost.`)) return;
+
+    try {
+      pollService.deletePoll(poll.id);
+      setPolls(pollService.getMyPolls());
+      showMessage('success', 'Poll deleted.');
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      {/* Header */}
+      <div className="mb-8">
+        <button
+          onClick={onBack}
+          className="text-indigo-600 hover:text-indigo-700 mb-2 flex items-center text-sm font-medium"
+        >
+          <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+          Back to Calendar
+        </button>
+        <h1 className="text-3xl font-bold text-gray-900">Meeting Polls</h1>
+        <p className="text-gray-600 mt-2">
+          Let a group vote on times. Start a new poll with "New Poll" in your calendar's week or day view.
+        </p>
+      </div>
+
+      {/* Message Display */}
+      {message.text && (
+        <div className={`mb-6 p-4 rounded-lg ${
+          message.type === 'success'
+            ? 'bg-green-100 text-green-800 border border-green-200'
+            : 'bg-red-100 text-red-800 border border-red-200'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {polls.length === 0 && (
+        <div className="bg-white rounded-lg border border-gray-200 p-6 text-center text-gray-500">
+          You haven't created any polls yet.
+        </div>
+      )}
+
+      <div className="space-y-6">
+        {polls.map(poll => {
+          const tally = pollService.getTally(poll);
+          const winner = pollService.getWinningOption(poll);
+
+          return (
+            <div key={poll.id} className="bg-white rounded-lg border border-gray-200 p-6">
+              <div className="flex items-start justify-between mb-4">
+                <div>
+                  <h2 className="text-xl font-semibold text-gray-900">{poll.title}</h2>
+                  <p className="text-sm text-gray-600">
+                    {poll.votes.length} vote{poll.votes.length === 1 ? '' : 's'} · created {new Date(poll.createdAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                    poll.status === 'open' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                  }`}>
+                    {poll.status === 'open' ? 'Open' : 'Scheduled'}
+                  </span>
+                  {poll.status === 'open' && (
+                    <button
+                      onClick={() => handleCopyLink(poll.link)}
+                      className="bg-indigo-100 hover:bg-indigo-200 text-indigo-700 px-3 py-1 rounded-lg text-sm font-medium transition-colors"
+                    >
+                      Copy Link
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleDelete(poll)}
+                    className="bg-red-100 hover:bg-red-200 text-red-700 px-3 py-1 rounded-lg text-sm font-medium transition-colors"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+
+              {/* Tally */}
+              <div className="space-y-2">
+                {tally.map(({ option, yes, maybe, no }) => {
+                  const isChosen = poll.chosenOptionId === option.id;
+                  const isTopPick = poll.status === 'open' && winner && winner.id === option.id;
+
+                  return (
+                    <div
+                      key={option.id}
+                      className={`flex items-center justify-between p-3 rounded-lg ${
+                        isChosen || isTopPick ? 'bg-indigo-50 border border-indigo-200' : 'bg-gray-50'
+                      }`}
+                    >
+                      <div className="flex items-center space-x-3">
+                        <span className="text-sm font-medium text-gray-900">{formatDateTime(option.start)}</span>
+                        {isTopPick && <span className="text-xs font-medium text-indigo-700">Top pick</span>}
+                        {isChosen && <span className="text-xs font-medium text-indigo-700">Scheduled</span>}
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <span className={`px-2 py-1 rounded text-xs font-medium ${RESPONSE_STYLES.yes}`}>{yes} yes</span>
+                        <span className={`px-2 py-1 rounded text-xs font-medium ${RESPONSE_STYLES.maybe}`}>{maybe} maybe</span>
+                        <span className={`px-2 py-1 rounded text-xs font-medium ${RESPONSE_STYLES.no}`}>{no} no</span>
+                        {poll.status === 'open' && (
+                          <button
+                            onClick={() => handleSchedule(poll, option)}
+                            className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-lg text-xs font-medium transition-colors"
+                          >
+                            Schedule
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              {/* Voters */}
+              {poll.votes.length > 0 && (
+                <div className="mt-4 pt-4 border-t border-gray-200 space-y-2">
+                  {poll.votes.map(vote => (
+                    <div key={vote.id} className="flex items-center justify-between text-sm">
+                      <span className="text-gray-900">
+                        {vote.name}
+                        {vote.email && <span className="text-gray-500"> ({vote.email})</span>}
+                      </span>
+                      <div className="flex space-x-1">
+                        {poll.options.map(option => (
+                          <span
+                            key={option.id}
+                            className={`w-12 text-center px-1 py-0.5 rounded text-xs ${RESPONSE_STYLES[vote.responses[option.id]]}`}
+                            title={formatDateTime(option.start)}
+                          >
+                            {vote.responses[option.id]}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PollManager;
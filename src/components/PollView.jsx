@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import pollService from '../services/pollService';
+import analyticsService from '../services/analyticsService';
+
+/**
+ * PollView Component - Public voting page for a meeting poll
+ *
+ * Reached through a `?poll=<id>` link. Anyone with the link can answer
+ * yes / maybe / no for each proposed time; no account is needed. Voting
+ * again under the same name updates the earlier answers.
+ *
+ * Features:
+ * - Proposed times with everyone's answers so far
+ * - Name, optional email and a yes / maybe / no per time
+ * - Shows the chosen time once the organizer schedules it
+ *
+ * TODO: Show times in the voter's chosen time zone
+ */
+const RESPONSE_OPTIONS = [
+  { value: 'yes', label: 'Yes', activeClass: 'bg-green-600 text-white border-green-600' },
+  { value: 'maybe', label: 'Maybe', activeClass: 'bg-yellow-500 text-white border-yellow-500' },
+  { value: 'no', label: 'No', activeClass: 'bg-red-600 text-white border-red-600' }
+];
+
+const PollView = ({ pollId, onBack }) => {
+  const [poll, setPoll] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [form, setForm] = useState({ name: '', email: '', responses: {} });
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    setPoll(pollService.getPublicPoll(pollId));
+    setIsLoading(false);
+  }, [pollId]);
+
+  const setResponse = (optionId, response) => {
+    setForm(prev => ({ ...prev, responses: { ...prev.responses, [optionId]: response } }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    try {
+      pollService.submitVote(pollId, form);
+      setPoll(pollService.getPublicPoll(pollId));
+      setMessage({ type: 'success', text: `Thanks, ${form.name.trim()}! Your answers are saved.` });
+
+      analyticsService.trackCalendar('poll_vote', 'poll', { options: poll.options.length });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  if (isLoading) {
+    return null;
+  }
+
+  if (!poll) {
+    return (
+      <div className="max-w-2xl mx-auto">
+        <div className="text-center py-12">
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Poll Not Found</h2>
+          <p className="text-gray-600 mb-4">This poll link is invalid or the poll was deleted.</p>
+          {onBack && (
+            <button
+              onClick={onBack}
+              className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+            >
+              Go Back
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const chosenOption = poll.options.find(option => option.id === poll.chosenOptionId);
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">{poll.title}</h1>
+        <p className="text-gray-600 mt-2">{poll.ownerName} wants to find a time that works for everyone</p>
+        {poll.description && <p className="text-gray-700 mt-4">{poll.description}</p>}
+      </div>
+
+      {/* Message Display */}
+      {message.text && (
+        <div className={`mb-6 p-4 rounded-lg ${
+          message.type === 'success'
+            ? 'bg-green-100 text-green-800 border border-green-200'
+            : 'bg-red-100 text-red-800 border border-red-200'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {chosenOption && (
+        <div className="bg-indigo-50 rounded-lg border border-indigo-200 p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900">It's decided</h2>
+          <p className="text-gray-700 mt-1">{formatDateTime(chosenOption.start)}</p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg border border-gray-200 p-6">
+        {/* Times */}
+        <div className="space-y-3 mb-6">
+          {poll.options.map(option => {
+            const votes = poll.votes.filter(vote => vote.responses[option.id] !== 'no');
+            return (
+              <div key={option.id} className="p-3 bg-gray-50 rounded-lg">
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium text-gray-900">{formatDateTime(option.start)}</span>
+                  {poll.status === 'open' && (
+                    <div className="flex space-x-1">
+                      {RESPONSE_OPTIONS.map(response => (
+                        <button
+                          key={response.value}
+                          type="button"
+                          onClick={() => setResponse(option.id, response.value)}
+                          className={`px-3 py-1 rounded-lg text-xs font-medium border transition-colors ${
+                            form.responses[option.id] === response.value
+                              ? response.activeClass
+                              : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'
+                          }`}
+                        >
+                          {response.label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                {votes.length > 0 && (
+                  <div className="text-xs text-gray-500 mt-1">
+                    {votes.map(vote => vote.responses[option.id] === 'maybe' ? `${vote.name} (maybe)` : vote.name).join(', ')}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {poll.status === 'open' && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Your Name
+                </label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Email (optional)
+                </label>
+                <input
+                  type="email"
+                  value={form.email}
+                  onChange={(e) => setForm(prev => ({ ...prev, email: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                />
+              </div>
+            </div>
+            <button
+              type="submit"
+              className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+            >
+              Save My Answers
+            </button>
+          </>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default PollView;
@@ -0,0 +1,41 @@
+import React from 'react';
+
+/**
+ * ReminderToasts Component - In-app event reminders
+ *
+ * Shown in the corner of every page for reminders that couldn't be sent as
+ * browser notifications. Each stays until dismissed.
+ *
+ * Features:
+ * - Event title and when it starts
+ * - Dismiss one reminder at a time
+ */
+const ReminderToasts = ({ reminders, onDismiss }) => {
+  if (reminders.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 space-y-2 w-80">
+      {reminders.map(reminder => (
+        <div
+          key={reminder.key}
+          className="bg-white rounded-lg border border-indigo-200 shadow-lg p-4 flex items-start"
+        >
+          <span className="text-lg mr-3">🔔</span>
+          <div className="flex-1 min-w-0">
+            <div className="font-medium text-gray-900 truncate">{reminder.event.title}</div>
+            <div className="text-sm text-gray-600">{reminder.body}</div>
+          </div>
+          <button
+            onClick={() => onDismiss(reminder.key)}
+            className="text-gray-400 hover:text-gray-600 ml-2 text-sm"
+            title="Dismiss"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ReminderToasts;
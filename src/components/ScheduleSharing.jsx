@@ -3,6 +3,7 @@ import authService from '../services/authService';
 import sharingService from '../services/sharingService';
 import analyticsService from '../services/analyticsService';
 import subscriptionService from '../services/subscriptionService';
+import userDirectoryService from '../services/userDirectoryService';
 import PremiumGate from './PremiumGate';
 import { populateDemoData } from '../services/demoData';
 
@@ -15,6 +16,11 @@ import { populateDemoData } from '../services/demoData';
  * Features:
  * - Generate shareable links
  * - Set sharing permissions
+ * - Choose how much of each event a link shows, defaulting to busy blocks
+ *   when "Show Busy Times" is on in privacy settings
+ * - Lock links with a passphrase or to one recipient, and cap their views
+ * - Expiry presets, and extend or duplicate links to renew them
+ * - Per-link access log with views over time and CSV export
  * - Manage existing shares
  * - View sharing statistics
  * - Copy links to clipboard
@@ -23,17 +29,42 @@ import { populateDemoData } from '../services/demoData';
  * TODO: Add bulk sharing management
  * TODO: Add share link preview
  */
+const EVENT_VISIBILITY_OPTIONS = [
+  { value: 'hidden', label: 'Hidden', description: 'No events are shown' },
+  { value: 'busy', label: 'Busy only', description: 'Grey blocks for busy times, no details' },
+  { value: 'titles', label: 'Titles only', description: 'Event titles and times' },
+  { value: 'details', label: 'Full details', description: 'Everything, including descriptions, locations and guests' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a new link lasts; also offered when extending one
+const EXPIRY_PRESETS = [
+  { value: 'never', label: 'Never', days: null },
+  { value: '1d', label: '1 day', days: 1 },
+  { value: '1w', label: '1 week', days: 7 },
+  { value: '30d', label: '30 days', days: 30 },
+  { value: 'custom', label: 'Custom', days: null }
+];
+
+// Days in a link's views-over-time chart, and visits listed under it
+const VIEWS_CHART_DAYS = 14;
+const ACCESS_LOG_ROWS = 20;
+
 const ScheduleSharing = ({ onBack }) => {
   const [currentUser, setCurrentUser] = useState(null);
   const [shareLinks, setShareLinks] = useState([]);
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [newSharePermissions, setNewSharePermissions] = useState({
-    canViewEvents: true,
+    eventVisibility: 'details',
     canViewAvailability: true,
     canViewStatus: true,
     canViewDetails: false,
-    expiresAt: null
+    canBook: false
   });
+  const [newShareAccess, setNewShareAccess] = useState({ passphrase: '', recipientEmail: '', maxViews: '' });
+  const [newShareExpiry, setNewShareExpiry] = useState({ preset: 'never', custom: '' });
+  const [detailLinkId, setDetailLinkId] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [message, setMessage] = useState({ type: '', text: '' });
   const [usageStats, setUsageStats] = useState(null);
@@ -44,6 +75,9 @@ const ScheduleSharing = ({ onBack }) => {
       const user = authService.getCurrentUser();
       if (user) {
         setCurrentUser(user);
+        if (user.settings?.privacy?.showBusyTimes) {
+          setNewSharePermissions(prev => ({ ...prev, eventVisibility: 'busy' }));
+        }
         const userLinks = sharingService.getUserShareLinks(user.id);
         setShareLinks(userLinks);
         
@@ -57,7 +91,26 @@ const ScheduleSharing = ({ onBack }) => {
     loadSharingData();
   }, []);
 
-  const handleCreateShare = () => {
+  // Reload links and usage after a change; expired links are swept on the way
+  const refreshShareLinks = () => {
+    setShareLinks(sharingService.getUserShareLinks(currentUser.id));
+    setUsageStats(subscriptionService.getUsageStats());
+  };
+
+  // Expiry chosen in the create form, or null for never
+  const getNewShareExpiry = () => {
+    if (newShareExpiry.preset === 'custom') {
+      if (!newShareExpiry.custom) {
+        throw new Error('Please choose when the link expires');
+      }
+      return new Date(newShareExpiry.custom).toISOString();
+    }
+
+    const preset = EXPIRY_PRESETS.find(option => option.value === newShareExpiry.preset);
+    return preset.days ? new Date(Date.now() + preset.days * DAY_MS).toISOString() : null;
+  };
+
+  const handleCreateShare = async () => {
     if (!currentUser) return;
 
     // Check if user can create more share links
@@ -70,16 +123,25 @@ const ScheduleSharing = ({ onBack }) => {
     }
 
     try {
-      const shareData = sharingService.generateShareLink(currentUser.id, newSharePermissions);
-      const updatedLinks = sharingService.getUserShareLinks(currentUser.id);
-      setShareLinks(updatedLinks);
+      const shareData = await sharingService.generateShareLink(
+        currentUser.id,
+        { ...newSharePermissions, expiresAt: getNewShareExpiry() },
+        newShareAccess
+      );
+      refreshShareLinks();
       setShowCreateForm(false);
+      setNewShareAccess({ passphrase: '', recipientEmail: '', maxViews: '' });
+      setNewShareExpiry({ preset: 'never', custom: '' });
       
       setMessage({ type: 'success', text: 'Share link created successfully!' });
       
       // Track analytics
       analyticsService.trackClick('create_share_link', 'schedule_sharing', {
-        permissions: newSharePermissions
+        permissions: newSharePermissions,
+        passphrase: !!shareData.passphraseHash,
+        recipient: !!shareData.recipientEmail,
+        maxViews: shareData.maxViews,
+        expiry: newShareExpiry.preset
       });
 
       // Clear message after 3 seconds
@@ -88,7 +150,7 @@ const ScheduleSharing = ({ onBack }) => {
       }, 3000);
 
     } catch (error) {
-      setMessage({ type: 'error', text: 'Failed to create share link' });
+      setMessage({ type: 'error', text: error.message || 'Failed to create share link' });
     }
   };
 
@@ -111,8 +173,7 @@ const ScheduleSharing = ({ onBack }) => {
     if (window.confirm('Are you sure you want to revoke this share link? It will no longer be accessible.')) {
       const success = sharingService.revokeShareLink(shareId);
       if (success) {
-        const updatedLinks = sharingService.getUserShareLinks(currentUser.id);
-        setShareLinks(updatedLinks);
+        refreshShareLinks();
         setMessage({ type: 'success', text: 'Share link revoked successfully!' });
         
         // Track analytics
@@ -127,6 +188,167 @@ const ScheduleSharing = ({ onBack }) => {
     }
   };
 
+  // Push a link's expiry out by some days, from now if it has already passed,
+  // or drop it with 'never'
+  const handleExtendLink = (link, value) => {
+    if (!value) return;
+
+    // An expired link counts towards the limit again once it's reactivated
+    if (!link.isActive && !subscriptionService.canCreateShareLink()) {
+      setMessage({ type: 'error', text: 'You\'ve reached your share link limit. Revoke a link or upgrade to reactivate this one.' });
+      return;
+    }
+
+    try {
+      const from = Math.max(Date.now(), new Date(link.expiresAt).getTime());
+      const expiresAt = value === 'never' ? null : new Date(from + Number(value) * DAY_MS).toISOString();
+      sharingService.extendShareLink(link.id, expiresAt);
+      refreshShareLinks();
+      setMessage({ type: 'success', text: expiresAt ? `Link now expires ${formatDate(expiresAt)}` : 'Link no longer expires' });
+
+      analyticsService.trackClick('extend_share_link', 'schedule_sharing', { days: value, wasExpired: !link.isActive });
+
+      setTimeout(() => {
+        setMessage({ type: '', text: '' });
+      }, 3000);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleDuplicateLink = async (link) => {
+    if (!subscriptionService.canCreateShareLink()) {
+      setMessage({ 
+        type: 'error', 
+        text: 'You\'ve reached your share link limit. Upgrade to Pro to create unlimited share links!' 
+      });
+      return;
+    }
+
+    try {
+      await sharingService.duplicateShareLink(link.id);
+      refreshShareLinks();
+      setMessage({ type: 'success', text: 'Share link duplicated!' });
+
+      analyticsService.trackClick('duplicate_share_link', 'schedule_sharing');
+
+      setTimeout(() => {
+        setMessage({ type: '', text: '' });
+      }, 3000);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const toggleLinkDetails = (link) => {
+    const isOpening = detailLinkId !== link.id;
+    setDetailLinkId(isOpening ? link.id : null);
+    if (isOpening) {
+      analyticsService.trackClick('share_link_details', 'schedule_sharing', { views: link.accessCount });
+    }
+  };
+
+  const handleExportAccessLog = (link) => {
+    sharingService.downloadAccessLog(link.id);
+    analyticsService.trackClick('export_share_access_log', 'schedule_sharing', { views: link.accessCount });
+  };
+
+  // Views over time and recent visits for one link
+  const renderLinkDetails = (link) => {
+    const log = sharingService.getAccessLog(link.id);
+    const days = sharingService.getViewsOverTime(link.id, VIEWS_CHART_DAYS);
+    const maxViews = Math.max(1, ...days.map(day => day.views));
+    const bookings = log.filter(entry => entry.booked).length;
+
+    return (
+      <div className="mt-4 pt-4 border-t border-gray-200">
+        <div className="grid grid-cols-3 gap-4 mb-4 text-center">
+          <div>
+            <div className="text-2xl font-semibold text-gray-900">{log.length}</div>
+            <div className="text-xs text-gray-500">Logged visits</div>
+          </div>
+          <div>
+            <div className="text-2xl font-semibold text-gray-900">{bookings}</div>
+            <div className="text-xs text-gray-500">Booked</div>
+          </div>
+          <div>
+            <div className="text-2xl font-semibold text-gray-900">
+              {log.length > 0 ? `${Math.round((bookings / log.length) * 100)}%` : '–'}
+            </div>
+            <div className="text-xs text-gray-500">Booking rate</div>
+          </div>
+        </div>
+
+        <h4 className="text-sm font-medium text-gray-900 mb-2">Views, last {VIEWS_CHART_DAYS} days</h4>
+        <div className="flex items-end h-24 space-x-1 mb-1">
+          {days.map(day => (
+            <div
+              key={day.date.toDateString()}
+              className="flex-1 flex flex-col justify-end h-full"
+              title={`${day.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}: ${day.views} view${day.views === 1 ? '' : 's'}, ${day.bookings} booked`}
+            >
+              <div
+                style={{ height: `${(day.views / maxViews) * 100}%` }}
+                className={`rounded-t ${day.bookings > 0 ? 'bg-green-500' : 'bg-indigo-400'}`}
+              ></div>
+            </div>
+          ))}
+        </div>
+        <div className="flex justify-between text-xs text-gray-400 mb-4">
+          <span>{days[0].date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</span>
+          <span>Today</span>
+        </div>
+
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="text-sm font-medium text-gray-900">Recent visits</h4>
+          {log.length > 0 && (
+            <button
+              onClick={() => handleExportAccessLog(link)}
+              className="text-indigo-600 hover:text-indigo-700 text-sm font-medium"
+            >
+              Export CSV
+            </button>
+          )}
+        </div>
+        {log.length === 0 ? (
+          <p className="text-sm text-gray-500">No visits logged yet</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500">
+                <th className="py-1 font-medium">When</th>
+                <th className="py-1 font-medium">Browser</th>
+                <th className="py-1 font-medium">From</th>
+                <th className="py-1 font-medium">Booked</th>
+              </tr>
+            </thead>
+            <tbody>
+              {log.slice(0, ACCESS_LOG_ROWS).map(entry => (
+                <tr key={entry.id} className="border-t border-gray-100 text-gray-700">
+                  <td className="py-1">{formatDate(entry.accessedAt)}</td>
+                  <td className="py-1">{entry.userAgent}</td>
+                  <td className="py-1">{entry.referrer || 'Direct'}</td>
+                  <td className="py-1">{entry.booked ? '✓' : ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {log.length > ACCESS_LOG_ROWS && (
+          <p className="text-xs text-gray-500 mt-2">Showing the latest {ACCESS_LOG_ROWS} of {log.length}. Export for the full log.</p>
+        )}
+      </div>
+    );
+  };
+
+  // Status shown on a link in the list
+  const getLinkStatusLabel = (link) => {
+    if (link.isActive) return 'Active';
+    if (link.deactivatedReason === 'expired') return 'Expired';
+    if (link.deactivatedReason === 'max-views') return 'View limit reached';
+    return 'Revoked';
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -139,10 +361,14 @@ const ScheduleSharing = ({ onBack }) => {
 
   const getPermissionLabel = (permissions) => {
     const labels = [];
-    if (permissions.canViewEvents) labels.push('Events');
+    const visibility = sharingService.getEventVisibility(permissions);
+    if (visibility !== 'hidden') {
+      labels.push(`Events (${EVENT_VISIBILITY_OPTIONS.find(option => option.value === visibility).label.toLowerCase()})`);
+    }
     if (permissions.canViewAvailability) labels.push('Availability');
     if (permissions.canViewStatus) labels.push('Status');
     if (permissions.canViewDetails) labels.push('Details');
+    if (permissions.canBook) labels.push('Booking');
     return labels.join(', ');
   };
 
@@ -230,7 +456,7 @@ const ScheduleSharing = ({ onBack }) => {
                 <div className="flex justify-between">
                   <span className="text-gray-600">Remaining:</span>
                   <span className="font-medium">
-                    {subscriptionService.getRemainingUsage('maxShareLinks', usageStats.shareLinks.total)}
+                    {subscriptionService.getRemainingUsage('maxShareLinks', usageStats.shareLinks.active)}
                   </span>
                 </div>
               </div>
@@ -278,11 +504,11 @@ const ScheduleSharing = ({ onBack }) => {
               + New Share
             </button>
             <button
-              onClick={() => {
+              onClick={async () => {
                 populateDemoData();
-                const testLink = sharingService.createTestShareLink();
+                const testLink = await sharingService.createTestShareLink();
                 if (testLink) {
-                  console.log('Test share link created:', testLink);
+                  console.log('Test share link created:', sharingService.getLoggableLink(testLink));
                   const updatedLinks = sharingService.getUserShareLinks(currentUser.id);
                   setShareLinks(updatedLinks);
                   setMessage({ type: 'success', text: 'Demo data loaded and test share link created! Check console for details.' });
@@ -297,11 +523,11 @@ const ScheduleSharing = ({ onBack }) => {
             <button
               onClick={() => {
                 // Debug: Test the share link directly
-                const users = JSON.parse(localStorage.getItem('checkmate_users') || '{}');
+                const users = userDirectoryService.listUsers();
                 console.log('DEBUG: All users in localStorage:', users);
                 
                 const shareLinks = JSON.parse(localStorage.getItem('checkmate_share_links') || '{}');
-                console.log('DEBUG: All share links in localStorage:', shareLinks);
+                console.log('DEBUG: All share links in localStorage:', Object.values(shareLinks).map(link => sharingService.getLoggableLink(link)));
                 
                 const shareLinkIds = Object.keys(shareLinks);
                 if (shareLinkIds.length > 0) {
@@ -340,18 +566,37 @@ const ScheduleSharing = ({ onBack }) => {
             <div>
               <h3 className="text-lg font-medium text-gray-900 mb-3">Sharing Permissions</h3>
               <div className="space-y-3">
-                <label className="flex items-center">
-                  <input
-                    type="checkbox"
-                    checked={newSharePermissions.canViewEvents}
-                    onChange={(e) => setNewSharePermissions({
-                      ...newSharePermissions,
-                      canViewEvents: e.target.checked
-                    })}
-                    className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
-                  />
-                  <span className="ml-2 text-gray-700">View Calendar Events</span>
-                </label>
+                <div>
+                  <span className="block text-gray-700 mb-2">Calendar Events</span>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                    {EVENT_VISIBILITY_OPTIONS.map(option => (
+                      <label
+                        key={option.value}
+                        className={`flex items-start p-3 rounded-lg border cursor-pointer transition-colors ${
+                          newSharePermissions.eventVisibility === option.value
+                            ? 'border-indigo-500 bg-indigo-50'
+                            : 'border-gray-200 hover:bg-gray-50'
+                        }`}
+                      >
+                        <input
+                          type="radio"
+                          name="eventVisibility"
+                          value={option.value}
+                          checked={newSharePermissions.eventVisibility === option.value}
+                          onChange={() => setNewSharePermissions({
+                            ...newSharePermissions,
+                            eventVisibility: option.value
+                          })}
+                          className="mt-1 border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                        />
+                        <span className="ml-2">
+                          <span className="block text-sm font-medium text-gray-900">{option.label}</span>
+                          <span className="block text-xs text-gray-500">{option.description}</span>
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
                 
                 <label className="flex items-center">
                   <input
@@ -391,6 +636,93 @@ const ScheduleSharing = ({ onBack }) => {
                   />
                   <span className="ml-2 text-gray-700">View Personal Details</span>
                 </label>
+
+                <label className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={newSharePermissions.canBook}
+                    onChange={(e) => setNewSharePermissions({
+                      ...newSharePermissions,
+                      canBook: e.target.checked
+                    })}
+                    className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                  />
+                  <span className="ml-2 text-gray-700">Allow Booking Meetings</span>
+                </label>
+              </div>
+            </div>
+
+            <div>
+              <h3 className="text-lg font-medium text-gray-900 mb-3">Access</h3>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Passphrase (optional)
+                  </label>
+                  <input
+                    type="password"
+                    value={newShareAccess.passphrase}
+                    onChange={(e) => setNewShareAccess({ ...newShareAccess, passphrase: e.target.value })}
+                    autoComplete="new-password"
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Only for (optional)
+                  </label>
+                  <input
+                    type="email"
+                    value={newShareAccess.recipientEmail}
+                    onChange={(e) => setNewShareAccess({ ...newShareAccess, recipientEmail: e.target.value })}
+                    placeholder="name@example.com"
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    View limit (optional)
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={newShareAccess.maxViews}
+                    onChange={(e) => setNewShareAccess({ ...newShareAccess, maxViews: e.target.value })}
+                    placeholder="Unlimited"
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Viewers enter the passphrase or their email before seeing anything. The link turns off once its views are used up.
+              </p>
+            </div>
+
+            <div>
+              <h3 className="text-lg font-medium text-gray-900 mb-3">Expires</h3>
+              <div className="flex flex-wrap items-center gap-2">
+                {EXPIRY_PRESETS.map(preset => (
+                  <button
+                    key={preset.value}
+                    type="button"
+                    onClick={() => setNewShareExpiry({ ...newShareExpiry, preset: preset.value })}
+                    className={`px-3 py-1 rounded-lg text-sm font-medium border transition-colors ${
+                      newShareExpiry.preset === preset.value
+                        ? 'bg-indigo-600 text-white border-indigo-600'
+                        : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'
+                    }`}
+                  >
+                    {preset.label}
+                  </button>
+                ))}
+                {newShareExpiry.preset === 'custom' && (
+                  <input
+                    type="datetime-local"
+                    value={newShareExpiry.custom}
+                    onChange={(e) => setNewShareExpiry({ ...newShareExpiry, custom: e.target.value })}
+                    className="border border-gray-300 rounded-lg px-3 py-1 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                )}
               </div>
             </div>
 
@@ -436,8 +768,18 @@ const ScheduleSharing = ({ onBack }) => {
                       <span className={`px-2 py-1 rounded-full text-xs font-medium ${
                         link.isActive ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
                       }`}>
-                        {link.isActive ? 'Active' : 'Revoked'}
+                        {getLinkStatusLabel(link)}
                       </span>
+                      {link.passphraseHash && (
+                        <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                          🔒 Passphrase
+                        </span>
+                      )}
+                      {link.recipientEmail && (
+                        <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                          Only {link.recipientEmail}
+                        </span>
+                      )}
                       <span className="ml-2 text-sm text-gray-500">
                         Created {formatDate(link.createdAt)}
                       </span>
@@ -452,7 +794,12 @@ const ScheduleSharing = ({ onBack }) => {
                     </div>
                     
                     <div className="text-sm text-gray-500">
-                      <span className="mr-4">Views: {link.accessCount}</span>
+                      <span className="mr-4">Views: {link.accessCount}{link.maxViews && ` of ${link.maxViews}`}</span>
+                      <span className="mr-4">
+                        {!link.expiresAt
+                          ? 'Never expires'
+                          : `${new Date(link.expiresAt) < new Date() ? 'Expired' : 'Expires'} ${formatDate(link.expiresAt)}`}
+                      </span>
                       {link.lastAccessed && (
                         <span>Last accessed: {formatDate(link.lastAccessed)}</span>
                       )}
@@ -466,6 +813,31 @@ const ScheduleSharing = ({ onBack }) => {
                     >
                       Copy
                     </button>
+                    <button
+                      onClick={() => handleDuplicateLink(link)}
+                      className="text-indigo-600 hover:text-indigo-700 text-sm font-medium"
+                    >
+                      Duplicate
+                    </button>
+                    <button
+                      onClick={() => toggleLinkDetails(link)}
+                      className="text-indigo-600 hover:text-indigo-700 text-sm font-medium"
+                    >
+                      {detailLinkId === link.id ? 'Hide Details' : 'Details'}
+                    </button>
+                    {link.expiresAt && (link.isActive || link.deactivatedReason === 'expired') && (
+                      <select
+                        value=""
+                        onChange={(e) => handleExtendLink(link, e.target.value)}
+                        className="border border-gray-300 rounded text-sm text-indigo-600 font-medium px-1"
+                      >
+                        <option value="">Extend…</option>
+                        {EXPIRY_PRESETS.filter(preset => preset.days).map(preset => (
+                          <option key={preset.value} value={preset.days}>+{preset.label}</option>
+                        ))}
+                        <option value="never">Never expire</option>
+                      </select>
+                    )}
                     {link.isActive && (
                       <button
                         onClick={() => handleRevokeLink(link.id)}
@@ -476,6 +848,8 @@ const ScheduleSharing = ({ onBack }) => {
                     )}
                   </div>
                 </div>
+
+                {detailLinkId === link.id && renderLinkDetails(link)}
               </div>
             ))}
           </div>
@@ -488,6 +862,7 @@ const ScheduleSharing = ({ onBack }) => {
         <div className="space-y-2 text-sm text-blue-800">
           <p>• Share links are unique and secure - only people with the link can access your schedule</p>
           <p>• You can revoke access at any time by revoking the share link</p>
+          <p>• Add a passphrase or recipient to keep a link private even if it's forwarded</p>
           <p>• Personal details are only shared if you explicitly enable that permission</p>
           <p>• All sharing activity is tracked for your security</p>
         </div>
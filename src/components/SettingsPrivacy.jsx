@@ -1,5 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import authService from '../services/authService';
+import eventService from '../services/eventService';
+import icsService from '../services/icsService';
+import reminderService from '../services/reminderService';
 
 /**
  * SettingsPrivacy Component - User Preferences & Privacy Controls
@@ -9,7 +12,7 @@ import authService from '../services/authService';
  * 
  * Features:
  * - Privacy and data sharing controls
- * - Notification preferences
+ * - Notification preferences, including browser notifications for reminders
  * - Account management
  * - Data export and deletion
  * - Security settings
@@ -17,10 +20,9 @@ import authService from '../services/authService';
  * 
  * TODO: Implement actual backend integration for settings persistence
  * TODO: Add two-factor authentication setup
- * TODO: Implement data export functionality
  * TODO: Add GDPR compliance features
  */
-const SettingsPrivacy = ({ onBack, onLogout, onSubscription }) => {
+const SettingsPrivacy = ({ onBack, onLogout, onSubscription, onAvailability }) => {
   const [settings, setSettings] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [message, setMessage] = useState({ type: '', text: '' });
@@ -40,6 +42,7 @@ const SettingsPrivacy = ({ onBack, onLogout, onSubscription }) => {
 
   const [activeTab, setActiveTab] = useState('privacy');
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [notificationPermission, setNotificationPermission] = useState(reminderService.getPermission());
 
   const handleSettingChange = (category, setting, value) => {
     setSettings(prev => ({
@@ -66,8 +69,25 @@ const SettingsPrivacy = ({ onBack, onLogout, onSubscription }) => {
   };
 
   const handleExportData = () => {
-    // TODO: Implement data export functionality
-    console.log('Exporting user data...');
+    try {
+      // Export the calendar as iCalendar so it can be imported anywhere
+      icsService.downloadCalendar(eventService.exportCalendar(), 'checkmate-calendar.ics');
+      setMessage({ type: 'success', text: 'Your calendar has been exported as an .ics file.' });
+      
+      setTimeout(() => {
+        setMessage({ type: '', text: '' });
+      }, 3000);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleAllowNotifications = () => {
+    reminderService.requestPermission().then(permission => {
+      setNotificationPermission(permission);
+    }).catch(() => {
+      setMessage({ type: 'error', text: 'Could not ask for notification permission' });
+    });
   };
 
   const handleDeleteAccount = async () => {
@@ -113,7 +133,7 @@ const SettingsPrivacy = ({ onBack, onLogout, onSubscription }) => {
           <div className="flex items-center justify-between">
             <div>
               <h4 className="text-sm font-medium text-gray-900">Allow Direct Booking</h4>
-              <p className="text-sm text-gray-600">Let others book meetings without confirmation</p>
+              <p className="text-sm text-gray-600">Bookings from your share links go straight into your calendar without confirmation</p>
             </div>
             <label className="relative inline-flex items-center cursor-pointer">
               <input
@@ -129,7 +149,7 @@ const SettingsPrivacy = ({ onBack, onLogout, onSubscription }) => {
           <div className="flex items-center justify-between">
             <div>
               <h4 className="text-sm font-medium text-gray-900">Show Busy Times</h4>
-              <p className="text-sm text-gray-600">Display when you're busy (without details)</p>
+              <p className="text-sm text-gray-600">New share links show when you're busy, without details</p>
             </div>
             <label className="relative inline-flex items-center cursor-pointer">
               <input
@@ -202,7 +222,7 @@ const SettingsPrivacy = ({ onBack, onLogout, onSubscription }) => {
                 </h4>
                 <p className="text-sm text-gray-600">
                   {key === 'emailNotifications' && 'Receive email notifications'}
-                  {key === 'bookingReminders' && 'Get reminded before meetings'}
+                  {key === 'bookingReminders' && 'Get reminded before events that have reminders set'}
                   {key === 'calendarUpdates' && 'Notify when calendar changes'}
                   {key === 'weeklyDigest' && 'Weekly summary of your schedule'}
                   {key === 'marketingEmails' && 'Product updates and tips'}
@@ -221,6 +241,30 @@ const SettingsPrivacy = ({ onBack, onLogout, onSubscription }) => {
           ))}
         </div>
       </div>
+
+      <div className="bg-white rounded-lg border border-gray-200 p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Browser Notifications</h3>
+
+        <div className="flex items-center justify-between">
+          <div>
+            <h4 className="text-sm font-medium text-gray-900">Event Reminders</h4>
+            <p className="text-sm text-gray-600">
+              {notificationPermission === 'granted' && 'Reminders appear as browser notifications while CheckMate is open'}
+              {notificationPermission === 'default' && 'Reminders appear inside CheckMate. Allow notifications to see them in other tabs too.'}
+              {notificationPermission === 'denied' && 'Notifications are blocked in your browser settings, so reminders appear inside CheckMate'}
+              {notificationPermission === 'unsupported' && 'This browser does not support notifications, so reminders appear inside CheckMate'}
+            </p>
+          </div>
+          {notificationPermission === 'default' && (
+            <button
+              onClick={handleAllowNotifications}
+              className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex-shrink-0 ml-4"
+            >
+              Allow Notifications
+            </button>
+          )}
+        </div>
+      </div>
     </div>
   );
 
@@ -351,6 +395,13 @@ const SettingsPrivacy = ({ onBack, onLogout, onSubscription }) => {
         <h3 className="text-lg font-semibold text-gray-900 mb-4">Data Management</h3>
         
         <div className="space-y-4">
+          <button
+            onClick={onAvailability}
+            className="w-full bg-indigo-100 hover:bg-indigo-200 text-indigo-700 px-4 py-3 rounded-lg font-medium transition-colors"
+          >
+            Availability & Working Hours
+          </button>
+
           <button
             onClick={onSubscription}
             className="w-full bg-purple-100 hover:bg-purple-200 text-purple-700 px-4 py-3 rounded-lg font-medium transition-colors"
@@ -362,7 +413,7 @@ const SettingsPrivacy = ({ onBack, onLogout, onSubscription }) => {
             onClick={handleExportData}
             className="w-full bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-3 rounded-lg font-medium transition-colors"
           >
-            Export My Data
+            Export My Calendar (.ics)
           </button>
           
           <button
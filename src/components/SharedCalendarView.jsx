@@ -1,6 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import sharingService from '../services/sharingService';
 import analyticsService from '../services/analyticsService';
+import recurrenceService from '../services/recurrenceService';
+import availabilityService from '../services/availabilityService';
+import timezoneService from '../services/timezoneService';
+import eventService from '../services/eventService';
+import BookingPanel from './BookingPanel';
+import TimeZoneSelect from './TimeZoneSelect';
 
 /**
  * SharedCalendarView Component - View shared schedules
@@ -10,21 +16,48 @@ import analyticsService from '../services/analyticsService';
  * 
  * Features:
  * - Display shared events and availability
+ * - Grey busy blocks for links that only share when the owner is busy
+ * - Passphrase / recipient email prompt for locked links
  * - Show current status if permitted
+ * - Book meetings when the link allows it
  * - Respect sharing permissions
  * - Responsive calendar views
+ * - Times in the viewer's zone, with an optional second zone in week/day view
+ * - All-day and multi-day events as bars across days
+ * - Week and day grids sized by exact times, overlapping events side by side
  * - Access tracking
  * 
  * TODO: Add event interaction (if permissions allow)
  * TODO: Add calendar export functionality
- * TODO: Add timezone support
  */
+
+// Hours shown in the week and day grids, and the height of one hour in pixels
+const GRID_START_HOUR = 6;
+const GRID_END_HOUR = 22;
+const HOUR_HEIGHT = 60;
+
+// Shortest block drawn, so brief events stay visible
+const MIN_BLOCK_MINUTES = 15;
+
+// How each event visibility level is described in the permissions note
+const EVENT_VISIBILITY_LABELS = {
+  busy: 'busy times',
+  titles: 'event titles',
+  details: 'events'
+};
+
 const SharedCalendarView = ({ shareId, onBack }) => {
   const [sharedData, setSharedData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [currentDate, setCurrentDate] = useState(new Date());
   const [viewMode, setViewMode] = useState('month'); // month, week, day
+  const [secondaryTimeZone, setSecondaryTimeZone] = useState(null);
+  const [lockRequirements, setLockRequirements] = useState(null);
+  const [isUnlocked, setIsUnlocked] = useState(false);
+  const [unlockForm, setUnlockForm] = useState({ passphrase: '', email: '' });
+  const [unlockError, setUnlockError] = useState('');
+  const localTimeZone = timezoneService.getLocalTimeZone();
 
   // Load shared schedule data
   useEffect(() => {
@@ -38,6 +71,14 @@ const SharedCalendarView = ({ shareId, onBack }) => {
         return;
       }
 
+      // Locked links ask for a passphrase or email before anything loads
+      const requirements = sharingService.getAccessRequirements(shareId);
+      if (requirements && (requirements.passphrase || requirements.email) && !sharingService.hasAccess(shareId)) {
+        setLockRequirements(requirements);
+        setIsLoading(false);
+        return;
+      }
+
       console.log('SharedCalendarView: Calling sharingService.getSharedScheduleData...');
       const data = sharingService.getSharedScheduleData(shareId);
       console.log('SharedCalendarView: Received data:', data);
@@ -58,7 +99,21 @@ const SharedCalendarView = ({ shareId, onBack }) => {
     };
 
     loadSharedSchedule();
-  }, [shareId]);
+  }, [shareId, isUnlocked]);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+
+    try {
+      await sharingService.unlockShareLink(shareId, unlockForm);
+      setUnlockError('');
+      setIsLoading(true);
+      setIsUnlocked(true);
+      analyticsService.trackClick('unlock_share_link', 'shared_calendar', lockRequirements);
+    } catch (error) {
+      setUnlockError(error.message);
+    }
+  };
 
   // Navigation functions
   const navigateMonth = (direction) => {
@@ -109,13 +164,144 @@ const SharedCalendarView = ({ shareId, onBack }) => {
     return days;
   };
 
+  const getDaysInWeek = (date) => {
+    const startOfWeek = new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+    return Array.from({ length: 7 }, (_, i) =>
+      new Date(startOfWeek.getFullYear(), startOfWeek.getMonth(), startOfWeek.getDate() + i)
+    );
+  };
+
+  // Hours shown in week and day view
+  const getVisibleHours = () => Array.from({ length: GRID_END_HOUR - GRID_START_HOUR }, (_, i) => i + GRID_START_HOUR);
+
+  // Local instant at an hour of a day
+  const withHour = (date, hour) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour);
+
+  const formatHourLabel = (hour) => {
+    return hour === 0 ? '12 AM' : hour < 12 ? `${hour} AM` : hour === 12 ? '12 PM' : `${hour - 12} PM`;
+  };
+
+  // Shared events overlapping a row of days (null for blank cells), recurring ones expanded
+  const getEventsForDays = (rowDays) => {
+    const visibleDays = rowDays.filter(Boolean);
+    if (!sharedData?.events || visibleDays.length === 0) return [];
+
+    const first = visibleDays[0];
+    const last = visibleDays[visibleDays.length - 1];
+    return recurrenceService.expandEvents(
+      sharedData.events,
+      new Date(first.getFullYear(), first.getMonth(), first.getDate()),
+      new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1)
+    );
+  };
+
   const getEventsForDate = (date) => {
-    if (!sharedData?.events) return [];
-    
-    return sharedData.events.filter(event => {
-      const eventDate = new Date(event.start);
-      return eventDate.toDateString() === date.toDateString();
-    });
+    return getEventsForDays([date]).filter(event => eventService.occursOnDate(event, date));
+  };
+
+  // Split days into calendar rows of up to seven
+  const getWeekRows = (rowDays) => {
+    const rows = [];
+    for (let i = 0; i < rowDays.length; i += 7) {
+      rows.push(rowDays.slice(i, i + 7));
+    }
+    return rows;
+  };
+
+  // "Mar 3 – Mar 5" for all-day events, with times for multi-day timed events
+  const formatSpan = (event) => {
+    const start = new Date(event.start);
+    const end = new Date(event.end);
+    if (event.allDay) {
+      const lastDay = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+      const startLabel = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+      return lastDay > start
+        ? `${startLabel} – ${lastDay.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`
+        : startLabel;
+    }
+    const options = { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' };
+    return `${start.toLocaleString('en-US', options)} – ${end.toLocaleString('en-US', options)}`;
+  };
+
+  // Bar for an all-day or multi-day event laid out by eventService.layoutSpanningEvents
+  const renderSpanningBar = (bar) => (
+    <div
+      key={bar.event.id}
+      style={{ gridColumn: `${bar.startIndex + 1} / span ${bar.span}`, gridRow: bar.lane + 1 }}
+      className={`h-5 px-1 text-xs leading-5 border truncate ${getEventColorClass(bar.event)} ${
+        bar.continuesBefore ? '' : 'rounded-l ml-1'
+      } ${bar.continuesAfter ? '' : 'rounded-r mr-1'}`}
+      title={`${getEventLabel(bar.event)} (${formatSpan(bar.event)})`}
+    >
+      {bar.continuesBefore && '← '}{getEventLabel(bar.event)}{bar.continuesAfter && ' →'}
+    </div>
+  );
+
+  // Mark days with an availability override; sharingService strips their notes
+  const renderOverrideBadge = (date) => {
+    if (!sharedData?.availability?.dateOverrides) return null;
+
+    const override = availabilityService.getDateOverride(sharedData.availability, availabilityService.formatDateKey(date));
+    if (!override) return null;
+
+    return (
+      <div className={`text-xs px-1 rounded mb-1 truncate ${
+        override.hours.length === 0 ? 'bg-gray-200 text-gray-700' : 'bg-yellow-100 text-yellow-800'
+      }`}>
+        {override.hours.length === 0
+          ? 'Unavailable'
+          : override.hours.map(hours => `${hours.start}–${hours.end}`).join(', ')}
+      </div>
+    );
+  };
+
+  // Position of a block in the week/day grid from minutes after midnight,
+  // or null when it falls outside the visible hours
+  const getBlockStyle = (startMinutes, endMinutes, column, columns) => {
+    const gridStart = GRID_START_HOUR * 60;
+    const gridEnd = GRID_END_HOUR * 60;
+    const top = Math.max(startMinutes, gridStart);
+    const bottom = Math.min(Math.max(endMinutes, startMinutes + MIN_BLOCK_MINUTES), gridEnd);
+    if (bottom <= top) return null;
+
+    return {
+      top: `${((top - gridStart) / 60) * HOUR_HEIGHT}px`,
+      height: `${((bottom - top) / 60) * HOUR_HEIGHT - 2}px`,
+      left: `${(column / columns) * 100}%`,
+      width: `calc(${100 / columns}% - 2px)`
+    };
+  };
+
+  // One day of the week or day grid with timed events placed by their exact
+  // start and end, overlapping events side by side
+  const renderDayColumn = (day, compact) => (
+    <div key={day.toDateString()} className="relative">
+      {getVisibleHours().map(hour => (
+        <div key={hour} style={{ height: HOUR_HEIGHT }} className="border border-gray-100 bg-white"></div>
+      ))}
+
+      {eventService.layoutDayEvents(getEventsForDays([day]), day).map(({ event, startMinutes, endMinutes, column, columns }) => {
+        const style = getBlockStyle(startMinutes, endMinutes, column, columns);
+        return style && (
+          <div
+            key={event.id}
+            style={style}
+            className={`absolute rounded border overflow-hidden ${compact ? 'px-1 text-xs' : 'px-2 py-1 text-sm'} ${getEventColorClass(event)}`}
+            title={`${getEventLabel(event)} (${formatTime(event.start)} - ${formatTime(event.end)})`}
+          >
+            <div className="font-medium truncate">{getEventLabel(event)}</div>
+            {endMinutes - startMinutes >= 45 && (
+              <div className="text-xs opacity-75 truncate">{formatTime(event.start)} - {formatTime(event.end)}</div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  const handleSecondaryTimeZoneChange = (timeZone) => {
+    setSecondaryTimeZone(timeZone);
+    analyticsService.trackClick('secondary_time_zone', 'shared_calendar', { enabled: !!timeZone });
   };
 
   const formatTime = (dateString) => {
@@ -126,7 +312,12 @@ const SharedCalendarView = ({ shareId, onBack }) => {
     });
   };
 
-  const getEventColorClass = (color) => {
+  // Events shared as busy blocks carry no title or color
+  const getEventLabel = (event) => event.busy ? 'Busy' : event.title;
+
+  const getEventColorClass = (event) => {
+    if (event.busy) return 'bg-gray-200 text-gray-600 border-gray-300';
+
     const colorMap = {
       blue: 'bg-blue-100 text-blue-800 border-blue-200',
       green: 'bg-green-100 text-green-800 border-green-200',
@@ -134,7 +325,7 @@ const SharedCalendarView = ({ shareId, onBack }) => {
       yellow: 'bg-yellow-100 text-yellow-800 border-yellow-200',
       purple: 'bg-purple-100 text-purple-800 border-purple-200'
     };
-    return colorMap[color] || 'bg-gray-100 text-gray-800 border-gray-200';
+    return colorMap[event.color] || 'bg-gray-100 text-gray-800 border-gray-200';
   };
 
   if (isLoading) {
@@ -151,6 +342,77 @@ const SharedCalendarView = ({ shareId, onBack }) => {
     );
   }
 
+  if (lockRequirements && !isUnlocked) {
+    return (
+      <div className="max-w-md mx-auto">
+        <form onSubmit={handleUnlock} className="bg-white rounded-lg border border-gray-200 p-6 mt-12">
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">🔒 Private Calendar</h2>
+          <p className="text-gray-600 mb-6">
+            {lockRequirements.email && lockRequirements.passphrase
+              ? 'Enter your email and the passphrase you were given to view this calendar.'
+              : lockRequirements.email
+                ? 'This calendar was shared with one person. Enter your email to view it.'
+                : 'Enter the passphrase you were given to view this calendar.'}
+          </p>
+
+          {unlockError && (
+            <div className="mb-4 p-3 rounded-lg bg-red-100 text-red-800 border border-red-200 text-sm">
+              {unlockError}
+            </div>
+          )}
+
+          {lockRequirements.email && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Your Email
+              </label>
+              <input
+                type="email"
+                value={unlockForm.email}
+                onChange={(e) => setUnlockForm(prev => ({ ...prev, email: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                required
+              />
+            </div>
+          )}
+
+          {lockRequirements.passphrase && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Passphrase
+              </label>
+              <input
+                type="password"
+                value={unlockForm.passphrase}
+                onChange={(e) => setUnlockForm(prev => ({ ...prev, passphrase: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                required
+              />
+            </div>
+          )}
+
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+            >
+              View Calendar
+            </button>
+            {onBack && (
+              <button
+                type="button"
+                onClick={onBack}
+                className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg font-medium transition-colors"
+              >
+                Go Back
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    );
+  }
+
   if (error) {
     return (
       <div className="max-w-6xl mx-auto">
@@ -174,7 +436,9 @@ const SharedCalendarView = ({ shareId, onBack }) => {
   }
 
   const days = getDaysInMonth(currentDate);
+  const weekDays = getDaysInWeek(currentDate);
   const monthName = currentDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  const ownerTimeZone = sharedData.availability?.timezone;
 
   return (
     <div className="max-w-6xl mx-auto">
@@ -254,7 +518,11 @@ const SharedCalendarView = ({ shareId, onBack }) => {
       {/* Calendar Navigation */}
       <div className="bg-white rounded-lg border border-gray-200 p-6 mb-6">
         <div className="flex items-center justify-between mb-4">
-          <h2 className="text-xl font-semibold text-gray-900">{monthName}</h2>
+          <h2 className="text-xl font-semibold text-gray-900">
+            {viewMode === 'month' && monthName}
+            {viewMode === 'week' && `${weekDays[0].toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ${weekDays[6].toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`}
+            {viewMode === 'day' && currentDate.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
+          </h2>
           
           <div className="flex items-center space-x-2">
             <button
@@ -284,46 +552,188 @@ const SharedCalendarView = ({ shareId, onBack }) => {
           </div>
         </div>
 
+        {viewMode !== 'month' && (
+          <div className="flex items-center justify-end mb-3 space-x-2 text-sm text-gray-600">
+            <span>Times in {localTimeZone}</span>
+            {ownerTimeZone && ownerTimeZone !== localTimeZone && secondaryTimeZone !== ownerTimeZone && (
+              <button
+                onClick={() => handleSecondaryTimeZoneChange(ownerTimeZone)}
+                className="text-indigo-600 hover:text-indigo-700 font-medium"
+              >
+                Show {sharedData.user.name}'s time
+              </button>
+            )}
+            <span>·</span>
+            <TimeZoneSelect
+              value={secondaryTimeZone}
+              onChange={handleSecondaryTimeZoneChange}
+              noneLabel="Add a second time zone"
+              className="border border-gray-300 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          </div>
+        )}
+
         {/* Calendar Grid */}
         {viewMode === 'month' && (
-          <div className="grid grid-cols-7 gap-1">
+          <div className="space-y-1">
             {/* Day Headers */}
-            {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
-              <div key={day} className="p-2 text-center text-sm font-medium text-gray-500">
-                {day}
-              </div>
-            ))}
+            <div className="grid grid-cols-7 gap-1">
+              {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
+                <div key={day} className="p-2 text-center text-sm font-medium text-gray-500">
+                  {day}
+                </div>
+              ))}
+            </div>
             
-            {/* Calendar Days */}
-            {days.map((day, index) => (
-              <div key={index} className={`min-h-[100px] p-2 border border-gray-100 ${
-                day ? 'bg-white hover:bg-gray-50' : 'bg-gray-50'
-              }`}>
-                {day && (
-                  <>
-                    <div className={`text-sm font-medium mb-1 ${
-                      day.toDateString() === new Date().toDateString() 
-                        ? 'text-indigo-600' 
-                        : 'text-gray-900'
+            {/* Calendar Days, a row per week so multi-day bars can span cells */}
+            {getWeekRows(days).map((week, weekIndex) => {
+              const bars = eventService.layoutSpanningEvents(getEventsForDays(week), week);
+              const laneCount = bars.reduce((count, bar) => Math.max(count, bar.lane + 1), 0);
+
+              return (
+                <div key={weekIndex} className="relative grid grid-cols-7 gap-1">
+                  {week.map((day, index) => (
+                    <div key={index} className={`min-h-[100px] p-2 border border-gray-100 ${
+                      day ? 'bg-white hover:bg-gray-50' : 'bg-gray-50'
                     }`}>
-                      {day.getDate()}
+                      {day && (
+                        <>
+                          <div className={`text-sm font-medium mb-1 ${
+                            day.toDateString() === new Date().toDateString() 
+                              ? 'text-indigo-600' 
+                              : 'text-gray-900'
+                          }`}>
+                            {day.getDate()}
+                          </div>
+
+                          {/* Room for the all-day and multi-day bars drawn over the row */}
+                          {laneCount > 0 && <div style={{ height: `${laneCount * 22}px` }}></div>}
+
+                          {renderOverrideBadge(day)}
+                          
+                          {/* Events for this day */}
+                          {getEventsForDate(day).filter(event => !eventService.isSpanningEvent(event)).map(event => (
+                            <div key={event.id} className={`text-xs p-1 rounded mb-1 border ${getEventColorClass(event)}`}>
+                              <div className="font-medium truncate">{getEventLabel(event)}</div>
+                              <div className="text-xs opacity-75">{formatTime(event.start)}</div>
+                            </div>
+                          ))}
+                        </>
+                      )}
                     </div>
-                    
-                    {/* Events for this day */}
-                    {getEventsForDate(day).map(event => (
-                      <div key={event.id} className={`text-xs p-1 rounded mb-1 border ${getEventColorClass(event.color)}`}>
-                        <div className="font-medium truncate">{event.title}</div>
-                        <div className="text-xs opacity-75">{formatTime(event.start)}</div>
-                      </div>
-                    ))}
-                  </>
-                )}
+                  ))}
+
+                  {/* All-day and multi-day bars */}
+                  {bars.length > 0 && (
+                    <div className="absolute inset-x-0 top-8 grid grid-cols-7 gap-x-1 gap-y-0.5">
+                      {bars.map(renderSpanningBar)}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {viewMode === 'week' && (
+          <div className={`grid ${secondaryTimeZone ? 'grid-cols-9' : 'grid-cols-8'} gap-1`}>
+            {/* Time column headers */}
+            {secondaryTimeZone && (
+              <div className="p-3 text-right text-xs font-medium text-gray-400 self-end">
+                {timezoneService.getShortName(weekDays[0], secondaryTimeZone)}
+              </div>
+            )}
+            <div className="p-3 text-right text-xs font-medium text-gray-500 self-end">
+              {secondaryTimeZone && timezoneService.getShortName(weekDays[0], localTimeZone)}
+            </div>
+
+            {/* Day Headers */}
+            {weekDays.map((day, index) => (
+              <div key={index} className={`p-3 text-center text-sm font-medium ${
+                day.toDateString() === new Date().toDateString() ? 'text-indigo-700 bg-indigo-50' : 'text-gray-500'
+              }`}>
+                <div>{day.toLocaleDateString('en-US', { weekday: 'short' })}</div>
+                <div className="text-lg font-semibold">{day.getDate()}</div>
+                {renderOverrideBadge(day)}
               </div>
             ))}
+
+            {/* All-day and multi-day events */}
+            {secondaryTimeZone && <div></div>}
+            <div className="p-2 text-xs text-gray-500 text-right border-r border-gray-200">All day</div>
+            <div className="col-span-7 grid grid-cols-7 gap-x-1 gap-y-0.5 py-1 min-h-[28px] border-b border-gray-100">
+              {eventService.layoutSpanningEvents(getEventsForDays(weekDays), weekDays).map(renderSpanningBar)}
+            </div>
+
+            {/* Time slots */}
+            {secondaryTimeZone && (
+              <div>
+                {getVisibleHours().map(hour => (
+                  <div key={hour} style={{ height: HOUR_HEIGHT }} className="p-2 text-xs text-gray-400 text-right">
+                    {timezoneService.formatHour(withHour(weekDays[0], hour), secondaryTimeZone)}
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="border-r border-gray-200">
+              {getVisibleHours().map(hour => (
+                <div key={hour} style={{ height: HOUR_HEIGHT }} className="p-2 text-xs text-gray-500 text-right">
+                  {formatHourLabel(hour)}
+                </div>
+              ))}
+            </div>
+            {weekDays.map(day => renderDayColumn(day, true))}
           </div>
         )}
+
+        {viewMode === 'day' && (
+          <>
+            {renderOverrideBadge(currentDate)}
+            <div className="grid grid-cols-2 gap-1 mb-1">
+              <div className="p-2 text-xs text-gray-500 text-right border-r border-gray-200">All day</div>
+              <div className="space-y-1 py-1 border-b border-gray-100">
+                {getEventsForDate(currentDate).filter(event => eventService.isSpanningEvent(event)).map(event => (
+                  <div key={event.id} className={`text-sm p-2 rounded border ${getEventColorClass(event)}`}>
+                    <span className="font-medium">{getEventLabel(event)}</span>
+                    <span className="text-xs opacity-75 ml-2">{formatSpan(event)}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-1">
+              {/* Time column */}
+              <div className="border-r border-gray-200">
+                {getVisibleHours().map(hour => (
+                  <div key={hour} style={{ height: HOUR_HEIGHT }} className="p-2 text-xs text-gray-500 text-right flex items-start justify-end space-x-4">
+                    {secondaryTimeZone && (
+                      <span className="text-gray-400">
+                        {timezoneService.formatHour(withHour(currentDate, hour), secondaryTimeZone)}
+                      </span>
+                    )}
+                    <span>{formatHourLabel(hour)}</span>
+                  </div>
+                ))}
+              </div>
+
+              {/* Events column */}
+              {renderDayColumn(currentDate, false)}
+            </div>
+          </>
+        )}
       </div>
 
+      {/* Available Times and Booking */}
+      {(sharedData.shareInfo.permissions.canViewAvailability || sharedData.shareInfo.permissions.canBook) && (
+        <BookingPanel
+          shareId={shareId}
+          meetingTypes={sharedData.meetingTypes}
+          canBook={!!sharedData.shareInfo.permissions.canBook}
+          directBooking={sharedData.shareInfo.directBooking}
+          startDate={currentDate}
+          ownerName={sharedData.user.name}
+        />
+      )}
+
       {/* Permissions Info */}
       <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
         <div className="flex items-start">
@@ -334,9 +744,12 @@ const SharedCalendarView = ({ shareId, onBack }) => {
             <h3 className="text-sm font-medium text-blue-900">Sharing Permissions</h3>
             <p className="text-sm text-blue-800 mt-1">
               You can view: {Object.entries(sharedData.shareInfo.permissions)
-                .filter(([key, value]) => value)
-                .map(([key]) => key.replace('canView', '').toLowerCase())
+                .filter(([key, value]) => value && key.startsWith('canView'))
+                .map(([key]) => key === 'canViewEvents'
+                  ? EVENT_VISIBILITY_LABELS[sharingService.getEventVisibility(sharedData.shareInfo.permissions)]
+                  : key.replace('canView', '').toLowerCase())
                 .join(', ')}
+              {sharedData.shareInfo.permissions.canBook && '. You can also book meetings.'}
             </p>
           </div>
         </div>
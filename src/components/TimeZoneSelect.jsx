@@ -0,0 +1,35 @@
+import React from 'react';
+import timezoneService from '../services/timezoneService';
+
+/**
+ * TimeZoneSelect Component - Pick an IANA time zone
+ *
+ * Lists every zone the browser supports with its current UTC offset. A value
+ * the browser doesn't list (e.g. from an older record) is kept as an option
+ * so it isn't silently replaced.
+ *
+ * Features:
+ * - All supported IANA zones, labelled with their offset
+ * - Optional "none" entry for settings such as a secondary zone
+ */
+const TimeZoneSelect = ({ value, onChange, noneLabel = null, className = '' }) => {
+  const zones = timezoneService.listTimeZones();
+  const options = value && !zones.includes(value) ? [value, ...zones] : zones;
+
+  return (
+    <select
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value || null)}
+      className={className || 'w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500'}
+    >
+      {noneLabel && <option value="">{noneLabel}</option>}
+      {options.map(zone => (
+        <option key={zone} value={zone}>
+          {timezoneService.isValidTimeZone(zone) ? timezoneService.formatTimeZoneLabel(zone) : zone}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default TimeZoneSelect;
@@ -11,9 +11,10 @@
  * TODO: Add email verification
  * TODO: Implement password reset functionality
  */
+import timezoneService from './timezoneService';
+import userDirectoryService from './userDirectoryService';
 
-// Simulated cloud storage (replace with actual backend API)
-const CLOUD_STORAGE_KEY = 'checkmate_users';
+// Stored user records live in userDirectoryService; this is the signed-in session
 const CURRENT_USER_KEY = 'checkmate_current_user';
 
 // Subscription plans and feature limits
@@ -66,28 +67,15 @@ const SUBSCRIPTION_PLANS = {
 
 class AuthService {
   constructor() {
-    this.users = this.loadUsersFromCloud();
     this.currentUser = this.loadCurrentUser();
   }
 
-  // Load users from "cloud storage" (localStorage for demo)
-  loadUsersFromCloud() {
-    try {
-      const usersData = localStorage.getItem(CLOUD_STORAGE_KEY);
-      return usersData ? JSON.parse(usersData) : {};
-    } catch (error) {
-      console.error('Error loading users from cloud:', error);
-      return {};
-    }
-  }
-
-  // Save users to "cloud storage"
-  saveUsersToCloud() {
-    try {
-      localStorage.setItem(CLOUD_STORAGE_KEY, JSON.stringify(this.users));
-    } catch (error) {
-      console.error('Error saving users to cloud:', error);
-    }
+  // Update the signed-in user's stored record and session copy
+  updateCurrentUser(changes) {
+    userDirectoryService.updateUser(this.currentUser.id, changes);
+    this.currentUser = { ...this.currentUser, ...changes };
+    this.saveCurrentUser(this.currentUser);
+    return this.currentUser;
   }
 
   // Load current user from storage
@@ -128,7 +116,7 @@ class AuthService {
     }
 
     // Check if user already exists
-    if (this.users[email]) {
+    if (userDirectoryService.getUserByEmail(email)) {
       throw new Error('An account with this email already exists');
     }
 
@@ -171,25 +159,23 @@ class AuthService {
         }
       },
       availability: {
-        timezone: 'America/New_York',
+        timezone: timezoneService.getLocalTimeZone(),
         workingHours: {
           start: '09:00',
           end: '17:00',
           days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']
         },
         meetingTypes: [
-          { id: 1, name: 'Quick Chat', duration: 15, color: 'blue' },
-          { id: 2, name: 'Team Meeting', duration: 30, color: 'green' },
-          { id: 3, name: 'Deep Work', duration: 60, color: 'purple' }
+          { id: 1, name: 'Quick Chat', duration: 15, color: 'blue', reminders: [5] },
+          { id: 2, name: 'Team Meeting', duration: 30, color: 'green', reminders: [10] },
+          { id: 3, name: 'Deep Work', duration: 60, color: 'purple', reminders: [10] }
         ],
         bufferTime: 15,
         advanceNotice: 2
       }
     };
 
-    // Save to cloud storage
-    this.users[email] = newUser;
-    this.saveUsersToCloud();
+    userDirectoryService.saveUser(newUser);
 
     // Auto-login after registration
     this.currentUser = { ...newUser, password: undefined };
@@ -208,7 +194,7 @@ class AuthService {
     }
 
     // Check if user exists
-    const user = this.users[email];
+    const user = userDirectoryService.getUserByEmail(email);
     if (!user) {
       throw new Error('No account found with this email address');
     }
@@ -261,6 +247,13 @@ class AuthService {
     return limit === -1 || currentCount < limit; // -1 means unlimited
   }
 
+  // Check limits for a stored user who may not be signed in, e.g. a calendar owner
+  isUserWithinLimits(user, limitType, currentCount) {
+    const subscription = SUBSCRIPTION_PLANS[user.subscription] || SUBSCRIPTION_PLANS.free;
+    const limit = subscription[limitType];
+    return limit === -1 || currentCount < limit;
+  }
+
   // Get remaining limit for a feature
   getRemainingLimit(limitType, currentCount) {
     const subscription = this.getUserSubscription();
@@ -276,14 +269,11 @@ class AuthService {
     const plan = SUBSCRIPTION_PLANS[planName];
     if (!plan) return false;
 
-    this.currentUser.subscription = planName;
-    this.currentUser.subscriptionExpiry = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(); // 30 days from now
-    
-    // Update in storage
-    this.users[this.currentUser.email] = this.currentUser;
-    this.saveUsersToCloud();
-    this.saveCurrentUser(this.currentUser);
-    
+    this.updateCurrentUser({
+      subscription: planName,
+      subscriptionExpiry: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString() // 30 days from now
+    });
+
     return true;
   }
 
@@ -304,13 +294,7 @@ class AuthService {
       throw new Error('No user is currently signed in');
     }
 
-    // Update in memory
-    this.currentUser.settings = { ...this.currentUser.settings, ...settings };
-    
-    // Update in cloud storage
-    this.users[this.currentUser.email].settings = this.currentUser.settings;
-    this.saveUsersToCloud();
-    this.saveCurrentUser(this.currentUser);
+    this.updateCurrentUser({ settings: { ...this.currentUser.settings, ...settings } });
 
     return { user: this.currentUser, message: 'Settings updated successfully!' };
   }
@@ -321,17 +305,53 @@ class AuthService {
       throw new Error('No user is currently signed in');
     }
 
-    // Update in memory
-    this.currentUser.availability = { ...this.currentUser.availability, ...availability };
-    
-    // Update in cloud storage
-    this.users[this.currentUser.email].availability = this.currentUser.availability;
-    this.saveUsersToCloud();
-    this.saveCurrentUser(this.currentUser);
+    this.updateCurrentUser({ availability: { ...this.currentUser.availability, ...availability } });
 
     return { user: this.currentUser, message: 'Availability updated successfully!' };
   }
 
+  // Update user events
+  updateUserEvents(events) {
+    if (!this.currentUser) {
+      throw new Error('No user is currently signed in');
+    }
+
+    this.updateCurrentUser({ events });
+
+    return { user: this.currentUser, message: 'Events updated successfully!' };
+  }
+
+  // Get a stored user record by id (or by email for older references)
+  getStoredUser(userKey) {
+    return userDirectoryService.getUser(userKey);
+  }
+
+  // Find a stored user by email, ignoring case
+  findStoredUserByEmail(email) {
+    return userDirectoryService.getUserByEmail(email);
+  }
+
+  // All stored user records
+  getStoredUsers() {
+    return userDirectoryService.listUsers();
+  }
+
+  // Update events for any stored user, e.g. when a visitor books through a share link
+  updateStoredUserEvents(userKey, events) {
+    const user = userDirectoryService.getUser(userKey);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    userDirectoryService.updateUser(user.id, { events });
+
+    // Keep the signed-in copy in sync when the owner is using this browser
+    if (this.currentUser && this.currentUser.id === user.id) {
+      this.currentUser.events = events;
+      this.saveCurrentUser(this.currentUser);
+    }
+  }
+
   // Helper methods
   isValidEmail(email) {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -345,7 +365,7 @@ class AuthService {
   }
 
   generateUserId() {
-    return 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    return userDirectoryService.generateUserId();
   }
 
   // Reset password (placeholder for future implementation)
@@ -360,9 +380,7 @@ class AuthService {
       throw new Error('No user is currently signed in');
     }
 
-    // Remove from cloud storage
-    delete this.users[this.currentUser.email];
-    this.saveUsersToCloud();
+    userDirectoryService.removeUser(this.currentUser.id);
 
     // Sign out
     this.signOut();
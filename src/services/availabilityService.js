@@ -0,0 +1,551 @@
+import recurrenceService from './recurrenceService';
+import timezoneService from './timezoneService';
+
+/**
+ * Availability Service - Turn working hours and events into bookable slots
+ *
+ * This is the availability engine described in the README's Phase 3. It is
+ * pure: given a user record and a range it returns slots without touching
+ * storage, so the availability panel, shared calendars and booking pages all
+ * get the same answer.
+ *
+ * Features:
+ * - Working hours per weekday (several ranges per day) in the user's time zone
+ * - Date overrides that replace a day's hours or block it out entirely
+ * - Busy time from persisted (and recurring) events
+ * - Buffer time before and after existing events
+ * - Advance notice cut-off
+ * - Slot length taken from the selected meeting type
+ * - Meeting types as event templates (length, color, description, location,
+ *   reminders)
+ * - Common free slots across several people, ranked by how well they fit
+ *   everyone's working day
+ * - Conflict checks for a proposed event, with the nearest free alternatives
+ *
+ * TODO: Merge busy time from connected external calendars
+ */
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Used when a user has no meeting types configured
+const DEFAULT_DURATION = 30;
+
+// Minutes between candidate slot start times
+const DEFAULT_INCREMENT = 30;
+
+// "HH:MM" in 24-hour time; 24:00 is allowed as the end of a day
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+// Calendar dates are stored as "YYYY-MM-DD"
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Alternatives to a conflicting time move in steps of this many minutes,
+// at most this many days either way
+const ALTERNATIVE_STEP = 15;
+const ALTERNATIVE_SEARCH_DAYS = 7;
+
+class AvailabilityService {
+  // Calculate slots for a user within a range.
+  // Returns free slots only unless options.includeUnavailable is set, in which
+  // case every candidate slot is returned with an `available` flag.
+  // options.duration (minutes) overrides the meeting type's length.
+  calculateSlots(user, range, meetingTypeId = null, options = {}) {
+    if (!user || !user.availability) {
+      throw new Error('User availability is not configured');
+    }
+
+    const availability = user.availability;
+    const timeZone = this.getTimeZone(availability);
+    const duration = options.duration || this.getMeetingDuration(availability, meetingTypeId);
+    const increment = options.increment || DEFAULT_INCREMENT;
+    const bufferMs = (availability.bufferTime || 0) * 60000;
+    const durationMs = duration * 60000;
+
+    const rangeStart = new Date(range.start);
+    const rangeEnd = new Date(range.end);
+    const now = options.now ? new Date(options.now) : new Date();
+    const earliestStart = new Date(now.getTime() + (availability.advanceNotice || 0) * 3600000);
+
+    const busy = this.getBusyIntervals(
+      user.events || [],
+      new Date(rangeStart.getTime() - bufferMs - durationMs),
+      new Date(rangeEnd.getTime() + bufferMs + durationMs)
+    );
+
+    const slots = [];
+    this.getWorkingIntervals(availability, rangeStart, rangeEnd).forEach(interval => {
+      for (
+        let start = interval.start.getTime();
+        start + durationMs <= interval.end.getTime();
+        start += increment * 60000
+      ) {
+        const end = start + durationMs;
+        if (start < rangeStart.getTime() || end > rangeEnd.getTime()) continue;
+
+        const conflict = busy.some(block =>
+          start < block.end.getTime() + bufferMs && end > block.start.getTime() - bufferMs
+        );
+        const available = !conflict && start >= earliestStart.getTime();
+
+        if (available || options.includeUnavailable) {
+          slots.push({
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString(),
+            duration,
+            timeZone,
+            ...(options.includeUnavailable ? { available } : {})
+          });
+        }
+      }
+    });
+
+    return slots;
+  }
+
+  // Slots of the given length (minutes) when every user is free, best first.
+  // Each slot's score is how close it sits to the middle of the working hours
+  // of the person it suits least (1 = centred for everyone, 0 = at someone's
+  // start or end of day); ties go to the earlier slot.
+  findCommonSlots(users, range, duration, options = {}) {
+    if (!users || users.length === 0) {
+      throw new Error('Add at least one person to find a time');
+    }
+
+    const rangeStart = new Date(range.start);
+    const rangeEnd = new Date(range.end);
+    const durationMs = duration * 60000;
+    const incrementMs = (options.increment || DEFAULT_INCREMENT) * 60000;
+
+    const participants = users.map(user => ({
+      working: this.getWorkingIntervals(user.availability, rangeStart, rangeEnd),
+      free: this.getFreeIntervals(user, range, options)
+    }));
+
+    const common = participants
+      .slice(1)
+      .reduce((windows, participant) => this.intersectIntervals(windows, participant.free), participants[0].free);
+
+    const slots = [];
+    common.forEach(window => {
+      // Start on increment boundaries so every time zone sees round times
+      for (
+        let start = Math.ceil(window.start.getTime() / incrementMs) * incrementMs;
+        start + durationMs <= window.end.getTime();
+        start += incrementMs
+      ) {
+        const end = start + durationMs;
+        const score = Math.min(...participants.map(participant => this.getWorkdayFit(participant.working, start, end)));
+        slots.push({
+          start: new Date(start).toISOString(),
+          end: new Date(end).toISOString(),
+          duration,
+          score: Math.round(score * 100) / 100
+        });
+      }
+    });
+
+    return slots.sort((a, b) => b.score - a.score || new Date(a.start) - new Date(b.start));
+  }
+
+  // Free time inside working hours as absolute intervals. Busy time is padded
+  // by the buffer and nothing starts before the advance-notice cut-off.
+  getFreeIntervals(user, range, options = {}) {
+    if (!user || !user.availability) {
+      throw new Error('User availability is not configured');
+    }
+
+    const availability = user.availability;
+    const bufferMs = (availability.bufferTime || 0) * 60000;
+    const rangeStart = new Date(range.start);
+    const rangeEnd = new Date(range.end);
+    const now = options.now ? new Date(options.now) : new Date();
+    const earliestStart = now.getTime() + (availability.advanceNotice || 0) * 3600000;
+
+    const busy = this.getBusyIntervals(
+      user.events || [],
+      new Date(rangeStart.getTime() - bufferMs),
+      new Date(rangeEnd.getTime() + bufferMs)
+    );
+
+    const free = [];
+    this.getWorkingIntervals(availability, rangeStart, rangeEnd).forEach(interval => {
+      let cursor = Math.max(interval.start.getTime(), rangeStart.getTime(), earliestStart);
+      const end = Math.min(interval.end.getTime(), rangeEnd.getTime());
+
+      busy.forEach(block => {
+        const blockStart = block.start.getTime() - bufferMs;
+        const blockEnd = block.end.getTime() + bufferMs;
+        if (blockEnd <= cursor || blockStart >= end) return;
+
+        if (blockStart > cursor) {
+          free.push({ start: new Date(cursor), end: new Date(blockStart) });
+        }
+        cursor = Math.max(cursor, blockEnd);
+      });
+
+      if (cursor < end) {
+        free.push({ start: new Date(cursor), end: new Date(end) });
+      }
+    });
+
+    return free;
+  }
+
+  // Overlap of two sorted lists of intervals
+  intersectIntervals(first, second) {
+    const result = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < first.length && j < second.length) {
+      const start = Math.max(first[i].start.getTime(), second[j].start.getTime());
+      const end = Math.min(first[i].end.getTime(), second[j].end.getTime());
+      if (start < end) {
+        result.push({ start: new Date(start), end: new Date(end) });
+      }
+
+      if (first[i].end.getTime() < second[j].end.getTime()) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+
+    return result;
+  }
+
+  // 1 when a slot is centred in the working interval holding it, 0 at its edges
+  getWorkdayFit(workingIntervals, start, end) {
+    const interval = workingIntervals.find(item => item.start.getTime() <= start && end <= item.end.getTime());
+    if (!interval) return 0;
+
+    const slack = (interval.end.getTime() - interval.start.getTime() - (end - start)) / 2;
+    if (slack <= 0) return 1;
+
+    const offset = Math.abs((start + end) / 2 - (interval.start.getTime() + interval.end.getTime()) / 2);
+    return 1 - offset / slack;
+  }
+
+  // Working hours as absolute intervals for every day touching the range
+  getWorkingIntervals(availability, rangeStart, rangeEnd) {
+    const timeZone = this.getTimeZone(availability);
+    const schedule = this.getWeeklySchedule(availability);
+    const intervals = [];
+
+    // Walk calendar days in the user's zone, starting the day before to catch
+    // working hours that began before the range did
+    const first = timezoneService.getZonedParts(rangeStart, timeZone);
+    const cursor = new Date(Date.UTC(first.year, first.month - 1, first.day - 1));
+
+    while (true) {
+      const date = {
+        year: cursor.getUTCFullYear(),
+        month: cursor.getUTCMonth() + 1,
+        day: cursor.getUTCDate()
+      };
+      const dayStart = timezoneService.zonedTimeToDate(date, timeZone);
+      if (dayStart >= rangeEnd) break;
+
+      const override = this.getDateOverride(availability, this.formatDateKey(date));
+      const dayHours = override ? override.hours : schedule[WEEKDAY_NAMES[cursor.getUTCDay()]];
+
+      dayHours.forEach(hours => {
+        const [startHour, startMinute] = this.parseTime(hours.start);
+        const [endHour, endMinute] = this.parseTime(hours.end);
+        const start = timezoneService.zonedTimeToDate({ ...date, hour: startHour, minute: startMinute }, timeZone);
+        const end = timezoneService.zonedTimeToDate({ ...date, hour: endHour, minute: endMinute }, timeZone);
+        if (end > start && end > rangeStart && start < rangeEnd) {
+          intervals.push({ start, end });
+        }
+      });
+
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+    }
+
+    return intervals;
+  }
+
+  // Hour ranges for every weekday, e.g. { monday: [{ start: '09:00', end: '12:00' }], ... }.
+  // Older records only have a single start/end shared by all working days.
+  getWeeklySchedule(availability) {
+    const workingHours = availability.workingHours || {};
+    const schedule = {};
+
+    WEEKDAY_NAMES.forEach(day => {
+      if (workingHours.schedule) {
+        schedule[day] = (workingHours.schedule[day] || []).map(hours => ({ ...hours }));
+      } else if (workingHours.start && workingHours.end && (workingHours.days || []).includes(day)) {
+        schedule[day] = [{ start: workingHours.start, end: workingHours.end }];
+      } else {
+        schedule[day] = [];
+      }
+    });
+
+    return schedule;
+  }
+
+  // Validate a weekly schedule and build the workingHours record to persist.
+  // start/end/days are kept as a summary for code that predates per-day hours.
+  buildWorkingHours(schedule) {
+    const normalized = {};
+    const days = [];
+    let earliest = null;
+    let latest = null;
+
+    WEEKDAY_NAMES.forEach(day => {
+      const ranges = this.sortRanges(schedule[day] || []);
+
+      this.validateRanges(ranges, this.capitalize(day));
+      ranges.forEach(hours => {
+        if (!earliest || hours.start < earliest) earliest = hours.start;
+        if (!latest || hours.end > latest) latest = hours.end;
+      });
+
+      normalized[day] = ranges.map(hours => ({ start: hours.start, end: hours.end }));
+      if (ranges.length > 0) days.push(day);
+    });
+
+    return {
+      start: earliest || '09:00',
+      end: latest || '17:00',
+      days,
+      schedule: normalized
+    };
+  }
+
+  // The override covering a date ("YYYY-MM-DD"), if any. Later overrides win.
+  getDateOverride(availability, dateKey) {
+    const overrides = availability.dateOverrides || [];
+    for (let i = overrides.length - 1; i >= 0; i--) {
+      if (overrides[i].startDate <= dateKey && dateKey <= overrides[i].endDate) {
+        return overrides[i];
+      }
+    }
+    return null;
+  }
+
+  // Validate a date override. An override with no hours marks the dates unavailable.
+  normalizeDateOverride(override) {
+    if (!DATE_PATTERN.test(override.startDate || '')) {
+      throw new Error('Override start date is required');
+    }
+
+    const endDate = override.endDate || override.startDate;
+    if (!DATE_PATTERN.test(endDate) || endDate < override.startDate) {
+      throw new Error('Override end date must be on or after the start date');
+    }
+
+    const hours = this.sortRanges(override.hours || []);
+    this.validateRanges(hours, override.startDate === endDate ? override.startDate : `${override.startDate} – ${endDate}`);
+
+    return {
+      id: override.id || `override_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      startDate: override.startDate,
+      endDate,
+      hours: hours.map(range => ({ start: range.start, end: range.end })),
+      note: override.note || ''
+    };
+  }
+
+  // Throw if hour ranges are malformed or overlap; ranges must be sorted
+  validateRanges(ranges, label) {
+    ranges.forEach((hours, index) => {
+      if (!TIME_PATTERN.test(hours.start) || !TIME_PATTERN.test(hours.end)) {
+        throw new Error(`Working hours on ${label} must be valid times`);
+      }
+      if (hours.end <= hours.start) {
+        throw new Error(`Working hours on ${label} must end after they start`);
+      }
+      if (index > 0 && hours.start < ranges[index - 1].end) {
+        throw new Error(`Working hours on ${label} overlap`);
+      }
+    });
+  }
+
+  // Copy of hour ranges sorted by start time
+  sortRanges(ranges) {
+    return [...ranges].sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  // Events (with recurring occurrences expanded) that overlap a time range
+  getConflicts(events, start, end) {
+    const rangeStart = new Date(start);
+    const rangeEnd = new Date(end);
+    return recurrenceService.expandEvents(events, rangeStart, rangeEnd)
+      .filter(event => new Date(event.start) < rangeEnd && new Date(event.end) > rangeStart);
+  }
+
+  // Check a proposed event against the user's calendar. Events overlapping it,
+  // or closer than the buffer time, are conflicts; `overlaps` is false for
+  // clashes that only fall inside the buffer. All-day events are busy for
+  // their whole days, as they are for booking.
+  // options.excludeEventId skips the event being edited (and its series).
+  checkConflicts(user, start, end, options = {}) {
+    const proposedStart = new Date(start);
+    const proposedEnd = new Date(end);
+    const bufferMs = (user.availability?.bufferTime || 0) * 60000;
+    const events = this.getOtherEvents(user.events || [], options.excludeEventId);
+
+    return recurrenceService.expandEvents(
+      events,
+      new Date(proposedStart.getTime() - bufferMs),
+      new Date(proposedEnd.getTime() + bufferMs)
+    )
+      .filter(event =>
+        new Date(event.start).getTime() < proposedEnd.getTime() + bufferMs &&
+        new Date(event.end).getTime() > proposedStart.getTime() - bufferMs
+      )
+      .map(event => ({
+        event,
+        overlaps: new Date(event.start) < proposedEnd && new Date(event.end) > proposedStart
+      }));
+  }
+
+  // Nearest free times of the same length around a proposed event, clear of
+  // other events by the buffer time and not in the past. When the proposed
+  // time is inside working hours, alternatives are kept inside them too.
+  suggestAlternatives(user, start, end, options = {}) {
+    const proposedStart = new Date(start);
+    const durationMs = new Date(end) - proposedStart;
+    const bufferMs = (user.availability?.bufferTime || 0) * 60000;
+    const stepMs = ALTERNATIVE_STEP * 60000;
+    const searchMs = ALTERNATIVE_SEARCH_DAYS * 24 * 3600000;
+    const limit = options.limit || 3;
+    const now = options.now ? new Date(options.now) : new Date();
+
+    const rangeStart = new Date(proposedStart.getTime() - searchMs);
+    const rangeEnd = new Date(proposedStart.getTime() + searchMs + durationMs);
+    const busy = this.getBusyIntervals(
+      this.getOtherEvents(user.events || [], options.excludeEventId),
+      new Date(rangeStart.getTime() - bufferMs),
+      new Date(rangeEnd.getTime() + bufferMs)
+    );
+
+    const working = user.availability ? this.getWorkingIntervals(user.availability, rangeStart, rangeEnd) : [];
+    const fitsIn = (intervals, from, to) => intervals.some(interval => interval.start <= from && interval.end >= to);
+    const keepToWorkingHours = fitsIn(working, proposedStart, new Date(proposedStart.getTime() + durationMs));
+
+    const isFree = (candidateStart) => {
+      const from = candidateStart.getTime() - bufferMs;
+      const to = candidateStart.getTime() + durationMs + bufferMs;
+      return !busy.some(block => block.start.getTime() < to && block.end.getTime() > from);
+    };
+
+    const alternatives = [];
+    for (let step = 1; step * stepMs <= searchMs && alternatives.length < limit; step++) {
+      [proposedStart.getTime() + step * stepMs, proposedStart.getTime() - step * stepMs].forEach(time => {
+        if (alternatives.length >= limit) return;
+
+        const candidateStart = new Date(time);
+        const candidateEnd = new Date(time + durationMs);
+        if (candidateStart < now) return;
+        if (keepToWorkingHours && !fitsIn(working, candidateStart, candidateEnd)) return;
+        if (!isFree(candidateStart)) return;
+
+        alternatives.push({ start: candidateStart.toISOString(), end: candidateEnd.toISOString() });
+      });
+    }
+
+    return alternatives;
+  }
+
+  // Events other than the one being edited; `excludeEventId` also covers the
+  // occurrences and overrides of a recurring series
+  getOtherEvents(events, excludeEventId) {
+    if (!excludeEventId) return events;
+    return events.filter(event => event.id !== excludeEventId && event.recurringEventId !== excludeEventId);
+  }
+
+  // Expanded events as merged busy intervals, sorted by start. All-day events
+  // block their whole days, everywhere busy time is worked out.
+  getBusyIntervals(events, rangeStart, rangeEnd) {
+    const blocks = recurrenceService.expandEvents(events, rangeStart, rangeEnd)
+      .map(event => ({ start: new Date(event.start), end: new Date(event.end) }))
+      .filter(block => block.end > block.start)
+      .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    blocks.forEach(block => {
+      const last = merged[merged.length - 1];
+      if (last && block.start <= last.end) {
+        if (block.end > last.end) last.end = block.end;
+      } else {
+        merged.push({ ...block });
+      }
+    });
+
+    return merged;
+  }
+
+  // Duration in minutes of a meeting type, falling back to the first type
+  getMeetingDuration(availability, meetingTypeId) {
+    const meetingTypes = availability.meetingTypes || [];
+    const meetingType = meetingTypes.find(type => String(type.id) === String(meetingTypeId)) || meetingTypes[0];
+    const duration = meetingType ? parseInt(meetingType.duration, 10) : DEFAULT_DURATION;
+    return duration > 0 ? duration : DEFAULT_DURATION;
+  }
+
+  // Event fields from a meeting type template for a meeting starting at `start`
+  getMeetingTypeEventData(availability, meetingTypeId, start) {
+    const meetingType = (availability.meetingTypes || []).find(type => String(type.id) === String(meetingTypeId));
+    if (!meetingType) {
+      throw new Error('Meeting type not found');
+    }
+
+    const startDate = new Date(start);
+    return {
+      meetingTypeId: meetingType.id,
+      start: startDate,
+      end: new Date(startDate.getTime() + this.getMeetingDuration(availability, meetingType.id) * 60000),
+      allDay: false,
+      color: meetingType.color || 'blue',
+      description: meetingType.description || '',
+      location: meetingType.location || '',
+      reminders: meetingType.reminders || []
+    };
+  }
+
+  // Start and end of a calendar day in a time zone
+  getDayRange(date, timeZone) {
+    const value = new Date(date);
+    const day = { year: value.getFullYear(), month: value.getMonth() + 1, day: value.getDate() };
+    const next = new Date(Date.UTC(day.year, day.month - 1, day.day + 1));
+
+    return {
+      start: timezoneService.zonedTimeToDate(day, timeZone),
+      end: timezoneService.zonedTimeToDate({
+        year: next.getUTCFullYear(),
+        month: next.getUTCMonth() + 1,
+        day: next.getUTCDate()
+      }, timeZone)
+    };
+  }
+
+  // The user's availability time zone, or the browser's if it is missing
+  getTimeZone(availability) {
+    return timezoneService.isValidTimeZone(availability.timezone)
+      ? availability.timezone
+      : timezoneService.getLocalTimeZone();
+  }
+
+  // { year, month, day } or a Date (local calendar day) -> "YYYY-MM-DD"
+  formatDateKey(date) {
+    const parts = date instanceof Date
+      ? { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() }
+      : date;
+    return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+  }
+
+  // "monday" -> "Monday"
+  capitalize(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+  }
+
+  // Parse "HH:MM" into [hours, minutes]
+  parseTime(value) {
+    const [hours, minutes] = value.split(':').map(part => parseInt(part, 10) || 0);
+    return [hours, minutes];
+  }
+}
+
+const availabilityService = new AvailabilityService();
+export default availabilityService;
@@ -0,0 +1,459 @@
+import authService from './authService';
+import availabilityService from './availabilityService';
+import eventService from './eventService';
+import sharingService from './sharingService';
+
+/**
+ * Booking Service - Meetings booked by visitors through share links
+ *
+ * A share link with the `canBook` permission lets a visitor pick one of the
+ * owner's meeting types and a free slot. If the owner allows direct booking
+ * the meeting goes straight into their calendar, otherwise it waits as a
+ * pending request in the owner's inbox.
+ *
+ * Every booking gets a private manage link (`?booking=<token>`) the visitor
+ * uses to follow up on their request, move it to another free slot or
+ * cancel it.
+ *
+ * Statuses: pending -> confirmed | declined | proposed; proposed -> confirmed;
+ * confirmed -> pending when rescheduled without direct booking;
+ * any open booking -> cancelled
+ *
+ * Features:
+ * - Create bookings against live availability
+ * - Direct booking or pending requests based on the owner's privacy settings
+ * - Approve, decline with a message, or propose other times
+ * - Visitors accept a proposed time through their manage link
+ * - Visitors reschedule or cancel through their manage link, updating the owner's event
+ * - Change history on every booking
+ *
+ * TODO: Send email confirmations to both parties
+ */
+const BOOKINGS_KEY = 'checkmate_bookings';
+
+class BookingService {
+  constructor() {
+    this.bookings = this.loadBookings();
+  }
+
+  // Book a slot through a share link
+  createBooking(shareId, { meetingTypeId, start, name, email, notes = '' }) {
+    const shareLink = sharingService.getShareLink(shareId);
+    if (!shareLink || !sharingService.isOpenForSession(shareLink)) {
+      throw new Error('This share link is no longer active');
+    }
+
+    if (shareLink.expiresAt && new Date() > new Date(shareLink.expiresAt)) {
+      throw new Error('This share link has expired');
+    }
+
+    if (!shareLink.permissions.canBook) {
+      throw new Error('This share link does not allow booking');
+    }
+
+    if (!sharingService.hasAccess(shareId)) {
+      throw new Error('Unlock this share link before booking');
+    }
+
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+      throw new Error('Please enter your name');
+    }
+
+    if (!authService.isValidEmail(email || '')) {
+      throw new Error('Please enter a valid email address');
+    }
+
+    const owner = sharingService.getUserData(shareLink.userId);
+    if (!owner || !owner.availability) {
+      throw new Error('Calendar owner not found');
+    }
+
+    const meetingType = (owner.availability.meetingTypes || [])
+      .find(type => String(type.id) === String(meetingTypeId));
+    if (!meetingType) {
+      throw new Error('Please choose a meeting type');
+    }
+
+    const slotStart = new Date(start);
+    const slotEnd = new Date(slotStart.getTime() + availabilityService.getMeetingDuration(owner.availability, meetingType.id) * 60000);
+
+    // Re-check against live availability in case the slot was taken meanwhile
+    const isFree = availabilityService
+      .calculateSlots(owner, { start: slotStart, end: slotEnd }, meetingType.id)
+      .some(slot => new Date(slot.start).getTime() === slotStart.getTime());
+    if (!isFree) {
+      throw new Error('That time is no longer available. Please pick another slot.');
+    }
+
+    const now = new Date().toISOString();
+    const token = this.generateToken();
+    const booking = {
+      id: this.generateBookingId(),
+      token,
+      manageLink: `${window.location.origin}?booking=${token}`,
+      shareId,
+      ownerId: shareLink.userId,
+      ownerName: owner.fullName,
+      meetingTypeId: meetingType.id,
+      meetingTypeName: meetingType.name,
+      color: meetingType.color,
+      reminders: meetingType.reminders || [],
+      location: meetingType.location || '',
+      start: slotStart.toISOString(),
+      end: slotEnd.toISOString(),
+      name: trimmedName,
+      email: email.trim(),
+      notes: notes.trim(),
+      status: 'pending',
+      eventId: null,
+      ownerMessage: '',
+      proposedTimes: [],
+      history: [],
+      createdAt: now,
+      updatedAt: now
+    };
+    this.recordChange(booking, 'requested', 'invitee');
+
+    // An owner at their plan's event limit approves the request themselves instead
+    if (owner.settings?.privacy?.allowDirectBooking && eventService.canAddEventForUser(booking.ownerId)) {
+      booking.eventId = eventService.addEventForUser(booking.ownerId, this.getBookingEventData(booking)).id;
+      booking.status = 'confirmed';
+      this.recordChange(booking, 'confirmed', 'invitee');
+    }
+
+    this.bookings[booking.id] = booking;
+    this.saveBookings();
+    sharingService.recordBooking(shareId);
+    return booking;
+  }
+
+  // Approve a pending request and add it to the signed-in owner's calendar
+  approveBooking(bookingId) {
+    const booking = this.getOwnedBooking(bookingId);
+    if (booking.status !== 'pending') {
+      throw new Error('Only pending requests can be approved');
+    }
+
+    if (availabilityService.getConflicts(eventService.getEvents(), booking.start, booking.end).length > 0) {
+      throw new Error('You already have something at this time. Propose a new time instead.');
+    }
+
+    const event = eventService.createEvent(this.getBookingEventData(booking));
+    return this.updateBooking(booking, { status: 'confirmed', eventId: event.id }, 'approved', 'owner');
+  }
+
+  // Decline a pending request with an optional message to the requester
+  declineBooking(bookingId, message = '') {
+    const booking = this.getOwnedBooking(bookingId);
+    if (booking.status !== 'pending' && booking.status !== 'proposed') {
+      throw new Error('Only open requests can be declined');
+    }
+
+    return this.updateBooking(booking, {
+      status: 'declined',
+      ownerMessage: message.trim(),
+      proposedTimes: []
+    }, 'declined', 'owner', { message: message.trim() });
+  }
+
+  // Offer the requester alternative start times (ISO strings) for the same meeting type
+  proposeTimes(bookingId, startTimes, message = '') {
+    const booking = this.getOwnedBooking(bookingId);
+    if (booking.status !== 'pending' && booking.status !== 'proposed') {
+      throw new Error('Only open requests can get new times');
+    }
+
+    if (!startTimes || startTimes.length === 0) {
+      throw new Error('Pick at least one time to propose');
+    }
+
+    const duration = new Date(booking.end) - new Date(booking.start);
+    const proposedTimes = [...startTimes]
+      .sort((a, b) => new Date(a) - new Date(b))
+      .map(start => ({
+        start: new Date(start).toISOString(),
+        end: new Date(new Date(start).getTime() + duration).toISOString()
+      }));
+
+    if (proposedTimes.some(time => new Date(time.start) <= new Date())) {
+      throw new Error('Proposed times must be in the future');
+    }
+
+    return this.updateBooking(booking, {
+      status: 'proposed',
+      ownerMessage: message.trim(),
+      proposedTimes
+    }, 'proposed', 'owner', { times: proposedTimes.map(time => time.start) });
+  }
+
+  // Requester accepts one of the proposed times through their manage link
+  acceptProposedTime(token, start) {
+    const booking = this.getBookingByToken(token);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    if (booking.status !== 'proposed') {
+      throw new Error('There are no proposed times to accept');
+    }
+
+    const time = booking.proposedTimes.find(item => new Date(item.start).getTime() === new Date(start).getTime());
+    if (!time) {
+      throw new Error('That time was not proposed');
+    }
+
+    const owner = authService.getStoredUser(booking.ownerId);
+    if (!owner) {
+      throw new Error('Calendar owner not found');
+    }
+
+    if (availabilityService.getConflicts(owner.events || [], time.start, time.end).length > 0) {
+      throw new Error('That time has been taken since it was proposed. Please pick another.');
+    }
+
+    // Same rule as direct bookings: an owner at their event limit approves the new time themselves
+    if (!eventService.canAddEventForUser(booking.ownerId)) {
+      return this.updateBooking(booking, {
+        start: time.start,
+        end: time.end,
+        status: 'pending',
+        proposedTimes: []
+      }, 'accepted', 'invitee', { start: time.start });
+    }
+
+    const updated = { ...booking, start: time.start, end: time.end };
+    const event = eventService.addEventForUser(booking.ownerId, this.getBookingEventData(updated));
+    return this.updateBooking(booking, {
+      start: time.start,
+      end: time.end,
+      status: 'confirmed',
+      eventId: event.id,
+      proposedTimes: []
+    }, 'accepted', 'invitee', { start: time.start });
+  }
+
+  // Free slots the invitee can move their booking to
+  getRescheduleSlots(token, range) {
+    const booking = this.getManageableBooking(token);
+    return availabilityService.calculateSlots(this.getOwnerForReschedule(booking), range, booking.meetingTypeId);
+  }
+
+  // Invitee moves their booking to another free slot through their manage link
+  rescheduleBooking(token, start) {
+    const booking = this.getManageableBooking(token);
+    const slotStart = new Date(start);
+    const slotEnd = new Date(slotStart.getTime() + (new Date(booking.end) - new Date(booking.start)));
+
+    if (slotStart.getTime() === new Date(booking.start).getTime()) {
+      throw new Error('Your meeting is already at this time');
+    }
+
+    const isFree = availabilityService
+      .calculateSlots(this.getOwnerForReschedule(booking), { start: slotStart, end: slotEnd }, booking.meetingTypeId)
+      .some(slot => new Date(slot.start).getTime() === slotStart.getTime());
+    if (!isFree) {
+      throw new Error('That time is no longer available. Please pick another slot.');
+    }
+
+    // A new time replaces any times the owner proposed, so it goes back for approval
+    const changes = {
+      start: slotStart.toISOString(),
+      end: slotEnd.toISOString(),
+      status: booking.status === 'proposed' ? 'pending' : booking.status,
+      proposedTimes: []
+    };
+
+    if (booking.status === 'confirmed') {
+      const owner = authService.getStoredUser(booking.ownerId);
+      const hasEvent = Boolean(booking.eventId) && (owner.events || []).some(event => event.id === booking.eventId);
+
+      if (owner.settings?.privacy?.allowDirectBooking && (hasEvent || eventService.canAddEventForUser(booking.ownerId))) {
+        // The owner may have deleted the event from their calendar, so put it back
+        if (hasEvent) {
+          eventService.updateEventForUser(booking.ownerId, booking.eventId, { start: slotStart, end: slotEnd });
+        } else {
+          changes.eventId = eventService.addEventForUser(booking.ownerId, this.getBookingEventData({ ...booking, ...changes })).id;
+        }
+      } else {
+        // Without direct booking the owner approves the new time, so free the old one until then
+        if (hasEvent) {
+          eventService.deleteEventForUser(booking.ownerId, booking.eventId);
+        }
+        changes.status = 'pending';
+        changes.eventId = null;
+      }
+    }
+
+    return this.updateBooking(booking, changes, 'rescheduled', 'invitee', { from: booking.start, to: slotStart.toISOString() });
+  }
+
+  // Invitee cancels their booking through their manage link
+  cancelBooking(token, reason = '') {
+    const booking = this.getManageableBooking(token);
+
+    if (booking.eventId) {
+      eventService.deleteEventForUser(booking.ownerId, booking.eventId);
+    }
+
+    return this.updateBooking(booking, {
+      status: 'cancelled',
+      eventId: null,
+      proposedTimes: [],
+      cancelReason: reason.trim()
+    }, 'cancelled', 'invitee', { reason: reason.trim() });
+  }
+
+  // Get a booking by ID
+  getBooking(bookingId) {
+    return this.bookings[bookingId] || null;
+  }
+
+  // Get a booking by its manage token
+  getBookingByToken(token) {
+    return Object.values(this.bookings).find(booking => booking.token === token) || null;
+  }
+
+  // Get all bookings for a calendar owner, newest first
+  getOwnerBookings(ownerId) {
+    return Object.values(this.bookings)
+      .filter(booking => booking.ownerId === ownerId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // Get bookings for the signed-in user, newest first
+  getMyBookings() {
+    const user = authService.getCurrentUser();
+    if (!user) return [];
+    return Object.values(this.bookings)
+      .filter(booking => this.isOwnedBy(booking, user))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // Number of requests waiting for the signed-in user
+  getPendingCount() {
+    return this.getMyBookings().filter(booking => booking.status === 'pending').length;
+  }
+
+  // Get a booking the signed-in user owns, or throw
+  getOwnedBooking(bookingId) {
+    const user = authService.getCurrentUser();
+    if (!user) {
+      throw new Error('No user is currently signed in');
+    }
+
+    const booking = this.getBooking(bookingId);
+    if (!booking || !this.isOwnedBy(booking, user)) {
+      throw new Error('Booking not found');
+    }
+    return booking;
+  }
+
+  // Get a booking the invitee can still change, or throw
+  getManageableBooking(token) {
+    const booking = this.getBookingByToken(token);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    if (booking.status === 'declined' || booking.status === 'cancelled') {
+      throw new Error('This booking is no longer active');
+    }
+
+    if (new Date(booking.end) <= new Date()) {
+      throw new Error('This meeting has already taken place');
+    }
+    return booking;
+  }
+
+  // Owner record without the booking's own event, so it doesn't block nearby times
+  getOwnerForReschedule(booking) {
+    const owner = authService.getStoredUser(booking.ownerId);
+    if (!owner || !owner.availability) {
+      throw new Error('Calendar owner not found');
+    }
+
+    return {
+      ...owner,
+      events: (owner.events || []).filter(event => event.id !== booking.eventId)
+    };
+  }
+
+  // Bookings reference their owner by user ID, or by email when made through
+  // a link created before user IDs were used
+  isOwnedBy(booking, user) {
+    return booking.ownerId === user.id || booking.ownerId === user.email;
+  }
+
+  // Apply changes to a booking, record them in its history and persist
+  updateBooking(booking, changes, action, actor, details = {}) {
+    const updated = { ...booking, ...changes, updatedAt: new Date().toISOString() };
+    this.recordChange(updated, action, actor, details);
+    this.bookings[updated.id] = updated;
+    this.saveBookings();
+    return updated;
+  }
+
+  // Append an entry to a booking's change history
+  recordChange(booking, action, actor, details = {}) {
+    booking.history = [
+      ...(booking.history || []),
+      { action, actor, at: new Date().toISOString(), ...details }
+    ];
+  }
+
+  // Calendar event fields for a booked meeting
+  getBookingEventData(booking) {
+    const description = [`Booked by ${booking.name} <${booking.email}>`, booking.notes]
+      .filter(Boolean)
+      .join('\n\n');
+
+    return {
+      title: `${booking.meetingTypeName} with ${booking.name}`,
+      description,
+      start: booking.start,
+      end: booking.end,
+      color: booking.color,
+      reminders: booking.reminders || [],
+      location: booking.location || '',
+      bookingId: booking.id
+    };
+  }
+
+  // Generate a hard-to-guess token for a booking's manage link
+  generateToken() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < 24; i++) {
+      result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+  }
+
+  // Generate a unique booking ID
+  generateBookingId() {
+    return 'booking_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  // Save bookings to localStorage
+  saveBookings() {
+    try {
+      localStorage.setItem(BOOKINGS_KEY, JSON.stringify(this.bookings));
+    } catch (error) {
+      console.error('Error saving bookings:', error);
+    }
+  }
+
+  // Load bookings from localStorage
+  loadBookings() {
+    try {
+      return JSON.parse(localStorage.getItem(BOOKINGS_KEY) || '{}');
+    } catch (error) {
+      console.error('Error loading bookings:', error);
+      return {};
+    }
+  }
+}
+
+const bookingService = new BookingService();
+export default bookingService;
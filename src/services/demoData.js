@@ -5,10 +5,11 @@
  * In a production environment, this would be replaced with actual user data
  * from a database or API.
  */
+import userDirectoryService from './userDirectoryService';
 
 // Demo user data
 export const demoUsers = {
-  'demo@checkmate.com': {
+  demo_user_1: {
     id: 'demo_user_1',
     email: 'demo@checkmate.com',
     fullName: 'Demo User',
@@ -51,9 +52,9 @@ export const demoUsers = {
         days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']
       },
       meetingTypes: [
-        { id: 1, name: 'Quick Chat', duration: 15, color: 'blue' },
-        { id: 2, name: 'Team Meeting', duration: 30, color: 'green' },
-        { id: 3, name: 'Deep Work', duration: 60, color: 'purple' }
+        { id: 1, name: 'Quick Chat', duration: 15, color: 'blue', reminders: [5] },
+        { id: 2, name: 'Team Meeting', duration: 30, color: 'green', reminders: [10] },
+        { id: 3, name: 'Deep Work', duration: 60, color: 'purple', reminders: [10] }
       ],
       bufferTime: 15,
       advanceNotice: 2
@@ -85,6 +86,15 @@ export const demoUsers = {
         end: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000 + 2 * 60 * 60 * 1000).toISOString(), // 3 days from now + 2 hours
         color: 'purple',
         allDay: false
+      },
+      {
+        id: 'event-4',
+        title: 'Team Offsite',
+        description: 'Planning days with the whole team',
+        start: new Date(new Date().getFullYear(), new Date().getMonth(), new Date().getDate() + 7).toISOString(), // A week from today
+        end: new Date(new Date().getFullYear(), new Date().getMonth(), new Date().getDate() + 10).toISOString(), // Three days, ending at midnight
+        color: 'yellow',
+        allDay: true
       }
     ],
     currentStatus: {
@@ -100,16 +110,21 @@ export const demoUsers = {
 
 // Function to populate demo data
 export const populateDemoData = () => {
-  const existingUsers = JSON.parse(localStorage.getItem('checkmate_users') || '{}');
-  const updatedUsers = { ...existingUsers, ...demoUsers };
-  localStorage.setItem('checkmate_users', JSON.stringify(updatedUsers));
+  Object.values(demoUsers).forEach(user => {
+    // Replace any account already registered with a demo email
+    const existing = userDirectoryService.getUserByEmail(user.email);
+    if (existing && existing.id !== user.id) {
+      userDirectoryService.removeUser(existing.id);
+    }
+    userDirectoryService.saveUser(user);
+  });
   console.log('Demo data populated successfully!');
   console.log('Demo login: demo@checkmate.com / admin123');
 };
 
 // Function to clear all data
 export const clearAllData = () => {
-  localStorage.removeItem('checkmate_users');
+  userDirectoryService.clear();
   localStorage.removeItem('checkmate_current_user');
   console.log('All data cleared successfully!');
 };
@@ -0,0 +1,769 @@
+/**
+ * Event Service - Persist and query calendar events
+ *
+ * This service manages the user's event store. Events are kept on the user
+ * record (the same `events` array used for usage statistics and shared
+ * schedules) so they survive reloads and are visible to share links.
+ *
+ * Start and end are stored as UTC instants (ISO strings). Each event also
+ * carries the IANA time zone it was created in, which recurring events are
+ * expanded in and which is shown when it differs from the viewer's zone.
+ * All-day events run from local midnight to the midnight after their last day.
+ *
+ * Features:
+ * - Create, update and delete events
+ * - List events within a date range, expanding recurring events
+ * - Search by text, color and date range
+ * - Reminders, as minutes before the start
+ * - Attendees with RSVP status; CheckMate users see the invite in their own
+ *   calendar and answer it there
+ * - Day and lane layout for all-day and multi-day events
+ * - Minute-accurate layout of timed events, with overlaps side by side
+ * - Edit or delete one occurrence, this and following, or a whole series
+ * - iCalendar (.ics) import and export
+ * - Adding, moving and removing bookings in a calendar owner's events
+ * - Plan limit enforcement on event creation
+ *
+ * TODO: Replace user record storage with backend API calls
+ * TODO: Sync events with connected calendar providers
+ */
+import authService from './authService';
+import subscriptionService from './subscriptionService';
+import recurrenceService from './recurrenceService';
+import icsService from './icsService';
+import timezoneService from './timezoneService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Searches without a date range cover this many days either side of today
+const SEARCH_WINDOW_DAYS = 365;
+
+// RSVP states, matching iCalendar's PARTSTAT values
+const ATTENDEE_STATUSES = ['needs-action', 'accepted', 'declined', 'tentative'];
+
+class EventService {
+  // Get all events for the current user
+  getEvents() {
+    const user = authService.getCurrentUser();
+    if (!user) return [];
+    return user.events || [];
+  }
+
+  // Get a single event by ID
+  getEvent(eventId) {
+    return this.getEvents().find(event => event.id === eventId) || null;
+  }
+
+  // List events that overlap the given date range, sorted by start time.
+  // Recurring events are expanded into individual occurrences, and events
+  // other users invited the current user to are included.
+  listEventsInRange(rangeStart, rangeEnd) {
+    return [
+      ...recurrenceService.expandEvents(this.getEvents(), rangeStart, rangeEnd),
+      ...this.listInvitationsInRange(rangeStart, rangeEnd)
+    ].sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+
+  // Other users' events that list the current user as an attendee. Each
+  // carries `invitation` ({ ownerKey, ownerName, eventId, status }); they can
+  // be answered but not edited.
+  listInvitationsInRange(rangeStart, rangeEnd) {
+    const user = authService.getCurrentUser();
+    if (!user) return [];
+
+    const email = user.email.toLowerCase();
+    return authService.getStoredUsers()
+      .filter(owner => owner.id !== user.id)
+      .flatMap(owner => recurrenceService.expandEvents(owner.events || [], rangeStart, rangeEnd)
+        .map(event => {
+          const attendee = (event.attendees || []).find(item => item.email === email);
+          return attendee && {
+            ...event,
+            id: `invite::${owner.id}::${event.id}`,
+            invitation: {
+              ownerKey: owner.id,
+              ownerName: owner.fullName,
+              eventId: event.recurringEventId || event.id,
+              status: attendee.status
+            }
+          };
+        })
+        .filter(Boolean));
+  }
+
+  // Answer an invitation as the current user. The answer covers the whole
+  // series for recurring events.
+  respondToInvitation(invitation, status) {
+    const user = authService.getCurrentUser();
+    if (!user) {
+      throw new Error('No user is currently signed in');
+    }
+
+    if (!ATTENDEE_STATUSES.includes(status)) {
+      throw new Error('Invalid response');
+    }
+
+    const owner = authService.getStoredUser(invitation.ownerKey);
+    if (!owner) {
+      throw new Error('Calendar owner not found');
+    }
+
+    const email = user.email.toLowerCase();
+    const events = owner.events || [];
+    const isInvited = events.some(event =>
+      event.id === invitation.eventId && (event.attendees || []).some(attendee => attendee.email === email)
+    );
+    if (!isInvited) {
+      throw new Error('This invitation no longer exists');
+    }
+
+    const now = new Date().toISOString();
+    authService.updateStoredUserEvents(invitation.ownerKey, events.map(event => {
+      if (event.id !== invitation.eventId && event.recurringEventId !== invitation.eventId) return event;
+      return {
+        ...event,
+        attendees: (event.attendees || []).map(attendee =>
+          attendee.email === email ? { ...attendee, status, respondedAt: now } : attendee
+        ),
+        updatedAt: now
+      };
+    }));
+    return status;
+  }
+
+  // Attendees as stored: { email, name, status }, one per address, lowercased.
+  // Names default to the CheckMate account's name.
+  normalizeAttendees(attendees) {
+    const seen = new Set();
+    return (attendees || []).reduce((list, attendee) => {
+      const email = (attendee.email || '').trim().toLowerCase();
+      if (!authService.isValidEmail(email)) {
+        throw new Error(`${attendee.email || 'An attendee'} is not a valid email address`);
+      }
+      if (seen.has(email)) return list;
+      seen.add(email);
+
+      const account = authService.findStoredUserByEmail(email);
+      list.push({
+        ...attendee,
+        email,
+        name: (attendee.name || '').trim() || (account ? account.fullName : ''),
+        status: ATTENDEE_STATUSES.includes(attendee.status) ? attendee.status : 'needs-action'
+      });
+      return list;
+    }, []);
+  }
+
+  // Events (and occurrences of recurring events) in a date range whose title,
+  // description or location contains every word of the query, optionally
+  // limited to one color. An empty query matches every event.
+  searchEvents(query, { color = null, rangeStart = null, rangeEnd = null } = {}) {
+    const now = new Date();
+    const start = rangeStart
+      ? new Date(rangeStart)
+      : new Date(now.getFullYear(), now.getMonth(), now.getDate() - SEARCH_WINDOW_DAYS);
+    const end = rangeEnd
+      ? new Date(rangeEnd)
+      : new Date(now.getFullYear(), now.getMonth(), now.getDate() + SEARCH_WINDOW_DAYS);
+    const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+    return this.listEventsInRange(start, end).filter(event => {
+      if (color && event.color !== color) return false;
+      const text = [event.title, event.description, event.location].filter(Boolean).join(' ').toLowerCase();
+      return words.every(word => text.includes(word));
+    });
+  }
+
+  // All-day events and events lasting a day or more are shown as bars across
+  // days rather than in the hour grid
+  isSpanningEvent(event) {
+    return !!event.allDay || new Date(event.end) - new Date(event.start) >= DAY_MS;
+  }
+
+  // Whether an event overlaps the local calendar day of `date`
+  occursOnDate(event, date) {
+    const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const dayEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    return new Date(event.start) < dayEnd && new Date(event.end) > dayStart;
+  }
+
+  // Lay out the spanning events of a row of days (null for blank cells) as bars.
+  // Each bar covers `span` cells from `startIndex` and sits in the first free
+  // lane, so an event keeps the same row across the days it covers.
+  layoutSpanningEvents(events, days) {
+    const bars = [];
+    const laneEnds = [];
+
+    events
+      .filter(event => this.isSpanningEvent(event))
+      .sort((a, b) =>
+        new Date(a.start) - new Date(b.start) ||
+        (new Date(b.end) - new Date(b.start)) - (new Date(a.end) - new Date(a.start))
+      )
+      .forEach(event => {
+        const indexes = days
+          .map((day, index) => day && this.occursOnDate(event, day) ? index : -1)
+          .filter(index => index !== -1);
+        if (indexes.length === 0) return;
+
+        const startIndex = indexes[0];
+        const endIndex = indexes[indexes.length - 1];
+        let lane = laneEnds.findIndex(laneEnd => laneEnd < startIndex);
+        if (lane === -1) lane = laneEnds.length;
+        laneEnds[lane] = endIndex;
+
+        const firstDay = days[startIndex];
+        const lastDay = days[endIndex];
+        bars.push({
+          event,
+          startIndex,
+          span: endIndex - startIndex + 1,
+          lane,
+          continuesBefore: new Date(event.start) < new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate()),
+          continuesAfter: new Date(event.end) > new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate() + 1)
+        });
+      });
+
+    return bars;
+  }
+
+  // Place the timed events of a local day for the week and day grids.
+  // Returns { event, startMinutes, endMinutes, column, columns } where minutes
+  // count from midnight. Overlapping events share a group and sit side by side
+  // in `columns` equal columns; `column` is the event's position in its group.
+  layoutDayEvents(events, date) {
+    const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const dayEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    const toMinutes = (value) => value.getHours() * 60 + value.getMinutes();
+
+    const items = events
+      .filter(event => !this.isSpanningEvent(event) && this.occursOnDate(event, date))
+      .map(event => {
+        const start = new Date(event.start);
+        const end = new Date(event.end);
+        return {
+          event,
+          // Events crossing midnight are cut at the edges of the day
+          startMinutes: start < dayStart ? 0 : toMinutes(start),
+          endMinutes: end >= dayEnd ? 24 * 60 : toMinutes(end)
+        };
+      })
+      .sort((a, b) => a.startMinutes - b.startMinutes || b.endMinutes - a.endMinutes);
+
+    const placed = [];
+    let group = [];
+    let groupEnd = -1;
+    let columnEnds = [];
+
+    const closeGroup = () => {
+      group.forEach(item => placed.push({ ...item, columns: columnEnds.length }));
+      group = [];
+      groupEnd = -1;
+      columnEnds = [];
+    };
+
+    items.forEach(item => {
+      if (group.length > 0 && item.startMinutes >= groupEnd) {
+        closeGroup();
+      }
+
+      let column = columnEnds.findIndex(columnEnd => columnEnd <= item.startMinutes);
+      if (column === -1) column = columnEnds.length;
+      columnEnds[column] = item.endMinutes;
+
+      group.push({ ...item, column });
+      groupEnd = Math.max(groupEnd, item.endMinutes);
+    });
+    closeGroup();
+
+    return placed;
+  }
+
+  // Create a new event
+  createEvent(eventData) {
+    if (!authService.getCurrentUser()) {
+      throw new Error('No user is currently signed in');
+    }
+
+    // Check if user can create more events
+    if (!subscriptionService.canCreateEvent()) {
+      throw new Error('You\'ve reached your event limit. Upgrade to Pro for unlimited events!');
+    }
+
+    const now = new Date().toISOString();
+    const newEvent = {
+      ...this.normalizeEvent(eventData),
+      id: this.generateEventId(),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    authService.updateUserEvents([...this.getEvents(), newEvent]);
+    return newEvent;
+  }
+
+  // Update an existing event
+  updateEvent(eventId, updates) {
+    const existingEvent = this.getEvent(eventId);
+    if (!existingEvent) {
+      throw new Error('Event not found');
+    }
+
+    const updatedEvent = {
+      ...this.normalizeEvent({ ...existingEvent, ...updates }),
+      id: existingEvent.id,
+      createdAt: existingEvent.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    authService.updateUserEvents(
+      this.getEvents().map(event => event.id === eventId ? updatedEvent : event)
+    );
+    return updatedEvent;
+  }
+
+  // Delete an event
+  deleteEvent(eventId) {
+    if (!this.getEvent(eventId)) {
+      throw new Error('Event not found');
+    }
+
+    authService.updateUserEvents(this.getEvents().filter(event => event.id !== eventId));
+    return true;
+  }
+
+  // Check another user's plan has room for one more event, based on their own stored record
+  canAddEventForUser(userKey) {
+    const owner = authService.getStoredUser(userKey);
+    if (!owner) return false;
+
+    return authService.isUserWithinLimits(owner, 'maxEvents', (owner.events || []).length);
+  }
+
+  // Add an event to another user's calendar, e.g. a booking made through their share link
+  addEventForUser(userKey, eventData) {
+    const owner = authService.getStoredUser(userKey);
+    if (!owner) {
+      throw new Error('Calendar owner not found');
+    }
+
+    if (!authService.isUserWithinLimits(owner, 'maxEvents', (owner.events || []).length)) {
+      throw new Error('This calendar has reached its event limit, so the booking can\'t be added. Please contact the calendar owner.');
+    }
+
+    const now = new Date().toISOString();
+    const newEvent = {
+      // Bookings are made by visitors, so default to the owner's zone rather than theirs
+      ...this.normalizeEvent({ timeZone: owner.availability?.timezone, ...eventData }),
+      id: this.generateEventId(),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    authService.updateStoredUserEvents(userKey, [...(owner.events || []), newEvent]);
+    return newEvent;
+  }
+
+  // Update an event in another user's calendar, e.g. when a visitor reschedules a booking
+  updateEventForUser(userKey, eventId, updates) {
+    const owner = authService.getStoredUser(userKey);
+    if (!owner) {
+      throw new Error('Calendar owner not found');
+    }
+
+    const events = owner.events || [];
+    const existingEvent = events.find(event => event.id === eventId);
+    if (!existingEvent) {
+      throw new Error('Event not found');
+    }
+
+    const updatedEvent = {
+      ...this.normalizeEvent({ ...existingEvent, ...updates }),
+      id: existingEvent.id,
+      createdAt: existingEvent.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    authService.updateStoredUserEvents(
+      userKey,
+      events.map(event => event.id === eventId ? updatedEvent : event)
+    );
+    return updatedEvent;
+  }
+
+  // Remove an event from another user's calendar, e.g. when a visitor cancels a booking
+  deleteEventForUser(userKey, eventId) {
+    const owner = authService.getStoredUser(userKey);
+    if (!owner) {
+      throw new Error('Calendar owner not found');
+    }
+
+    authService.updateStoredUserEvents(
+      userKey,
+      (owner.events || []).filter(event => event.id !== eventId)
+    );
+    return true;
+  }
+
+  // Update an occurrence of a recurring event.
+  // Scope is 'this' (one occurrence), 'following' (this and later) or 'all'.
+  updateOccurrence(occurrence, updates, scope = 'this') {
+    const master = this.getEvent(occurrence.recurringEventId);
+    if (!master) {
+      throw new Error('Recurring event not found');
+    }
+
+    if (scope === 'this') {
+      return this.saveOccurrenceOverride(master, occurrence, updates);
+    }
+
+    if (scope === 'following' && !this.isFirstOccurrence(master, occurrence)) {
+      return this.splitSeries(master, occurrence, updates);
+    }
+
+    return this.updateSeries(master, occurrence, updates);
+  }
+
+  // Delete an occurrence of a recurring event using the same scopes as updateOccurrence
+  deleteOccurrence(occurrence, scope = 'this') {
+    const master = this.getEvent(occurrence.recurringEventId);
+    if (!master) {
+      throw new Error('Recurring event not found');
+    }
+
+    const events = this.getEvents();
+    const splitAt = new Date(occurrence.recurrenceId);
+
+    if (scope === 'all' || (scope === 'following' && this.isFirstOccurrence(master, occurrence))) {
+      authService.updateUserEvents(events.filter(event =>
+        event.id !== master.id && event.recurringEventId !== master.id
+      ));
+      return true;
+    }
+
+    if (scope === 'following') {
+      const updatedMaster = {
+        ...master,
+        recurrence: this.endRuleBefore(master.recurrence, splitAt),
+        exdates: (master.exdates || []).filter(date => new Date(date) < splitAt),
+        updatedAt: new Date().toISOString()
+      };
+      authService.updateUserEvents(events
+        .filter(event => !(event.recurringEventId === master.id && new Date(event.recurrenceId) >= splitAt))
+        .map(event => event.id === master.id ? updatedMaster : event));
+      return true;
+    }
+
+    // Skip just this occurrence
+    const updatedMaster = {
+      ...master,
+      exdates: [...(master.exdates || []), occurrence.recurrenceId],
+      updatedAt: new Date().toISOString()
+    };
+    authService.updateUserEvents(events
+      .filter(event => event.id !== occurrence.id)
+      .map(event => event.id === master.id ? updatedMaster : event));
+    return true;
+  }
+
+  // Store a single-occurrence override, replacing the generated occurrence
+  saveOccurrenceOverride(master, occurrence, updates) {
+    const fields = this.stripOccurrenceFields(updates);
+
+    // Occurrences that were already overridden are stored events of their own
+    if (!occurrence.isOccurrence) {
+      return this.updateEvent(occurrence.id, { ...fields, recurrence: null, exdates: [] });
+    }
+
+    const now = new Date().toISOString();
+    const override = {
+      ...this.normalizeEvent({ ...this.stripOccurrenceFields(master), ...fields, recurrence: null, exdates: [] }),
+      id: this.generateEventId(),
+      recurringEventId: master.id,
+      recurrenceId: occurrence.recurrenceId,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    authService.updateUserEvents([...this.getEvents(), override]);
+    return override;
+  }
+
+  // Apply changes to every occurrence, shifting the series by the same amount
+  // the edited occurrence moved
+  updateSeries(master, occurrence, updates) {
+    const fields = this.stripOccurrenceFields(updates);
+    const delta = new Date(fields.start) - new Date(occurrence.start);
+    const duration = new Date(fields.end) - new Date(fields.start);
+    const start = new Date(new Date(master.start).getTime() + delta);
+    const shift = date => new Date(new Date(date).getTime() + delta).toISOString();
+
+    // An unchanged UNTIL has to move with the series to keep the same occurrences
+    let recurrence = fields.recurrence === undefined ? master.recurrence : fields.recurrence;
+    const rule = recurrenceService.parseRule(recurrence);
+    if (recurrence === master.recurrence && rule && rule.until && delta) {
+      recurrence = recurrenceService.buildRule({ ...rule, until: shift(rule.until) });
+    }
+
+    const updatedMaster = {
+      ...this.normalizeEvent({
+        ...master,
+        ...fields,
+        recurrence,
+        start,
+        end: new Date(start.getTime() + duration),
+        exdates: (fields.exdates || master.exdates || []).map(shift)
+      }),
+      id: master.id,
+      createdAt: master.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    authService.updateUserEvents(this.getEvents()
+      // Overrides no longer belong to anything once the series stops repeating
+      .filter(event => updatedMaster.recurrence || event.recurringEventId !== master.id)
+      .map(event => {
+        if (event.id === master.id) return updatedMaster;
+        if (event.recurringEventId === master.id) {
+          return { ...event, recurrenceId: shift(event.recurrenceId) };
+        }
+        return event;
+      }));
+    return updatedMaster;
+  }
+
+  // End the series before the occurrence and start a new series from it
+  splitSeries(master, occurrence, updates) {
+    const fields = this.stripOccurrenceFields(updates);
+    const splitAt = new Date(occurrence.recurrenceId);
+    const delta = new Date(fields.start) - new Date(occurrence.start);
+    const shift = date => new Date(new Date(date).getTime() + delta).toISOString();
+    const now = new Date().toISOString();
+
+    // Carry the remaining COUNT over to the new series unless the rule was edited
+    let recurrence = fields.recurrence === undefined ? master.recurrence : fields.recurrence;
+    const originalRule = recurrenceService.parseRule(master.recurrence);
+    if (recurrence && recurrence === master.recurrence && originalRule.count) {
+      const before = recurrenceService.getOccurrenceStarts(master, null, splitAt).length;
+      recurrence = recurrenceService.buildRule({ ...originalRule, count: Math.max(1, originalRule.count - before) });
+    }
+
+    const masterExdates = fields.exdates || master.exdates || [];
+    const newSeries = {
+      ...this.normalizeEvent({
+        ...this.stripOccurrenceFields(master),
+        ...fields,
+        recurrence,
+        exdates: recurrence ? masterExdates.filter(date => new Date(date) >= splitAt).map(shift) : []
+      }),
+      id: this.generateEventId(),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const updatedMaster = {
+      ...master,
+      recurrence: this.endRuleBefore(master.recurrence, splitAt),
+      exdates: masterExdates.filter(date => new Date(date) < splitAt),
+      updatedAt: now
+    };
+
+    const events = this.getEvents()
+      .filter(event => newSeries.recurrence ||
+        !(event.recurringEventId === master.id && new Date(event.recurrenceId) >= splitAt))
+      .map(event => {
+        if (event.id === master.id) return updatedMaster;
+        if (event.recurringEventId === master.id && new Date(event.recurrenceId) >= splitAt) {
+          return { ...event, recurringEventId: newSeries.id, recurrenceId: shift(event.recurrenceId) };
+        }
+        return event;
+      });
+
+    authService.updateUserEvents([...events, newSeries]);
+    return newSeries;
+  }
+
+  // Import events from iCalendar text.
+  // Events already imported with the same UID are updated instead of duplicated.
+  importCalendar(icsText) {
+    const user = authService.getCurrentUser();
+    if (!user) {
+      throw new Error('No user is currently signed in');
+    }
+
+    const { events: importedEvents, warnings } = icsService.parseCalendar(icsText);
+    const events = [...this.getEvents()];
+    const result = { created: 0, updated: 0, skipped: 0, warnings };
+    const now = new Date().toISOString();
+
+    const remaining = subscriptionService.getRemainingUsage('maxEvents', events.length);
+    let available = remaining === 'Unlimited' ? Infinity : remaining;
+
+    const masterIdsByUid = {};
+    events.forEach(event => {
+      if (event.uid && !event.recurringEventId) masterIdsByUid[event.uid] = event.id;
+    });
+
+    // Series and single events first so overrides can be linked to them
+    const ordered = [
+      ...importedEvents.filter(event => !event.recurrenceId),
+      ...importedEvents.filter(event => event.recurrenceId)
+    ];
+
+    ordered.forEach(({ recurrenceId, ...fields }) => {
+      try {
+        if (recurrenceId) {
+          const masterId = masterIdsByUid[fields.uid];
+          if (!masterId) {
+            result.skipped++;
+            return;
+          }
+
+          const index = events.findIndex(event => event.recurringEventId === masterId && event.recurrenceId === recurrenceId);
+          const override = {
+            ...this.normalizeEvent({ ...fields, recurrence: null }),
+            id: index >= 0 ? events[index].id : this.generateEventId(),
+            recurringEventId: masterId,
+            recurrenceId,
+            createdAt: index >= 0 ? events[index].createdAt : now,
+            updatedAt: now
+          };
+          if (index >= 0) {
+            events[index] = override;
+            result.updated++;
+          } else {
+            events.push(override);
+            result.created++;
+          }
+          return;
+        }
+
+        const existingId = fields.uid ? masterIdsByUid[fields.uid] : null;
+        if (existingId) {
+          const index = events.findIndex(event => event.id === existingId);
+          events[index] = {
+            ...this.normalizeEvent({ ...fields, color: events[index].color }),
+            id: existingId,
+            createdAt: events[index].createdAt,
+            updatedAt: now
+          };
+          result.updated++;
+          return;
+        }
+
+        // Respect the plan's event limit
+        if (available <= 0) {
+          result.skipped++;
+          return;
+        }
+
+        const newEvent = {
+          ...this.normalizeEvent(fields),
+          id: this.generateEventId(),
+          createdAt: now,
+          updatedAt: now
+        };
+        events.push(newEvent);
+        if (newEvent.uid) masterIdsByUid[newEvent.uid] = newEvent.id;
+        available--;
+        result.created++;
+      } catch (error) {
+        result.warnings.push(`Skipped "${fields.title}": ${error.message}`);
+        result.skipped++;
+      }
+    });
+
+    authService.updateUserEvents(events);
+    return result;
+  }
+
+  // Export the event store, or only events in a date range, as iCalendar text
+  exportCalendar(rangeStart = null, rangeEnd = null) {
+    const user = authService.getCurrentUser();
+    const events = rangeStart && rangeEnd
+      ? icsService.filterEventsForRange(this.getEvents(), rangeStart, rangeEnd)
+      : this.getEvents();
+
+    return icsService.serializeCalendar(events, {
+      name: user ? `${user.fullName}'s CheckMate Calendar` : 'CheckMate',
+      organizer: user ? { name: user.fullName, email: user.email } : null
+    });
+  }
+
+  // Rewrite a rule so its last occurrence is before the given date
+  endRuleBefore(rrule, date) {
+    const rule = recurrenceService.parseRule(rrule);
+    return recurrenceService.buildRule({
+      ...rule,
+      count: null,
+      until: new Date(new Date(date).getTime() - 1000)
+    });
+  }
+
+  // Check if an occurrence is the first one of its series
+  isFirstOccurrence(master, occurrence) {
+    return new Date(occurrence.recurrenceId).getTime() === new Date(master.start).getTime();
+  }
+
+  // Remove fields that only describe a generated occurrence or stored identity
+  stripOccurrenceFields(eventData) {
+    const { id, isOccurrence, recurringEventId, recurrenceId, createdAt, updatedAt, ...fields } = eventData;
+    return fields;
+  }
+
+  // Validate event fields and store dates as ISO strings
+  normalizeEvent(eventData) {
+    const title = (eventData.title || '').trim();
+    if (!title) {
+      throw new Error('Event title is required');
+    }
+
+    let start = new Date(eventData.start);
+    let end = new Date(eventData.end);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new Error('Event start and end times are required');
+    }
+
+    // Snap all-day events to whole local days
+    if (eventData.allDay) {
+      start = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+      const endDay = new Date(end.getFullYear(), end.getMonth(), end.getDate());
+      end = endDay < end ? new Date(endDay.getFullYear(), endDay.getMonth(), endDay.getDate() + 1) : endDay;
+    }
+
+    if (end <= start) {
+      throw new Error('Event end time must be after the start time');
+    }
+
+    // Throws for malformed recurrence rules
+    recurrenceService.parseRule(eventData.recurrence);
+
+    const { isOccurrence, ...fields } = eventData;
+    return {
+      ...fields,
+      title,
+      description: eventData.description || '',
+      color: eventData.color || 'blue',
+      allDay: eventData.allDay || false,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      timeZone: timezoneService.isValidTimeZone(eventData.timeZone)
+        ? eventData.timeZone
+        : timezoneService.getLocalTimeZone(),
+      recurrence: eventData.recurrence || null,
+      exdates: eventData.recurrence ? (eventData.exdates || []) : [],
+      reminders: [...new Set((eventData.reminders || []).map(Number))]
+        .filter(minutes => Number.isInteger(minutes) && minutes >= 0)
+        .sort((a, b) => a - b),
+      attendees: this.normalizeAttendees(eventData.attendees)
+    };
+  }
+
+  // Generate a unique event ID
+  generateEventId() {
+    return 'event_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+}
+
+const eventService = new EventService();
+export default eventService;
@@ -0,0 +1,118 @@
+import authService from './authService';
+import sharingService from './sharingService';
+import availabilityService from './availabilityService';
+
+/**
+ * Group Scheduling Service - Find times that work for several people
+ *
+ * Participants are added by the email of a CheckMate account that shares its
+ * availability, or by a share link the viewer was given. Only free/busy time
+ * is derived from their records; their events are never exposed.
+ *
+ * Features:
+ * - Resolve emails and share links (full URL or ID) into participants
+ * - Common free slots across everyone's working hours, events and time zones
+ * - Ranked results via the availability engine
+ *
+ * TODO: Include people without a CheckMate account via their free/busy feeds
+ */
+class GroupSchedulingService {
+  // Resolve an email address or share link into a participant
+  resolveParticipant(input) {
+    const value = (input || '').trim();
+    if (!value) {
+      throw new Error('Enter an email address or share link');
+    }
+
+    const shareId = this.parseShareId(value);
+    if (shareId) {
+      const user = sharingService.getAvailabilityOwner(shareId);
+      if (!user) {
+        throw new Error('That share link is inactive, expired or doesn\'t share availability');
+      }
+      return this.toParticipant(user, 'link', shareId);
+    }
+
+    if (!authService.isValidEmail(value)) {
+      throw new Error('Enter a valid email address or share link');
+    }
+
+    const user = authService.getStoredUser(value);
+    if (!user) {
+      throw new Error(`No CheckMate account found for ${value}`);
+    }
+
+    this.checkSharesAvailability(user);
+    return this.toParticipant(user, 'user', value);
+  }
+
+  // Ranked common slots for the participants over a range
+  findTimes(participants, range, duration, options = {}) {
+    if (participants.length < 2) {
+      throw new Error('Add at least one other person to find a time');
+    }
+
+    const users = participants.map(participant => this.getParticipantUser(participant));
+    return availabilityService.findCommonSlots(users, range, duration, options);
+  }
+
+  // Load a participant's current record, re-checking access each time
+  getParticipantUser(participant) {
+    if (participant.source === 'link') {
+      const user = sharingService.getAvailabilityOwner(participant.ref);
+      if (!user) {
+        throw new Error(`The share link for ${participant.name} is no longer available`);
+      }
+      return user;
+    }
+
+    const user = authService.getStoredUser(participant.ref);
+    if (!user) {
+      throw new Error(`${participant.name} no longer has a CheckMate account`);
+    }
+
+    this.checkSharesAvailability(user);
+    return user;
+  }
+
+  // Throw unless the user is the viewer or shares their availability
+  checkSharesAvailability(user) {
+    const currentUser = authService.getCurrentUser();
+    const isViewer = currentUser && currentUser.email === user.email;
+
+    if (!isViewer && user.settings?.privacy?.shareAvailability === false) {
+      throw new Error(`${user.fullName} doesn't share their availability`);
+    }
+
+    if (!user.availability) {
+      throw new Error(`${user.fullName} hasn't set up their availability`);
+    }
+  }
+
+  // Public details of a participant; `ref` is what getParticipantUser loads from
+  toParticipant(user, source, ref) {
+    return {
+      id: user.id,
+      name: user.fullName,
+      timeZone: availabilityService.getTimeZone(user.availability),
+      source,
+      ref
+    };
+  }
+
+  // Share ID from a `?shared=` URL or a bare ID, or null
+  parseShareId(value) {
+    if (value.includes('shared=')) {
+      try {
+        return new URL(value).searchParams.get('shared');
+      } catch (error) {
+        return null;
+      }
+    }
+
+    return sharingService.getShareLink(value) ? value : null;
+  }
+}
+
+const groupSchedulingService = new GroupSchedulingService();
+export default groupSchedulingService;
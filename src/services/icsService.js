@@ -0,0 +1,483 @@
+/**
+ * ICS Service - iCalendar (.ics) import and export
+ *
+ * This service parses iCalendar files into CheckMate events and serializes
+ * the event store back to iCalendar so calendars can move in and out of
+ * CheckMate without any provider OAuth.
+ *
+ * Features:
+ * - VEVENT parsing with SUMMARY, DESCRIPTION, LOCATION and UID
+ * - All-day events (VALUE=DATE)
+ * - RRULE, EXDATE and RECURRENCE-ID overrides
+ * - TZID parameters resolved via IANA names or embedded VTIMEZONE blocks
+ * - Event time zones kept on import and written back as TZID on export
+ * - Export of the whole calendar or a date range
+ * - ATTENDEE with PARTSTAT, and ORGANIZER on export
+ *
+ * TODO: Support VTODO and VALARM components
+ */
+import recurrenceService from './recurrenceService';
+import timezoneService from './timezoneService';
+
+const PRODUCT_ID = '-//CheckMate//CheckMate Calendar//EN';
+
+// Attendee PARTSTAT values CheckMate keeps; others are read as NEEDS-ACTION
+const PARTSTATS = ['NEEDS-ACTION', 'ACCEPTED', 'DECLINED', 'TENTATIVE'];
+
+class IcsService {
+  // Parse iCalendar text into CheckMate event data.
+  // Returns { events, warnings }; override events reference their master by `uid`.
+  parseCalendar(text) {
+    const lines = this.unfoldLines(text);
+    const timezones = {};
+    const rawEvents = [];
+    const warnings = [];
+    const stack = [];
+    let current = null;
+
+    lines.forEach(line => {
+      const property = this.parseLine(line);
+      if (!property) return;
+
+      if (property.name === 'BEGIN') {
+        const component = { type: property.value.toUpperCase(), properties: [], children: [] };
+        if (current) current.children.push(component);
+        stack.push(component);
+        current = component;
+        return;
+      }
+
+      if (property.name === 'END') {
+        const component = stack.pop();
+        current = stack[stack.length - 1] || null;
+        if (component && component.type === 'VTIMEZONE') {
+          const tzid = this.getProperty(component, 'TZID');
+          if (tzid) timezones[tzid.value] = component;
+        }
+        if (component && component.type === 'VEVENT') {
+          rawEvents.push(component);
+        }
+        return;
+      }
+
+      if (current) current.properties.push(property);
+    });
+
+    if (rawEvents.length === 0 && !lines.some(line => /^BEGIN:VCALENDAR/i.test(line))) {
+      throw new Error('This file is not a valid iCalendar (.ics) file');
+    }
+
+    const events = [];
+    rawEvents.forEach(component => {
+      try {
+        events.push(this.parseEvent(component, timezones, warnings));
+      } catch (error) {
+        const summary = this.getProperty(component, 'SUMMARY');
+        warnings.push(`Skipped "${summary ? this.unescapeText(summary.value) : 'Untitled'}": ${error.message}`);
+      }
+    });
+
+    return { events, warnings };
+  }
+
+  // Convert a VEVENT component into event data
+  parseEvent(component, timezones, warnings) {
+    const dtstart = this.getProperty(component, 'DTSTART');
+    if (!dtstart) {
+      throw new Error('missing start time');
+    }
+
+    const start = this.parseDateProperty(dtstart, timezones);
+    const allDay = start.isDate;
+    let end;
+
+    const dtend = this.getProperty(component, 'DTEND');
+    const duration = this.getProperty(component, 'DURATION');
+    if (dtend) {
+      end = this.parseDateProperty(dtend, timezones).date;
+    } else if (duration) {
+      end = new Date(start.date.getTime() + this.parseDuration(duration.value));
+    } else if (allDay) {
+      end = new Date(start.date.getFullYear(), start.date.getMonth(), start.date.getDate() + 1);
+    } else {
+      end = new Date(start.date.getTime());
+    }
+
+    // Zero-length events can't be stored, so give them a minimal duration
+    if (end <= start.date) {
+      end = new Date(start.date.getTime() + 15 * 60 * 1000);
+    }
+
+    const summary = this.getProperty(component, 'SUMMARY');
+    const description = this.getProperty(component, 'DESCRIPTION');
+    const location = this.getProperty(component, 'LOCATION');
+    const uid = this.getProperty(component, 'UID');
+
+    const event = {
+      uid: uid ? uid.value : null,
+      title: summary ? this.unescapeText(summary.value) : 'Untitled event',
+      description: description ? this.unescapeText(description.value) : '',
+      location: location ? this.unescapeText(location.value) : '',
+      start: start.date.toISOString(),
+      end: end.toISOString(),
+      allDay,
+      color: 'blue',
+      recurrence: null,
+      exdates: [],
+      attendees: this.parseAttendees(component)
+    };
+
+    // Keep the zone so recurring events expand in it
+    const tzid = dtstart.params.TZID;
+    if (!allDay && tzid && timezoneService.isValidTimeZone(tzid)) {
+      event.timeZone = tzid;
+    }
+
+    const rrule = this.getProperty(component, 'RRULE');
+    if (rrule) {
+      try {
+        event.recurrence = recurrenceService.buildRule(recurrenceService.parseRule(rrule.value));
+      } catch (error) {
+        warnings.push(`"${event.title}" uses an unsupported repeat rule and was imported as a single event`);
+      }
+    }
+
+    if (event.recurrence) {
+      component.properties
+        .filter(property => property.name === 'EXDATE')
+        .forEach(property => {
+          property.value.split(',').forEach(value => {
+            const exdate = this.parseDateProperty({ ...property, value }, timezones);
+            event.exdates.push(exdate.date.toISOString());
+          });
+        });
+    }
+
+    const recurrenceId = this.getProperty(component, 'RECURRENCE-ID');
+    if (recurrenceId) {
+      event.recurrenceId = this.parseDateProperty(recurrenceId, timezones).date.toISOString();
+    }
+
+    return event;
+  }
+
+  // ATTENDEE properties with a mailto address as { email, name, status }
+  parseAttendees(component) {
+    return component.properties
+      .filter(property => property.name === 'ATTENDEE' && /^mailto:/i.test(property.value))
+      .map(property => {
+        const partstat = (property.params.PARTSTAT || '').toUpperCase();
+        return {
+          email: property.value.replace(/^mailto:/i, '').trim().toLowerCase(),
+          name: property.params.CN || '',
+          status: (PARTSTATS.includes(partstat) ? partstat : 'NEEDS-ACTION').toLowerCase()
+        };
+      })
+      .filter(attendee => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(attendee.email));
+  }
+
+  // ORGANIZER or ATTENDEE line; CN is quoted since names can contain ; , or :
+  formatPersonLine(name, person, params = []) {
+    const cn = person.name ? [`CN="${person.name.replace(/"/g, '')}"`] : [];
+    return [name, ...cn, ...params].join(';') + `:mailto:${person.email}`;
+  }
+
+  // Serialize stored events to iCalendar text. `organizer` ({ name, email })
+  // is written on events that have attendees.
+  serializeCalendar(events, { name = 'CheckMate', organizer = null } = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(name)}`
+    ];
+    const uidsById = {};
+    events.forEach(event => {
+      uidsById[event.id] = this.getEventUid(event);
+    });
+
+    events.forEach(event => {
+      const uid = event.recurringEventId ? uidsById[event.recurringEventId] : uidsById[event.id];
+      if (!uid) return;
+
+      lines.push('BEGIN:VEVENT');
+      lines.push(`UID:${uid}`);
+      lines.push(`DTSTAMP:${recurrenceService.formatDateValue(new Date())}`);
+      lines.push(...this.formatDateLines(event));
+      lines.push(`SUMMARY:${this.escapeText(event.title)}`);
+      if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+      if (event.location) lines.push(`LOCATION:${this.escapeText(event.location)}`);
+      if (event.attendees && event.attendees.length > 0) {
+        if (organizer) lines.push(this.formatPersonLine('ORGANIZER', organizer));
+        event.attendees.forEach(attendee => {
+          lines.push(this.formatPersonLine('ATTENDEE', attendee, [
+            'ROLE=REQ-PARTICIPANT',
+            `PARTSTAT=${(attendee.status || 'needs-action').toUpperCase()}`
+          ]));
+        });
+      }
+      if (event.recurrence) lines.push(`RRULE:${event.recurrence}`);
+      if (event.recurrence && event.exdates && event.exdates.length > 0) {
+        lines.push(event.allDay
+          ? `EXDATE;VALUE=DATE:${event.exdates.map(date => this.formatDate(date)).join(',')}`
+          : `EXDATE:${event.exdates.map(date => recurrenceService.formatDateValue(date)).join(',')}`);
+      }
+      if (event.recurringEventId && event.recurrenceId) {
+        lines.push(event.allDay
+          ? `RECURRENCE-ID;VALUE=DATE:${this.formatDate(event.recurrenceId)}`
+          : `RECURRENCE-ID:${recurrenceService.formatDateValue(event.recurrenceId)}`);
+      }
+      if (event.createdAt) lines.push(`CREATED:${recurrenceService.formatDateValue(event.createdAt)}`);
+      if (event.updatedAt) lines.push(`LAST-MODIFIED:${recurrenceService.formatDateValue(event.updatedAt)}`);
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  // Select stored events that have at least one occurrence in a date range,
+  // keeping overrides alongside their series
+  filterEventsForRange(events, rangeStart, rangeEnd) {
+    const visibleIds = new Set(
+      recurrenceService.expandEvents(events, rangeStart, rangeEnd)
+        .map(event => event.recurringEventId && event.isOccurrence ? event.recurringEventId : event.id)
+    );
+
+    return events.filter(event =>
+      visibleIds.has(event.id) || (event.recurringEventId && visibleIds.has(event.recurringEventId))
+    );
+  }
+
+  // Trigger a browser download of iCalendar text
+  downloadCalendar(content, filename = 'checkmate.ics') {
+    const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  // Helper methods
+  getEventUid(event) {
+    return event.uid || `${event.id}@checkmate`;
+  }
+
+  formatDateLines(event) {
+    if (event.allDay) {
+      return [
+        `DTSTART;VALUE=DATE:${this.formatDate(event.start)}`,
+        `DTEND;VALUE=DATE:${this.formatDate(event.end)}`
+      ];
+    }
+    if (timezoneService.isValidTimeZone(event.timeZone)) {
+      return [
+        `DTSTART;TZID=${event.timeZone}:${this.formatZonedValue(event.start, event.timeZone)}`,
+        `DTEND;TZID=${event.timeZone}:${this.formatZonedValue(event.end, event.timeZone)}`
+      ];
+    }
+    return [
+      `DTSTART:${recurrenceService.formatDateValue(event.start)}`,
+      `DTEND:${recurrenceService.formatDateValue(event.end)}`
+    ];
+  }
+
+  // Format an instant as a wall-clock DATE-TIME value in a zone
+  formatZonedValue(value, timeZone) {
+    const parts = timezoneService.getZonedParts(value, timeZone);
+    const pad = number => String(number).padStart(2, '0');
+    return `${parts.year}${pad(parts.month)}${pad(parts.day)}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+  }
+
+  // Format the local calendar date of an instant as YYYYMMDD
+  formatDate(value) {
+    const date = new Date(value);
+    return `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  // Join folded continuation lines (RFC 5545 section 3.1)
+  unfoldLines(text) {
+    return text
+      .replace(/\r\n/g, '\n')
+      .replace(/\r/g, '\n')
+      .replace(/\n[ \t]/g, '')
+      .split('\n')
+      .filter(line => line.trim() !== '');
+  }
+
+  // Fold a content line to 75 characters
+  foldLine(line) {
+    if (line.length <= 75) return line;
+    const chunks = [line.slice(0, 75)];
+    for (let i = 75; i < line.length; i += 74) {
+      chunks.push(' ' + line.slice(i, i + 74));
+    }
+    return chunks.join('\r\n');
+  }
+
+  // Parse "NAME;PARAM=VALUE:content" into { name, params, value }
+  parseLine(line) {
+    let inQuotes = false;
+    let colonIndex = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      if (line[i] === ':' && !inQuotes) {
+        colonIndex = i;
+        break;
+      }
+    }
+    if (colonIndex === -1) return null;
+
+    // Quoted parameter values (e.g. CN="Doe; Jane") may contain ; and :
+    const [name, ...paramParts] = line.slice(0, colonIndex).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+    const params = {};
+    paramParts.forEach(part => {
+      const [key, ...rest] = part.split('=');
+      params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+
+    return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) };
+  }
+
+  getProperty(component, name) {
+    return component.properties.find(property => property.name === name) || null;
+  }
+
+  // Parse a DATE or DATE-TIME property, honoring VALUE=DATE and TZID
+  parseDateProperty(property, timezones) {
+    const value = property.value.trim();
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value);
+    if (!match) {
+      throw new Error(`invalid date "${value}"`);
+    }
+
+    const [, year, month, day, hour, minute, second, utc] = match;
+    if (hour === undefined || property.params.VALUE === 'DATE') {
+      return { date: new Date(+year, +month - 1, +day), isDate: true };
+    }
+
+    const parts = { year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +(second || 0) };
+    if (utc) {
+      return { date: new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)), isDate: false };
+    }
+
+    const tzid = property.params.TZID;
+    if (tzid) {
+      if (timezones[tzid]) {
+        return { date: this.resolveVTimezone(parts, timezones[tzid], tzid), isDate: false };
+      }
+      if (timezoneService.isValidTimeZone(tzid)) {
+        return { date: timezoneService.zonedTimeToDate(parts, tzid), isDate: false };
+      }
+    }
+
+    // Floating time: interpret in the viewer's local zone
+    return { date: new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second), isDate: false };
+  }
+
+  // Convert wall-clock time using an embedded VTIMEZONE definition.
+  // IANA zone names are preferred when the browser knows them.
+  resolveVTimezone(parts, vtimezone, tzid) {
+    if (timezoneService.isValidTimeZone(tzid)) {
+      return timezoneService.zonedTimeToDate(parts, tzid);
+    }
+
+    const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    let latest = null;
+
+    vtimezone.children
+      .filter(child => child.type === 'STANDARD' || child.type === 'DAYLIGHT')
+      .forEach(observance => {
+        const offset = this.parseOffset(this.getProperty(observance, 'TZOFFSETTO')?.value);
+        this.getTransitions(observance, parts.year).forEach(transition => {
+          if (transition <= wallTime && (!latest || transition > latest.transition)) {
+            latest = { transition, offset };
+          }
+        });
+      });
+
+    const fallback = vtimezone.children.find(child => child.type === 'STANDARD') || vtimezone.children[0];
+    const offset = latest
+      ? latest.offset
+      : this.parseOffset(fallback && this.getProperty(fallback, 'TZOFFSETTO')?.value);
+
+    return new Date(wallTime - offset * 60000);
+  }
+
+  // Wall-clock transition times (as UTC-based numbers) of an observance for a year and the one before
+  getTransitions(observance, year) {
+    const dtstart = this.getProperty(observance, 'DTSTART');
+    if (!dtstart) return [];
+
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})?/.exec(dtstart.value);
+    if (!match) return [];
+    const [, startYear, startMonth, startDay, hour, minute] = match.map(Number);
+    const firstTransition = Date.UTC(startYear, startMonth - 1, startDay, hour, minute);
+
+    const rrule = this.getProperty(observance, 'RRULE');
+    if (!rrule) return [firstTransition];
+
+    let rule;
+    try {
+      rule = recurrenceService.parseRule(rrule.value);
+    } catch (error) {
+      return [firstTransition];
+    }
+
+    const transitions = [];
+    [year - 1, year].forEach(candidateYear => {
+      if (candidateYear < startYear) return;
+      const months = rule.byMonth.length > 0 ? rule.byMonth : [startMonth];
+      months.forEach(month => {
+        recurrenceService.getMonthDays(rule, candidateYear, month - 1, new Date(startYear, startMonth - 1, startDay))
+          .forEach(day => {
+            const transition = Date.UTC(candidateYear, month - 1, day, hour, minute);
+            if (!rule.until || transition <= rule.until.getTime()) {
+              transitions.push(transition);
+            }
+          });
+      });
+    });
+    return transitions;
+  }
+
+  // Parse a UTC offset such as "-0500" or "+0530" into minutes
+  parseOffset(value) {
+    const match = /^([+-])(\d{2})(\d{2})/.exec(value || '');
+    if (!match) return 0;
+    const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+    return match[1] === '-' ? -minutes : minutes;
+  }
+
+  // Parse an ISO 8601 duration such as "PT1H30M" or "P1D" into milliseconds
+  parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) return 0;
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const total = ((+(weeks || 0) * 7 + +(days || 0)) * 86400 + +(hours || 0) * 3600 + +(minutes || 0) * 60 + +(seconds || 0)) * 1000;
+    return sign === '-' ? -total : total;
+  }
+
+  unescapeText(value) {
+    return value
+      .replace(/\\n/gi, '\n')
+      .replace(/\\([,;\\])/g, '$1');
+  }
+
+  escapeText(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+}
+
+const icsService = new IcsService();
+export default icsService;
@@ -0,0 +1,273 @@
+import authService from './authService';
+import eventService from './eventService';
+import sharingService from './sharingService';
+
+/**
+ * Poll Service - Let a group vote on candidate meeting times
+ *
+ * The organizer picks candidate slots in their calendar and gets a poll link
+ * (`?poll=<id>`, using the same IDs as share links). Anyone with the link can
+ * vote yes / maybe / no on each slot without an account. The organizer picks
+ * a slot from the tally and it becomes an event in their calendar.
+ *
+ * Voters are matched by name, so voting again under the same name replaces
+ * the earlier vote.
+ *
+ * Features:
+ * - Create polls from candidate slots
+ * - Account-free yes / maybe / no voting
+ * - Per-slot tally and a suggested winner
+ * - Close a poll by scheduling one of its slots
+ *
+ * TODO: Notify voters by email when the poll is closed
+ */
+const POLLS_KEY = 'checkmate_polls';
+
+const RESPONSES = ['yes', 'maybe', 'no'];
+
+class PollService {
+  constructor() {
+    this.polls = this.loadPolls();
+  }
+
+  // Create a poll for the signed-in user from candidate slots ({ start, end })
+  createPoll({ title, description = '', options }) {
+    const user = authService.getCurrentUser();
+    if (!user) {
+      throw new Error('No user is currently signed in');
+    }
+
+    const trimmedTitle = (title || '').trim();
+    if (!trimmedTitle) {
+      throw new Error('Poll title is required');
+    }
+
+    if (!options || options.length === 0) {
+      throw new Error('Pick at least one time for the poll');
+    }
+
+    const now = new Date();
+    const normalizedOptions = [...options]
+      .map(option => ({ start: new Date(option.start), end: new Date(option.end) }))
+      .sort((a, b) => a.start - b.start)
+      .map((option, index) => {
+        if (option.end <= option.start) {
+          throw new Error('Poll times must end after they start');
+        }
+        if (option.start <= now) {
+          throw new Error('Poll times must be in the future');
+        }
+        return {
+          id: `option_${index + 1}`,
+          start: option.start.toISOString(),
+          end: option.end.toISOString()
+        };
+      });
+
+    const id = sharingService.generateShareId();
+    const poll = {
+      id,
+      link: `${window.location.origin}?poll=${id}`,
+      ownerId: user.id,
+      ownerEmail: user.email,
+      ownerName: user.fullName,
+      title: trimmedTitle,
+      description: description.trim(),
+      options: normalizedOptions,
+      votes: [],
+      status: 'open',
+      chosenOptionId: null,
+      eventId: null,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+
+    this.polls[id] = poll;
+    this.savePolls();
+    return poll;
+  }
+
+  // Get a poll by ID
+  getPoll(pollId) {
+    return this.polls[pollId] || null;
+  }
+
+  // Poll as shown to voters, without voters' email addresses
+  getPublicPoll(pollId) {
+    const poll = this.getPoll(pollId);
+    if (!poll) return null;
+
+    return {
+      ...poll,
+      ownerEmail: null,
+      votes: poll.votes.map(({ email, ...vote }) => vote)
+    };
+  }
+
+  // Polls created by the signed-in user, newest first
+  getMyPolls() {
+    const user = authService.getCurrentUser();
+    if (!user) return [];
+    return Object.values(this.polls)
+      .filter(poll => poll.ownerId === user.id)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // Record a vote. responses maps option IDs to 'yes', 'maybe' or 'no'.
+  submitVote(pollId, { name, email = '', responses }) {
+    const poll = this.getPoll(pollId);
+    if (!poll) {
+      throw new Error('Poll not found');
+    }
+
+    if (poll.status !== 'open') {
+      throw new Error('This poll is closed');
+    }
+
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+      throw new Error('Please enter your name');
+    }
+
+    const trimmedEmail = email.trim();
+    if (trimmedEmail && !authService.isValidEmail(trimmedEmail)) {
+      throw new Error('Please enter a valid email address');
+    }
+
+    const normalizedResponses = {};
+    poll.options.forEach(option => {
+      const response = responses[option.id];
+      if (!RESPONSES.includes(response)) {
+        throw new Error('Please answer every time in the poll');
+      }
+      normalizedResponses[option.id] = response;
+    });
+
+    const now = new Date().toISOString();
+    const existing = poll.votes.find(vote => vote.name.toLowerCase() === trimmedName.toLowerCase());
+    const vote = {
+      id: existing ? existing.id : `vote_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: trimmedName,
+      email: trimmedEmail,
+      responses: normalizedResponses,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    const updated = {
+      ...poll,
+      votes: existing
+        ? poll.votes.map(item => item.id === existing.id ? vote : item)
+        : [...poll.votes, vote],
+      updatedAt: now
+    };
+    this.polls[pollId] = updated;
+    this.savePolls();
+    return vote;
+  }
+
+  // Yes / maybe / no counts for every option, in option order
+  getTally(poll) {
+    return poll.options.map(option => {
+      const counts = { yes: 0, maybe: 0, no: 0 };
+      poll.votes.forEach(vote => {
+        const response = vote.responses[option.id];
+        if (counts[response] !== undefined) counts[response]++;
+      });
+      return { option, ...counts };
+    });
+  }
+
+  // Option with the most yes votes, then most maybes, then the earliest
+  getWinningOption(poll) {
+    if (poll.votes.length === 0) return null;
+
+    const [best] = [...this.getTally(poll)].sort((a, b) =>
+      b.yes - a.yes || b.maybe - a.maybe || new Date(a.option.start) - new Date(b.option.start)
+    );
+    return best.option;
+  }
+
+  // Close the poll by adding one of its options to the organizer's calendar
+  schedulePoll(pollId, optionId) {
+    const poll = this.getOwnedPoll(pollId);
+    if (poll.status !== 'open') {
+      throw new Error('This poll is already closed');
+    }
+
+    const option = poll.options.find(item => item.id === optionId);
+    if (!option) {
+      throw new Error('Poll time not found');
+    }
+
+    const going = poll.votes
+      .filter(vote => vote.responses[option.id] !== 'no')
+      .map(vote => vote.email ? `${vote.name} <${vote.email}>` : vote.name);
+    const description = [poll.description, going.length > 0 ? `Attending: ${going.join(', ')}` : '']
+      .filter(Boolean)
+      .join('\n\n');
+
+    const event = eventService.createEvent({
+      title: poll.title,
+      description,
+      start: option.start,
+      end: option.end,
+      color: 'purple'
+    });
+
+    const updated = {
+      ...poll,
+      status: 'closed',
+      chosenOptionId: option.id,
+      eventId: event.id,
+      updatedAt: new Date().toISOString()
+    };
+    this.polls[pollId] = updated;
+    this.savePolls();
+    return updated;
+  }
+
+  // Delete a poll the signed-in user created
+  deletePoll(pollId) {
+    this.getOwnedPoll(pollId);
+    delete this.polls[pollId];
+    this.savePolls();
+    return true;
+  }
+
+  // Get a poll the signed-in user created, or throw
+  getOwnedPoll(pollId) {
+    const user = authService.getCurrentUser();
+    if (!user) {
+      throw new Error('No user is currently signed in');
+    }
+
+    const poll = this.getPoll(pollId);
+    if (!poll || poll.ownerId !== user.id) {
+      throw new Error('Poll not found');
+    }
+    return poll;
+  }
+
+  // Save polls to localStorage
+  savePolls() {
+    try {
+      localStorage.setItem(POLLS_KEY, JSON.stringify(this.polls));
+    } catch (error) {
+      console.error('Error saving polls:', error);
+    }
+  }
+
+  // Load polls from localStorage
+  loadPolls() {
+    try {
+      return JSON.parse(localStorage.getItem(POLLS_KEY) || '{}');
+    } catch (error) {
+      console.error('Error loading polls:', error);
+      return {};
+    }
+  }
+}
+
+const pollService = new PollService();
+export default pollService;
@@ -0,0 +1,383 @@
+/**
+ * Recurrence Service - RFC 5545 recurrence rules for calendar events
+ *
+ * This service parses, builds and expands RRULE strings so recurring events
+ * can be stored once and expanded lazily for whatever range is on screen.
+ *
+ * Features:
+ * - DAILY, WEEKLY, MONTHLY and YEARLY frequencies with INTERVAL
+ * - BYDAY (including ordinals such as 2TU or -1FR), BYMONTHDAY and BYMONTH
+ * - COUNT and UNTIL limits
+ * - Exception dates (EXDATE) and single-occurrence overrides
+ *
+ * Occurrences are generated in the wall-clock time of the event's time zone
+ * (or the viewer's, for events without one), so a 9:00 standup stays at 9:00
+ * across daylight saving changes wherever it is viewed from.
+ *
+ * TODO: Support BYSETPOS, BYWEEKNO and BYYEARDAY
+ */
+import timezoneService from './timezoneService';
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Upper bound on recurrence periods walked for a single expansion
+const MAX_PERIODS = 10000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RecurrenceService {
+  // Parse an RRULE string into a rule object
+  parseRule(rrule) {
+    if (!rrule) return null;
+
+    const rule = {
+      freq: null,
+      interval: 1,
+      byDay: [],
+      byMonthDay: [],
+      byMonth: [],
+      count: null,
+      until: null
+    };
+
+    rrule.replace(/^RRULE:/i, '').split(';').forEach(part => {
+      const [key, value] = part.split('=');
+      if (!key || value === undefined) return;
+
+      switch (key.trim().toUpperCase()) {
+        case 'FREQ':
+          rule.freq = value.trim().toUpperCase();
+          break;
+        case 'INTERVAL':
+          rule.interval = Math.max(1, parseInt(value, 10) || 1);
+          break;
+        case 'COUNT':
+          rule.count = parseInt(value, 10) || null;
+          break;
+        case 'UNTIL':
+          rule.until = this.parseDateValue(value.trim());
+          break;
+        case 'BYDAY':
+          rule.byDay = value.split(',').map(day => this.parseByDay(day)).filter(Boolean);
+          break;
+        case 'BYMONTHDAY':
+          rule.byMonthDay = value.split(',').map(day => parseInt(day, 10)).filter(day => day && Math.abs(day) <= 31);
+          break;
+        case 'BYMONTH':
+          rule.byMonth = value.split(',').map(month => parseInt(month, 10)).filter(month => month >= 1 && month <= 12);
+          break;
+        default:
+          // Unsupported rule parts are ignored
+          break;
+      }
+    });
+
+    if (!FREQUENCIES.includes(rule.freq)) {
+      throw new Error('Invalid recurrence rule: unsupported frequency');
+    }
+
+    return rule;
+  }
+
+  // Build an RRULE string from a rule object
+  buildRule(rule) {
+    if (!rule || !rule.freq) return null;
+
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval && rule.interval > 1) {
+      parts.push(`INTERVAL=${rule.interval}`);
+    }
+    if (rule.byDay && rule.byDay.length > 0) {
+      parts.push(`BYDAY=${rule.byDay.map(day => `${day.n || ''}${WEEKDAY_CODES[day.weekday]}`).join(',')}`);
+    }
+    if (rule.byMonthDay && rule.byMonthDay.length > 0) {
+      parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    }
+    if (rule.byMonth && rule.byMonth.length > 0) {
+      parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+    }
+    if (rule.count) {
+      parts.push(`COUNT=${rule.count}`);
+    } else if (rule.until) {
+      parts.push(`UNTIL=${this.formatDateValue(rule.until)}`);
+    }
+
+    return parts.join(';');
+  }
+
+  // Parse a BYDAY entry such as "MO", "2TU" or "-1FR"
+  parseByDay(value) {
+    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/i.exec(value.trim());
+    if (!match) return null;
+    return {
+      weekday: WEEKDAY_CODES.indexOf(match[2].toUpperCase()),
+      n: match[1] ? parseInt(match[1], 10) : 0
+    };
+  }
+
+  // Parse an iCalendar DATE or DATE-TIME value
+  parseDateValue(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (hours === undefined) {
+      // Date-only values include the whole day
+      return new Date(+year, +month - 1, +day, 23, 59, 59);
+    }
+    if (utc) {
+      return new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds));
+    }
+    return new Date(+year, +month - 1, +day, +hours, +minutes, +seconds);
+  }
+
+  // Format a date as a UTC iCalendar DATE-TIME value
+  formatDateValue(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // Get the ordinal weekday of a date within its month (e.g. 3rd Tuesday, or -1 for the last)
+  getNthWeekdayOfMonth(date) {
+    const day = new Date(date);
+    const lastDay = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+    const n = day.getDate() + 7 > lastDay ? -1 : Math.ceil(day.getDate() / 7);
+    return { weekday: day.getDay(), n };
+  }
+
+  // Get raw occurrence start times of a recurring event, ignoring exception dates.
+  // Occurrences overlapping [rangeStart, rangeEnd) are returned; either bound may be null.
+  getOccurrenceStarts(event, rangeStart = null, rangeEnd = null) {
+    const rule = this.parseRule(event.recurrence);
+    const dtstart = new Date(event.start);
+    const duration = new Date(event.end) - dtstart;
+    const windowStart = rangeStart ? new Date(rangeStart).getTime() - duration : null;
+    const windowEnd = rangeEnd ? new Date(rangeEnd).getTime() : null;
+    const timeZone = this.getExpansionTimeZone(event);
+    const wallStart = timeZone ? this.toWallClock(dtstart, timeZone) : dtstart;
+    const starts = [];
+    let generated = 0;
+
+    for (let period = 0; period < MAX_PERIODS; period++) {
+      const candidates = this.getPeriodCandidates(rule, wallStart, period)
+        .map(candidate => timeZone ? this.fromWallClock(candidate, timeZone) : candidate);
+
+      for (const candidate of candidates) {
+        if (candidate < dtstart) continue;
+        if (rule.until && candidate > rule.until) return starts;
+        if (windowEnd !== null && candidate.getTime() >= windowEnd) return starts;
+
+        generated++;
+        if (rule.count && generated > rule.count) return starts;
+
+        if (windowStart === null || candidate.getTime() > windowStart) {
+          starts.push(candidate);
+        }
+      }
+    }
+
+    return starts;
+  }
+
+  // Zone to generate occurrences in, or null to use the viewer's local time
+  getExpansionTimeZone(event) {
+    if (!event.timeZone || event.allDay || !timezoneService.isValidTimeZone(event.timeZone)) {
+      return null;
+    }
+    return event.timeZone === timezoneService.getLocalTimeZone() ? null : event.timeZone;
+  }
+
+  // Local Date showing an instant's wall-clock time in another zone
+  toWallClock(date, timeZone) {
+    const parts = timezoneService.getZonedParts(date, timeZone);
+    return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  }
+
+  // Instant for a local Date's wall-clock time read in another zone
+  fromWallClock(date, timeZone) {
+    return timezoneService.zonedTimeToDate({
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds()
+    }, timeZone);
+  }
+
+  // Expand a recurring event into occurrences overlapping the range.
+  // `overriddenIds` lists recurrence IDs that have been replaced by stored overrides.
+  expandEvent(event, rangeStart, rangeEnd, overriddenIds = []) {
+    const duration = new Date(event.end) - new Date(event.start);
+    // All-day occurrences cover whole days even when a DST change makes one 23 or 25 hours
+    const days = Math.round(duration / DAY_MS);
+    const skipped = new Set([
+      ...(event.exdates || []).map(date => new Date(date).toISOString()),
+      ...overriddenIds.map(date => new Date(date).toISOString())
+    ]);
+
+    return this.getOccurrenceStarts(event, rangeStart, rangeEnd)
+      .filter(start => !skipped.has(start.toISOString()))
+      .map(start => {
+        const recurrenceId = start.toISOString();
+        return {
+          ...event,
+          id: `${event.id}::${recurrenceId}`,
+          start: recurrenceId,
+          end: (event.allDay
+            ? new Date(start.getFullYear(), start.getMonth(), start.getDate() + days)
+            : new Date(start.getTime() + duration)).toISOString(),
+          recurringEventId: event.id,
+          recurrenceId,
+          isOccurrence: true
+        };
+      });
+  }
+
+  // Expand a list of stored events (masters, overrides and single events) for a range
+  expandEvents(events, rangeStart, rangeEnd) {
+    const start = new Date(rangeStart);
+    const end = new Date(rangeEnd);
+    const expanded = [];
+
+    events.forEach(event => {
+      if (event.recurrence) {
+        const overriddenIds = events
+          .filter(other => other.recurringEventId === event.id)
+          .map(other => other.recurrenceId);
+        expanded.push(...this.expandEvent(event, start, end, overriddenIds));
+      } else if (new Date(event.start) < end && new Date(event.end) > start) {
+        expanded.push(event);
+      }
+    });
+
+    return expanded.sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+
+  // Human readable summary of a rule, e.g. "Every 2 weeks on Mon, Wed, 10 times"
+  describeRule(rrule) {
+    const rule = typeof rrule === 'string' ? this.parseRule(rrule) : rrule;
+    if (!rule) return 'Does not repeat';
+
+    const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+    const names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const ordinals = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+    const unit = units[rule.freq];
+
+    let description = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+
+    if (rule.byDay.length > 0) {
+      const days = rule.byDay.map(day => day.n ? `${ordinals[day.n] || day.n} ${names[day.weekday]}` : names[day.weekday]);
+      description += ` on ${days.join(', ')}`;
+    } else if (rule.byMonthDay.length > 0) {
+      description += ` on day ${rule.byMonthDay.join(', ')}`;
+    }
+
+    if (rule.count) {
+      description += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+    } else if (rule.until) {
+      description += `, until ${rule.until.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+    }
+
+    return description;
+  }
+
+  // Candidate occurrence starts for the n-th period of a rule, sorted ascending
+  getPeriodCandidates(rule, dtstart, period) {
+    const step = period * rule.interval;
+    const withTime = (year, month, day) => new Date(
+      year, month, day, dtstart.getHours(), dtstart.getMinutes(), dtstart.getSeconds()
+    );
+    let candidates = [];
+
+    switch (rule.freq) {
+      case 'DAILY': {
+        candidates = [withTime(dtstart.getFullYear(), dtstart.getMonth(), dtstart.getDate() + step)];
+        if (rule.byDay.length > 0) {
+          candidates = candidates.filter(date => rule.byDay.some(day => day.weekday === date.getDay()));
+        }
+        if (rule.byMonthDay.length > 0) {
+          candidates = candidates.filter(date => this.matchesMonthDay(rule.byMonthDay, date));
+        }
+        break;
+      }
+      case 'WEEKLY': {
+        // Weeks start on Monday (WKST=MO)
+        const mondayOffset = (dtstart.getDay() + 6) % 7;
+        const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [dtstart.getDay()];
+        candidates = [...new Set(weekdays)]
+          .map(weekday => withTime(
+            dtstart.getFullYear(),
+            dtstart.getMonth(),
+            dtstart.getDate() - mondayOffset + step * 7 + (weekday + 6) % 7
+          ));
+        break;
+      }
+      case 'MONTHLY': {
+        const monthStart = new Date(dtstart.getFullYear(), dtstart.getMonth() + step, 1);
+        candidates = this.getMonthDays(rule, monthStart.getFullYear(), monthStart.getMonth(), dtstart)
+          .map(day => withTime(monthStart.getFullYear(), monthStart.getMonth(), day));
+        break;
+      }
+      case 'YEARLY': {
+        const year = dtstart.getFullYear() + step;
+        const months = rule.byMonth.length > 0 ? rule.byMonth.map(month => month - 1) : [dtstart.getMonth()];
+        months.forEach(month => {
+          this.getMonthDays(rule, year, month, dtstart)
+            .forEach(day => candidates.push(withTime(year, month, day)));
+        });
+        break;
+      }
+      default:
+        break;
+    }
+
+    if (rule.byMonth.length > 0 && rule.freq !== 'YEARLY') {
+      candidates = candidates.filter(date => rule.byMonth.includes(date.getMonth() + 1));
+    }
+
+    return candidates.sort((a, b) => a - b);
+  }
+
+  // Days of a month matching the rule's BYMONTHDAY/BYDAY parts (or the start day)
+  getMonthDays(rule, year, month, dtstart) {
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    let days;
+
+    if (rule.byMonthDay.length > 0) {
+      days = rule.byMonthDay
+        .map(day => day > 0 ? day : lastDay + day + 1)
+        .filter(day => day >= 1 && day <= lastDay);
+      if (rule.byDay.length > 0) {
+        days = days.filter(day => rule.byDay.some(byDay => byDay.weekday === new Date(year, month, day).getDay()));
+      }
+    } else if (rule.byDay.length > 0) {
+      days = [];
+      rule.byDay.forEach(({ weekday, n }) => {
+        const matches = [];
+        for (let day = 1; day <= lastDay; day++) {
+          if (new Date(year, month, day).getDay() === weekday) matches.push(day);
+        }
+        if (n === 0) {
+          days.push(...matches);
+        } else {
+          const match = n > 0 ? matches[n - 1] : matches[matches.length + n];
+          if (match) days.push(match);
+        }
+      });
+    } else {
+      days = dtstart.getDate() <= lastDay ? [dtstart.getDate()] : [];
+    }
+
+    return [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  // Check a date against BYMONTHDAY values (negative values count from month end)
+  matchesMonthDay(byMonthDay, date) {
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    return byMonthDay.some(day => (day > 0 ? day : lastDay + day + 1) === date.getDate());
+  }
+}
+
+const recurrenceService = new RecurrenceService();
+export default recurrenceService;
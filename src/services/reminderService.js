@@ -0,0 +1,194 @@
+import authService from './authService';
+import eventService from './eventService';
+
+/**
+ * Reminder Service - Remind the user before their events
+ *
+ * Events carry `reminders`, a list of minutes before the start to remind at
+ * (0 means when the event starts). While the app is open a scheduler checks
+ * the signed-in user's upcoming events and fires every reminder that has come
+ * due, as a browser notification when the user allowed them and otherwise
+ * through in-app listeners that show a toast. Nothing fires while the
+ * "Booking Reminders" notification setting is off, and never for invitations
+ * the user declined.
+ *
+ * Fired reminders are remembered in localStorage so reloads and other tabs
+ * don't repeat them. Reminders that came due while the app was closed are
+ * dropped once they are a few minutes old.
+ *
+ * Features:
+ * - Preset reminder times from the event's start to a day before
+ * - Browser notifications with an in-app fallback
+ * - Notification permission request
+ *
+ * TODO: Deliver reminders by email or push while the app is closed
+ */
+const FIRED_KEY = 'checkmate_fired_reminders';
+
+// Minutes before an event's start that a reminder can be set for
+const REMINDER_OPTIONS = [0, 5, 10, 30, 60, 1440];
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+// A reminder that came due longer ago than this is skipped rather than shown late
+const MISSED_GRACE_MS = 5 * 60 * 1000;
+
+// Fired-reminder records are kept this long so the store doesn't grow forever
+const FIRED_RETENTION_MS = 2 * 24 * 60 * 60 * 1000;
+
+class ReminderService {
+  constructor() {
+    this.fired = this.loadFired();
+    this.listeners = [];
+    this.timer = null;
+  }
+
+  // Minutes-before values offered when setting reminders
+  getReminderOptions() {
+    return REMINDER_OPTIONS;
+  }
+
+  // "At start", "10 min before", "1 hour before", "1 day before"
+  formatReminder(minutes) {
+    if (minutes === 0) return 'At start';
+    if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'} before`;
+    if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'} before`;
+    return `${minutes} min before`;
+  }
+
+  // Start checking for due reminders. Calling it again while running does nothing.
+  start() {
+    if (this.timer) return;
+    this.checkReminders();
+    this.timer = setInterval(() => this.checkReminders(), CHECK_INTERVAL_MS);
+  }
+
+  // Stop checking, e.g. on sign-out
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Listen for reminders to show in the app; returns a function that stops listening
+  onReminder(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  }
+
+  // Reminders for the signed-in user's events that are due and haven't fired
+  getDueReminders(now = new Date()) {
+    const user = authService.getCurrentUser();
+    if (!user || user.settings?.notifications?.bookingReminders === false) {
+      return [];
+    }
+
+    const nowMs = now.getTime();
+    const maxLeadMs = Math.max(...REMINDER_OPTIONS) * 60000;
+    const events = eventService.listEventsInRange(
+      new Date(nowMs - MISSED_GRACE_MS),
+      new Date(nowMs + maxLeadMs + 60000)
+    );
+
+    const due = [];
+    events.forEach(event => {
+      // Invitations use the organizer's reminders, but not once the user declined
+      if (event.invitation?.status === 'declined') return;
+
+      (event.reminders || []).forEach(minutes => {
+        const dueAt = new Date(event.start).getTime() - minutes * 60000;
+        const key = `${event.id}|${event.start}|${minutes}`;
+        if (dueAt <= nowMs && dueAt > nowMs - MISSED_GRACE_MS && !this.fired[key]) {
+          due.push({ key, event, minutes, body: this.getReminderBody(event, now) });
+        }
+      });
+    });
+    return due;
+  }
+
+  // Fire every due reminder once. Returns the reminders fired.
+  checkReminders(now = new Date()) {
+    // Another tab may have fired some already
+    this.fired = this.loadFired();
+
+    const due = this.getDueReminders(now);
+    if (due.length === 0) return [];
+
+    due.forEach(reminder => {
+      this.fired[reminder.key] = now.toISOString();
+      this.notify(reminder);
+    });
+
+    Object.keys(this.fired).forEach(key => {
+      if (now - new Date(this.fired[key]) > FIRED_RETENTION_MS) {
+        delete this.fired[key];
+      }
+    });
+    this.saveFired();
+    return due;
+  }
+
+  // Browser notification when allowed, otherwise hand the reminder to in-app listeners
+  notify(reminder) {
+    if (this.getPermission() === 'granted') {
+      try {
+        new Notification(reminder.event.title, { body: reminder.body, tag: reminder.key });
+        return;
+      } catch (error) {
+        // Some browsers only allow notifications from a service worker
+        console.error('Error showing notification:', error);
+      }
+    }
+
+    this.listeners.forEach(listener => listener(reminder));
+  }
+
+  // "Starts now", "Starts at 3:00 PM" or "Starts Tue, Mar 3 at 9:00 AM"
+  getReminderBody(event, now = new Date()) {
+    const start = new Date(event.start);
+    if (start <= now) return 'Starts now';
+
+    const time = start.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    if (start.toDateString() === now.toDateString()) return `Starts at ${time}`;
+    return `Starts ${start.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })} at ${time}`;
+  }
+
+  // 'granted', 'denied', 'default', or 'unsupported' without the Notification API
+  getPermission() {
+    if (typeof window === 'undefined' || !('Notification' in window)) {
+      return 'unsupported';
+    }
+    return window.Notification.permission;
+  }
+
+  // Ask the browser for permission to show notifications
+  requestPermission() {
+    if (this.getPermission() === 'unsupported') {
+      return Promise.resolve('unsupported');
+    }
+    return window.Notification.requestPermission();
+  }
+
+  // Save fired reminders to localStorage
+  saveFired() {
+    try {
+      localStorage.setItem(FIRED_KEY, JSON.stringify(this.fired));
+    } catch (error) {
+      console.error('Error saving fired reminders:', error);
+    }
+  }
+
+  // Load fired reminders from localStorage
+  loadFired() {
+    try {
+      return JSON.parse(localStorage.getItem(FIRED_KEY) || '{}');
+    } catch (error) {
+      console.error('Error loading fired reminders:', error);
+      return {};
+    }
+  }
+}
+
+const reminderService = new ReminderService();
+export default reminderService;
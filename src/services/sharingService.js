@@ -1,3 +1,7 @@
+import authService from './authService';
+import availabilityService from './availabilityService';
+import userDirectoryService from './userDirectoryService';
+
 /**
  * Sharing Service - Manage schedule sharing functionality
  * 
@@ -6,52 +10,137 @@
  * 
  * Features:
  * - Generate unique share links
- * - Set sharing permissions (view-only, availability-only)
+ * - Set sharing permissions (view-only, availability-only, booking)
  * - Manage shared schedules
  * - Access control and expiration
+ * - Per-link event visibility, from hidden through busy blocks to full details
+ * - Optional passphrase, bound recipient email and view limit per link
+ * - Expiry, with extend and duplicate for renewing links
+ * - Access log per link, with views over time and CSV export
+ * 
+ * Events are redacted here, before they reach the viewer, so a link only
+ * ever hands out what its visibility level allows.
+ * 
+ * A link with a passphrase or recipient stays locked until the viewer
+ * unlocks it; until then nothing behind it is returned. Passphrases are kept
+ * as salted SHA-256 hashes. A link with a view limit deactivates itself as
+ * soon as the visit that uses up the limit has been served.
+ * 
+ * Expired links are swept to inactive whenever a user's links are listed, so
+ * they stop counting towards the plan's link limit.
+ * 
+ * Each counted visit is appended to the link's access log with only coarse
+ * details: browser and OS family, the referring site's host, and whether the
+ * visitor went on to book.
  * 
  * TODO: Integrate with real backend API
  * TODO: Add encryption for sensitive schedule data
- * TODO: Implement share link expiration
  */
+
+// How much of each event a link shows: nothing, busy blocks, titles, or everything
+const EVENT_VISIBILITY_LEVELS = ['hidden', 'busy', 'titles', 'details'];
+
+// Event fields kept at each level below 'details'. Recurrence fields are kept
+// so the viewer can still expand repeating events.
+const BUSY_FIELDS = ['id', 'start', 'end', 'allDay', 'timeZone', 'recurrence', 'exdates', 'recurringEventId', 'recurrenceId'];
+const TITLE_FIELDS = [...BUSY_FIELDS, 'title', 'color'];
+
+const ACCESS_LOG_KEY = 'checkmate_share_access_log';
+
+// First match wins, so browsers built on Chrome come before it
+const BROWSER_PATTERNS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS/],
+  ['Chrome', /Chrome\/|CriOS/],
+  ['Safari', /Safari\//]
+];
+
+const OS_PATTERNS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['Linux', /Linux|CrOS/]
+];
+
 class SharingService {
   constructor() {
     this.sharedSchedules = this.loadSharedSchedules();
     this.shareLinks = this.loadShareLinks();
-    console.log('SharingService: Constructor - loaded share links:', this.shareLinks);
+    this.migrateShareLinks();
+    this.sweepExpiredLinks();
+    this.accessLog = this.loadAccessLog();
+    // Links unlocked in this session, and the log entry of each visit counted
+    this.unlockedLinks = new Set();
+    this.sessionVisits = {};
+    console.log('SharingService: Constructor - loaded share links:', Object.keys(this.shareLinks));
   }
 
-  // Generate a unique share link for a user's schedule
-  generateShareLink(userId, permissions = {}) {
+  // Generate a unique share link for a user's schedule. `access` optionally
+  // locks it with a passphrase and/or to one recipient, and limits its views.
+  async generateShareLink(userId, permissions = {}, access = {}) {
+    const recipientEmail = (access.recipientEmail || '').trim().toLowerCase();
+    if (recipientEmail && !authService.isValidEmail(recipientEmail)) {
+      throw new Error('Please enter a valid recipient email');
+    }
+
+    const maxViews = access.maxViews ? Number(access.maxViews) : null;
+    if (maxViews !== null && (!Number.isInteger(maxViews) || maxViews < 1)) {
+      throw new Error('View limit must be a whole number of at least 1');
+    }
+
+    const expiresAt = permissions.expiresAt ? new Date(permissions.expiresAt) : null;
+    if (expiresAt && (isNaN(expiresAt) || expiresAt <= new Date())) {
+      throw new Error('Expiry must be in the future');
+    }
+
+    const passphraseSalt = access.passphrase ? this.generateSalt() : null;
+    const passphraseHash = access.passphrase ? await this.hashPassphrase(access.passphrase, passphraseSalt) : null;
+
     const shareId = this.generateShareId();
     // Use URL parameters instead of path for better compatibility with SPA
     const shareLink = `${window.location.origin}?shared=${shareId}`;
     
+    const eventVisibility = this.getEventVisibility(permissions);
     const shareData = {
       id: shareId,
       userId: userId,
       link: shareLink,
       permissions: {
-        canViewEvents: permissions.canViewEvents !== false, // Default true
+        eventVisibility,
+        canViewEvents: eventVisibility !== 'hidden',
         canViewAvailability: permissions.canViewAvailability !== false, // Default true
         canViewStatus: permissions.canViewStatus !== false, // Default true
-        canViewDetails: permissions.canViewDetails || false // Default false for privacy
+        canViewDetails: permissions.canViewDetails || false, // Default false for privacy
+        canBook: permissions.canBook || false // Default false, visitors write to the owner's calendar
       },
       createdAt: new Date().toISOString(),
-      expiresAt: permissions.expiresAt || null,
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      passphraseHash,
+      passphraseSalt,
+      recipientEmail: recipientEmail || null,
+      maxViews,
       isActive: true,
       accessCount: 0,
       lastAccessed: null
     };
 
-    console.log('Creating share link:', shareData);
+    console.log('Creating share link:', this.getLoggableLink(shareData));
     this.shareLinks[shareId] = shareData;
     this.saveShareLinks();
     
-    console.log('All share links after creation:', this.shareLinks);
+    console.log('All share links after creation:', Object.keys(this.shareLinks));
     return shareData;
   }
 
+  // A link safe to log: everything but the passphrase hash and salt
+  getLoggableLink(shareLink) {
+    if (!shareLink) return shareLink;
+    const { passphraseHash, passphraseSalt, ...loggable } = shareLink;
+    return { ...loggable, hasPassphrase: !!passphraseHash };
+  }
+
   // Get share link data by ID
   getShareLink(shareId) {
     return this.shareLinks[shareId];
@@ -59,9 +148,82 @@ class SharingService {
 
   // Get all share links for a user
   getUserShareLinks(userId) {
+    this.sweepExpiredLinks();
     return Object.values(this.shareLinks).filter(link => link.userId === userId);
   }
 
+  isExpired(shareLink, now = new Date()) {
+    return !!shareLink.expiresAt && now > new Date(shareLink.expiresAt);
+  }
+
+  // Mark active links past their expiry inactive. Returns how many were swept.
+  sweepExpiredLinks(now = new Date()) {
+    const expired = Object.values(this.shareLinks)
+      .filter(link => link.isActive && this.isExpired(link, now));
+
+    expired.forEach(link => {
+      link.isActive = false;
+      link.deactivatedReason = 'expired';
+    });
+
+    if (expired.length > 0) {
+      this.saveShareLinks();
+    }
+    return expired.length;
+  }
+
+  // Give a link a new expiry (null for never). A link that had expired
+  // becomes active again; revoked links stay revoked.
+  extendShareLink(shareId, expiresAt) {
+    const shareLink = this.shareLinks[shareId];
+    if (!shareLink) {
+      throw new Error('Share link not found');
+    }
+
+    if (!shareLink.isActive && shareLink.deactivatedReason !== 'expired') {
+      throw new Error('Only active or expired links can be extended');
+    }
+
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && (isNaN(expiry) || expiry <= new Date())) {
+      throw new Error('Expiry must be in the future');
+    }
+
+    shareLink.expiresAt = expiry ? expiry.toISOString() : null;
+    shareLink.isActive = true;
+    delete shareLink.deactivatedReason;
+    this.saveShareLinks();
+    return shareLink;
+  }
+
+  // New link with the same settings as an existing one, fresh view count,
+  // and the same lifetime counted from now
+  async duplicateShareLink(shareId) {
+    const original = this.shareLinks[shareId];
+    if (!original) {
+      throw new Error('Share link not found');
+    }
+
+    const lifetime = original.expiresAt
+      ? new Date(original.expiresAt) - new Date(original.createdAt)
+      : null;
+
+    const shareData = await this.generateShareLink(
+      original.userId,
+      {
+        ...original.permissions,
+        expiresAt: lifetime > 0 ? new Date(Date.now() + lifetime).toISOString() : null
+      },
+      { recipientEmail: original.recipientEmail, maxViews: original.maxViews }
+    );
+
+    // Keep the passphrase without ever knowing it
+    shareData.passphraseHash = original.passphraseHash || null;
+    shareData.passphraseSalt = original.passphraseSalt || null;
+    this.saveShareLinks();
+    return shareData;
+  }
+
   // Revoke a share link
   revokeShareLink(shareId) {
     if (this.shareLinks[shareId]) {
@@ -82,16 +244,88 @@ class SharingService {
     return false;
   }
 
-  // Access a shared schedule (increment access count)
+  // What a viewer must provide before a link opens, or null if the link
+  // can't be used at all
+  getAccessRequirements(shareId) {
+    const shareLink = this.shareLinks[shareId];
+    if (!shareLink || !shareLink.isActive) {
+      return null;
+    }
+
+    if (shareLink.expiresAt && new Date() > new Date(shareLink.expiresAt)) {
+      return null;
+    }
+
+    return {
+      passphrase: !!shareLink.passphraseHash,
+      email: !!shareLink.recipientEmail
+    };
+  }
+
+  // Whether a link still serves this session. The visit that used up a
+  // view limit keeps working after the link closes, e.g. to finish booking.
+  isOpenForSession(shareLink) {
+    return shareLink.isActive ||
+      (shareLink.deactivatedReason === 'max-views' && !!this.sessionVisits[shareLink.id]);
+  }
+
+  // Whether this session may see what's behind a link
+  hasAccess(shareId) {
+    const shareLink = this.shareLinks[shareId];
+    if (!shareLink) return false;
+
+    const isLocked = !!shareLink.passphraseHash || !!shareLink.recipientEmail;
+    return !isLocked || this.unlockedLinks.has(shareId);
+  }
+
+  // Check a viewer's passphrase and email against a locked link, and let
+  // them in for the rest of the session
+  async unlockShareLink(shareId, { passphrase = '', email = '' } = {}) {
+    const requirements = this.getAccessRequirements(shareId);
+    if (!requirements) {
+      throw new Error('This share link is no longer active');
+    }
+
+    const shareLink = this.shareLinks[shareId];
+    if (requirements.email && email.trim().toLowerCase() !== shareLink.recipientEmail) {
+      throw new Error('This link was shared with a different email address');
+    }
+
+    if (requirements.passphrase &&
+      await this.hashPassphrase(passphrase, shareLink.passphraseSalt) !== shareLink.passphraseHash) {
+      throw new Error('Incorrect passphrase');
+    }
+
+    this.unlockedLinks.add(shareId);
+    return true;
+  }
+
+  // Access a shared schedule (increment access count). A visit counts once
+  // per session however often the page reloads its data.
   accessSharedSchedule(shareId) {
     console.log('SharingService: accessSharedSchedule called with shareId:', shareId);
     console.log('SharingService: Available share links:', Object.keys(this.shareLinks));
-    console.log('SharingService: Looking for shareId in links:', this.shareLinks[shareId]);
+    console.log('SharingService: Looking for shareId in links:', this.getLoggableLink(this.shareLinks[shareId]));
     
+    // Expired links are closed before the visit is counted or logged
+    if (this.sweepExpiredLinks() > 0) {
+      console.log('SharingService: Swept expired share links');
+    }
+
     const shareLink = this.shareLinks[shareId];
-    if (shareLink && shareLink.isActive) {
-      console.log('SharingService: Found active share link:', shareLink);
-      shareLink.accessCount++;
+    if (shareLink && !this.isExpired(shareLink) && this.isOpenForSession(shareLink) && this.hasAccess(shareId)) {
+      console.log('SharingService: Found active share link:', this.getLoggableLink(shareLink));
+      if (!this.sessionVisits[shareId]) {
+        shareLink.accessCount++;
+        this.logAccess(shareId);
+
+        // This visit is still served; the link closes for everyone after it
+        if (shareLink.maxViews && shareLink.accessCount >= shareLink.maxViews) {
+          shareLink.isActive = false;
+          shareLink.deactivatedReason = 'max-views';
+          console.log('SharingService: Share link view limit reached:', shareId);
+        }
+      }
       shareLink.lastAccessed = new Date().toISOString();
       this.saveShareLinks();
       return shareLink;
@@ -100,22 +334,105 @@ class SharingService {
     return null;
   }
 
+  // Append a visit to a link's access log
+  logAccess(shareId, now = new Date()) {
+    const entry = {
+      id: `${now.getTime()}_${Math.random().toString(36).substr(2, 6)}`,
+      accessedAt: now.toISOString(),
+      userAgent: this.getCoarseUserAgent(navigator.userAgent),
+      referrer: this.getReferrerHost(document.referrer),
+      booked: false
+    };
+
+    this.accessLog[shareId] = [...(this.accessLog[shareId] || []), entry];
+    this.sessionVisits[shareId] = entry.id;
+    this.saveAccessLog();
+    return entry;
+  }
+
+  // Note that this session's visitor booked through a link
+  recordBooking(shareId) {
+    const entry = (this.accessLog[shareId] || []).find(item => item.id === this.sessionVisits[shareId]) ||
+      this.logAccess(shareId);
+    entry.booked = true;
+    this.saveAccessLog();
+    return entry;
+  }
+
+  // A link's visits, newest first
+  getAccessLog(shareId) {
+    return [...(this.accessLog[shareId] || [])]
+      .sort((a, b) => new Date(b.accessedAt) - new Date(a.accessedAt));
+  }
+
+  // Views and bookings per day for the last `days` days, oldest first
+  getViewsOverTime(shareId, days, now = new Date()) {
+    const buckets = Array.from({ length: days }, (_, i) => {
+      const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (days - 1 - i));
+      return { date, views: 0, bookings: 0 };
+    });
+
+    (this.accessLog[shareId] || []).forEach(entry => {
+      const accessedAt = new Date(entry.accessedAt);
+      const bucket = buckets.find(item => item.date.toDateString() === accessedAt.toDateString());
+      if (bucket) {
+        bucket.views++;
+        if (entry.booked) bucket.bookings++;
+      }
+    });
+
+    return buckets;
+  }
+
+  // The access log as CSV, oldest visit first
+  exportAccessLog(shareId) {
+    const escape = value => `"${String(value).replace(/"/g, '""')}"`;
+    const rows = this.getAccessLog(shareId).reverse().map(entry =>
+      [entry.accessedAt, entry.userAgent, entry.referrer || 'Direct', entry.booked ? 'yes' : 'no'].map(escape).join(',')
+    );
+    return ['Accessed At,Browser,Referrer,Booked', ...rows].join('\r\n');
+  }
+
+  // Trigger a browser download of a link's access log
+  downloadAccessLog(shareId) {
+    const blob = new Blob([this.exportAccessLog(shareId)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `checkmate-share-${shareId}-access.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  // "Chrome on macOS" - enough to tell visitors apart without fingerprinting them
+  getCoarseUserAgent(userAgent = '') {
+    const browser = BROWSER_PATTERNS.find(([, pattern]) => pattern.test(userAgent));
+    const os = OS_PATTERNS.find(([, pattern]) => pattern.test(userAgent));
+    return `${browser ? browser[0] : 'Other browser'} on ${os ? os[0] : 'other OS'}`;
+  }
+
+  // Host of the referring page, or null for direct visits
+  getReferrerHost(referrer) {
+    if (!referrer) return null;
+    try {
+      return new URL(referrer).hostname || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   // Get shared schedule data for display
   getSharedScheduleData(shareId) {
     console.log('SharingService: getSharedScheduleData called with shareId:', shareId);
     console.log('SharingService: Available share links:', Object.keys(this.shareLinks));
     
     const shareLink = this.accessSharedSchedule(shareId);
-    console.log('SharingService: shareLink after accessSharedSchedule:', shareLink);
+    console.log('SharingService: shareLink after accessSharedSchedule:', this.getLoggableLink(shareLink));
     
     if (!shareLink) {
-      console.log('SharingService: No share link found');
-      return null;
-    }
-
-    // Check if link is expired
-    if (shareLink.expiresAt && new Date() > new Date(shareLink.expiresAt)) {
-      console.log('SharingService: Share link expired');
+      console.log('SharingService: No share link found or expired');
       return null;
     }
 
@@ -135,19 +452,114 @@ class SharingService {
         name: userData.fullName,
         email: shareLink.permissions.canViewDetails ? userData.email : null
       },
-      events: shareLink.permissions.canViewEvents ? userData.events || [] : [],
-      availability: shareLink.permissions.canViewAvailability ? userData.availability || {} : {},
+      events: this.redactEvents(userData.events || [], this.getEventVisibility(shareLink.permissions)),
+      availability: shareLink.permissions.canViewAvailability ? this.redactAvailability(userData.availability || {}) : {},
+      meetingTypes: shareLink.permissions.canViewAvailability || shareLink.permissions.canBook
+        ? (userData.availability?.meetingTypes || [])
+        : [],
       currentStatus: shareLink.permissions.canViewStatus ? userData.currentStatus : null,
       shareInfo: {
         createdAt: shareLink.createdAt,
         accessCount: shareLink.accessCount,
-        permissions: shareLink.permissions
+        permissions: shareLink.permissions,
+        directBooking: !!userData.settings?.privacy?.allowDirectBooking
       }
     };
 
     return sharedData;
   }
 
+  // Get bookable slots behind a share link without exposing the owner's events
+  getSharedAvailability(shareId, range, meetingTypeId = null) {
+    const userData = this.getAvailabilityOwner(shareId);
+    if (!userData) {
+      return [];
+    }
+
+    return availabilityService.calculateSlots(userData, range, meetingTypeId);
+  }
+
+  // Owner record behind a share link that exposes availability, or null.
+  // Callers must only derive free/busy time from it, never show its events.
+  getAvailabilityOwner(shareId) {
+    const shareLink = this.shareLinks[shareId];
+    if (!shareLink || !this.isOpenForSession(shareLink)) {
+      return null;
+    }
+
+    if (!shareLink.permissions.canViewAvailability && !shareLink.permissions.canBook) {
+      return null;
+    }
+
+    if (!this.hasAccess(shareId)) {
+      return null;
+    }
+
+    if (shareLink.expiresAt && new Date() > new Date(shareLink.expiresAt)) {
+      return null;
+    }
+
+    const userData = this.getUserData(shareLink.userId);
+    if (!userData || !userData.availability) {
+      return null;
+    }
+
+    return userData;
+  }
+
+  // Visibility levels a link can be given
+  getEventVisibilityLevels() {
+    return EVENT_VISIBILITY_LEVELS;
+  }
+
+  // A link's event visibility. Links made before levels existed only have
+  // canViewEvents, which showed everything.
+  getEventVisibility(permissions) {
+    if (EVENT_VISIBILITY_LEVELS.includes(permissions.eventVisibility)) {
+      return permissions.eventVisibility;
+    }
+    return permissions.canViewEvents !== false ? 'details' : 'hidden';
+  }
+
+  // Strip events down to what a visibility level shows. Busy blocks are
+  // marked `busy` so viewers can draw them without a title.
+  redactEvents(events, visibility) {
+    if (visibility === 'details') return events;
+    if (visibility === 'hidden') return [];
+
+    const fields = visibility === 'titles' ? TITLE_FIELDS : BUSY_FIELDS;
+    return events.map(event => {
+      const redacted = {};
+      fields.forEach(field => {
+        if (event[field] !== undefined) redacted[field] = event[field];
+      });
+      return visibility === 'busy' ? { ...redacted, busy: true } : redacted;
+    });
+  }
+
+  // Random hex salt for a passphrase hash
+  generateSalt() {
+    const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Salted SHA-256 of a passphrase, hex encoded
+  async hashPassphrase(passphrase, salt) {
+    const data = new TextEncoder().encode(`${salt}:${passphrase}`);
+    const digest = await window.crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Availability as viewers see it: date override notes stay private to the owner
+  redactAvailability(availability) {
+    if (!availability.dateOverrides) return availability;
+
+    return {
+      ...availability,
+      dateOverrides: availability.dateOverrides.map(({ note, ...override }) => override)
+    };
+  }
+
   // Generate a unique share ID
   generateShareId() {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
@@ -160,9 +572,24 @@ class SharingService {
 
   // Get user data (simulated - would come from backend in real app)
   getUserData(userId) {
-    // Load from localStorage for demo - use same key as authService
-    const users = JSON.parse(localStorage.getItem('checkmate_users') || '{}');
-    return users[userId] || null;
+    return userDirectoryService.getUser(userId);
+  }
+
+  // Links created before user IDs were used reference their owner by email;
+  // point them at the owner's ID instead
+  migrateShareLinks() {
+    let migrated = false;
+    Object.values(this.shareLinks).forEach(link => {
+      const user = userDirectoryService.getUser(link.userId);
+      if (user && user.id !== link.userId) {
+        link.userId = user.id;
+        migrated = true;
+      }
+    });
+
+    if (migrated) {
+      this.saveShareLinks();
+    }
   }
 
   // Save share links to localStorage
@@ -184,6 +611,25 @@ class SharingService {
     }
   }
 
+  // Save the access log to localStorage
+  saveAccessLog() {
+    try {
+      localStorage.setItem(ACCESS_LOG_KEY, JSON.stringify(this.accessLog));
+    } catch (error) {
+      console.error('Error saving share access log:', error);
+    }
+  }
+
+  // Load the access log from localStorage
+  loadAccessLog() {
+    try {
+      return JSON.parse(localStorage.getItem(ACCESS_LOG_KEY) || '{}');
+    } catch (error) {
+      console.error('Error loading share access log:', error);
+      return {};
+    }
+  }
+
   // Save shared schedules to localStorage
   saveSharedSchedules() {
     try {
@@ -207,26 +653,25 @@ class SharingService {
   clearAllSharingData() {
     localStorage.removeItem('checkmate_share_links');
     localStorage.removeItem('checkmate_shared_schedules');
+    localStorage.removeItem(ACCESS_LOG_KEY);
     this.shareLinks = {};
     this.sharedSchedules = {};
+    this.accessLog = {};
   }
 
   // Create a test share link for the current user (for testing)
-  createTestShareLink() {
+  async createTestShareLink() {
     // Try to get any user from the system
-    const users = JSON.parse(localStorage.getItem('checkmate_users') || '{}');
-    const userIds = Object.keys(users);
+    const users = userDirectoryService.listUsers();
     
     console.log('SharingService: createTestShareLink - users found:', users);
-    console.log('SharingService: createTestShareLink - userIds:', userIds);
     
-    if (userIds.length > 0) {
+    if (users.length > 0) {
       // Use the first available user
-      const userId = userIds[0];
-      const user = users[userId];
-      console.log('Creating test share link for user:', user.fullName, 'with ID:', userId);
-      const shareData = this.generateShareLink(userId, {
-        canViewEvents: true,
+      const user = users[0];
+      console.log('Creating test share link for user:', user.fullName, 'with ID:', user.id);
+      const shareData = await this.generateShareLink(user.id, {
+        eventVisibility: 'details',
         canViewAvailability: true,
         canViewStatus: true,
         canViewDetails: false
@@ -16,6 +16,7 @@
  * TODO: Add subscription analytics
  */
 import authService from './authService';
+import sharingService from './sharingService';
 
 class SubscriptionService {
   constructor() {
@@ -133,8 +134,7 @@ class SubscriptionService {
     if (!user) return null;
 
     // Simulate usage data (in real app, this would come from database)
-    const shareLinks = JSON.parse(localStorage.getItem('checkmate_share_links') || '{}');
-    const userShareLinks = Object.values(shareLinks).filter(link => link.userId === user.id);
+    const userShareLinks = sharingService.getUserShareLinks(user.id);
     
     const events = user.events || [];
     const currentMonth = new Date().getMonth();
@@ -158,12 +158,13 @@ class SubscriptionService {
     };
   }
 
-  // Check if user can create more share links
+  // Check if user can create more share links. Only active links count;
+  // revoked and expired ones don't use up the limit.
   canCreateShareLink() {
     const stats = this.getUsageStats();
     if (!stats) return false;
     
-    return this.isWithinLimits('maxShareLinks', stats.shareLinks.total);
+    return this.isWithinLimits('maxShareLinks', stats.shareLinks.active);
   }
 
   // Check if user can create more events
@@ -184,7 +185,7 @@ class SubscriptionService {
     if (!this.canCreateShareLink()) {
       recommendations.push({
         feature: 'Share Links',
-        current: stats.shareLinks.total,
+        current: stats.shareLinks.active,
         limit: currentPlan.maxShareLinks,
         message: 'You\'ve reached your share link limit. Upgrade to create more!'
       });
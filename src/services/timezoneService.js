@@ -0,0 +1,151 @@
+/**
+ * Timezone Service - Convert between instants and wall-clock time in IANA zones
+ *
+ * This service wraps the browser's Intl API so the rest of the app can work
+ * with named time zones (e.g. 'America/New_York') without a date library.
+ *
+ * Features:
+ * - Time zone validation and detection
+ * - Wall-clock parts of an instant in any zone
+ * - Zone offsets (DST aware)
+ * - Wall-clock time in a zone to UTC instant
+ * - Zone lists and labels for pickers and secondary time columns
+ *
+ * TODO: Cache formatters per zone if profiling shows this is hot
+ */
+// Used when the browser can't list its supported zones
+const FALLBACK_TIME_ZONES = [
+  'UTC',
+  'America/Anchorage',
+  'America/Chicago',
+  'America/Denver',
+  'America/Halifax',
+  'America/Los_Angeles',
+  'America/Mexico_City',
+  'America/New_York',
+  'America/Phoenix',
+  'America/Sao_Paulo',
+  'America/Toronto',
+  'Asia/Dubai',
+  'Asia/Hong_Kong',
+  'Asia/Kolkata',
+  'Asia/Shanghai',
+  'Asia/Singapore',
+  'Asia/Tokyo',
+  'Australia/Sydney',
+  'Europe/Berlin',
+  'Europe/London',
+  'Europe/Madrid',
+  'Europe/Paris',
+  'Pacific/Auckland',
+  'Pacific/Honolulu'
+];
+
+class TimezoneService {
+  // Get the browser's time zone
+  getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
+
+  // Check if a string is a time zone the browser understands
+  isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+    try {
+      Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Get wall-clock parts of an instant in a time zone (month is 1-12)
+  getZonedParts(date, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    });
+
+    const parts = {};
+    formatter.formatToParts(new Date(date)).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+    return {
+      year: parseInt(parts.year, 10),
+      month: parseInt(parts.month, 10),
+      day: parseInt(parts.day, 10),
+      hour: parseInt(parts.hour, 10) % 24,
+      minute: parseInt(parts.minute, 10),
+      second: parseInt(parts.second, 10),
+      weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+  }
+
+  // Get the offset of a time zone from UTC in minutes at a given instant
+  getOffset(date, timeZone) {
+    const instant = new Date(date);
+    instant.setMilliseconds(0);
+    const parts = this.getZonedParts(instant, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - instant.getTime()) / 60000);
+  }
+
+  // All IANA zones the browser supports, sorted by name
+  listTimeZones() {
+    if (typeof Intl.supportedValuesOf === 'function') {
+      const zones = Intl.supportedValuesOf('timeZone');
+      return zones.includes('UTC') ? zones : ['UTC', ...zones];
+    }
+    return FALLBACK_TIME_ZONES;
+  }
+
+  // Short zone name at an instant, e.g. "EST" or "GMT+2"
+  getShortName(date, timeZone) {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+      .formatToParts(new Date(date))
+      .find(item => item.type === 'timeZoneName');
+    return part ? part.value : timeZone;
+  }
+
+  // "America/New_York (GMT-05:00)" for pickers
+  formatTimeZoneLabel(timeZone, date = new Date()) {
+    const offset = this.getOffset(date, timeZone);
+    const sign = offset < 0 ? '-' : '+';
+    const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+    return `${timeZone.replace(/_/g, ' ')} (GMT${sign}${hours}:${minutes})`;
+  }
+
+  // Hour label of an instant in a zone, e.g. "3 PM" or "3:30 PM"
+  formatHour(date, timeZone) {
+    const parts = this.getZonedParts(date, timeZone);
+    const hour = parts.hour % 12 === 0 ? 12 : parts.hour % 12;
+    const minutes = parts.minute ? `:${String(parts.minute).padStart(2, '0')}` : '';
+    return `${hour}${minutes} ${parts.hour < 12 ? 'AM' : 'PM'}`;
+  }
+
+  // Convert wall-clock time in a time zone to an instant (month is 1-12)
+  zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offset = this.getOffset(new Date(asUtc), timeZone);
+    let result = asUtc - offset * 60000;
+
+    // Re-check near DST transitions where the first guess lands on the other side
+    const correctedOffset = this.getOffset(new Date(result), timeZone);
+    if (correctedOffset !== offset) {
+      result = asUtc - correctedOffset * 60000;
+    }
+
+    return new Date(result);
+  }
+}
+
+const timezoneService = new TimezoneService();
+export default timezoneService;
@@ -0,0 +1,152 @@
+/**
+ * User Directory Service - Stored user records, looked up by id or email
+ *
+ * Owns the `checkmate_users` map. Records are keyed by user id, with an
+ * index by lowercased email, so share links, bookings and invitations can
+ * refer to a user by id while sign-in still finds them by email.
+ *
+ * Earlier versions keyed the map by email. Such data is migrated to id keys
+ * when it is loaded (records without an id get one), and lookups still
+ * accept an email so references saved under the old scheme keep working.
+ *
+ * Features:
+ * - Lookup by id, by email (case-insensitive) or by either
+ * - Create, update and remove records
+ * - Migration from email-keyed storage
+ *
+ * TODO: Replace localStorage with the user API once there is a backend
+ */
+const USERS_KEY = 'checkmate_users';
+
+class UserDirectoryService {
+  constructor() {
+    this.users = this.loadUsers();
+    this.emailIndex = this.buildEmailIndex();
+  }
+
+  // Get a user record by id
+  getUserById(userId) {
+    return this.users[userId] || null;
+  }
+
+  // Get a user record by email, ignoring case and surrounding spaces
+  getUserByEmail(email) {
+    const userId = this.emailIndex[(email || '').trim().toLowerCase()];
+    return userId ? this.users[userId] : null;
+  }
+
+  // Get a user by id, or by email for references saved before ids were used
+  getUser(userKey) {
+    return this.getUserById(userKey) || this.getUserByEmail(userKey);
+  }
+
+  // All user records
+  listUsers() {
+    return Object.values(this.users);
+  }
+
+  // Add or replace a user record
+  saveUser(user) {
+    if (!user || !user.id || !user.email) {
+      throw new Error('User records need an id and an email');
+    }
+
+    const owner = this.getUserByEmail(user.email);
+    if (owner && owner.id !== user.id) {
+      throw new Error('An account with this email already exists');
+    }
+
+    const previous = this.users[user.id];
+    if (previous) {
+      delete this.emailIndex[previous.email.toLowerCase()];
+    }
+
+    this.users[user.id] = user;
+    this.emailIndex[user.email.toLowerCase()] = user.id;
+    this.saveUsers();
+    return user;
+  }
+
+  // Merge changes into a stored user record
+  updateUser(userId, changes) {
+    const user = this.getUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return this.saveUser({ ...user, ...changes, id: user.id });
+  }
+
+  // Remove a user record
+  removeUser(userId) {
+    const user = this.getUserById(userId);
+    if (!user) return false;
+
+    delete this.users[userId];
+    delete this.emailIndex[user.email.toLowerCase()];
+    this.saveUsers();
+    return true;
+  }
+
+  // Remove every user record
+  clear() {
+    this.users = {};
+    this.emailIndex = {};
+    localStorage.removeItem(USERS_KEY);
+  }
+
+  // Generate a unique user ID
+  generateUserId() {
+    return 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  // Re-key records by id. Returns the (possibly unchanged) map and whether
+  // anything was migrated.
+  migrateUsers(stored) {
+    let migrated = false;
+    const users = {};
+
+    Object.entries(stored).forEach(([key, record]) => {
+      if (!record || !record.email) return;
+
+      const user = record.id ? record : { ...record, id: this.generateUserId() };
+      if (key !== user.id) migrated = true;
+      users[user.id] = user;
+    });
+
+    return { users, migrated };
+  }
+
+  buildEmailIndex() {
+    const index = {};
+    Object.values(this.users).forEach(user => {
+      index[user.email.toLowerCase()] = user.id;
+    });
+    return index;
+  }
+
+  // Save user records to localStorage
+  saveUsers() {
+    try {
+      localStorage.setItem(USERS_KEY, JSON.stringify(this.users));
+    } catch (error) {
+      console.error('Error saving users:', error);
+    }
+  }
+
+  // Load user records from localStorage, migrating email-keyed data
+  loadUsers() {
+    try {
+      const { users, migrated } = this.migrateUsers(JSON.parse(localStorage.getItem(USERS_KEY) || '{}'));
+      if (migrated) {
+        localStorage.setItem(USERS_KEY, JSON.stringify(users));
+      }
+      return users;
+    } catch (error) {
+      console.error('Error loading users:', error);
+      return {};
+    }
+  }
+}
+
+const userDirectoryService = new UserDirectoryService();
+export default userDirectoryService;